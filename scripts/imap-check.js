@@ -18,7 +18,7 @@ console.log('');
     console.log('⏳ Iniciando descubrimiento...');
     console.log('');
     
-    const result = await findOrCreateSentBox();
+    const result = await findOrCreateSentBox({ logger: console, probe: true });
     
     console.log('');
     console.log('✅ ÉXITO - Carpeta de Enviados encontrada/creada');
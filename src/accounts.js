@@ -0,0 +1,436 @@
+/**
+ * Cuentas SMTP de IONOS y ruteo de los envíos
+ *
+ * Sin SMTP_ACCOUNTS / SMTP_ACCOUNTS_FILE hay una sola cuenta "default" armada
+ * con las variables de siempre (SMTP_*, FROM_EMAIL, SENDER_IDENTITIES, IMAP_*).
+ * Con ellas, cada cuenta (admisiones@, facturacion@, noreply@...) tiene sus
+ * credenciales, sus identidades de remitente, su IMAP para "Enviados" y sus
+ * límites.
+ *
+ * Cada envío elige la cuenta por el campo "account", por la cuenta de la API
+ * key o por el remitente (la cuenta que tiene esa identidad); si no, la
+ * primera. Ante errores de conexión o de cuota se prueban los hosts
+ * alternativos de la cuenta y después las cuentas de "failover", en orden.
+ * Una cuenta sin cupo en el limitador de salida (ver pacing.js) se saltea
+ * igual que una que falla.
+ */
+
+const fs = require("fs");
+const nodemailer = require("nodemailer");
+const { z } = require("zod");
+const { extractAddress } = require("./address");
+const { loadSenderIdentities } = require("./identities");
+const { createImapClient, getImapConfig } = require("./imap");
+const { pacingError } = require("./pacing");
+const { classifySmtpError } = require("./smtperrors");
+
+// Errores que justifican otro host o cuenta: el host no respondió o cortó la
+// sesión, está fuera de servicio (421) o limitó los envíos de la cuenta (4.7.x)
+const FAILOVER_ERRORS = new Set([
+  "smtp_connection",
+  "smtp_unavailable",
+  "smtp_throttled",
+]);
+
+// Esquema de cada cuenta
+const accountSchema = z.object({
+  name: z
+    .string({ required_error: "Name es requerido" })
+    .regex(/^[a-z0-9][a-z0-9_-]*$/i, "Nombre de cuenta inválido"),
+  host: z.string().min(1).default("smtp.ionos.com"),
+  // Hosts alternativos con las mismas credenciales, en orden
+  backupHosts: z.array(z.string().min(1)).default([]),
+  port: z.number().int().positive().default(587),
+  secure: z.boolean().default(false),
+  user: z.string({ required_error: "User es requerido" }).min(1),
+  pass: z.string({ required_error: "Pass es requerido" }).min(1),
+  // Identidad por defecto y alias de la cuenta
+  from: z.string({ required_error: "From es requerido" }).min(1),
+  identities: z.array(z.string().min(1)).default([]),
+  // IMAP para "Enviados" (por defecto imap.ionos.com con las credenciales SMTP)
+  imap: z
+    .object({
+      host: z.string().min(1).optional(),
+      port: z.number().int().positive().optional(),
+      secure: z.boolean().optional(),
+      user: z.string().min(1).optional(),
+      pass: z.string().min(1).optional(),
+      mailbox: z.string().min(1).optional(),
+    })
+    .default({}),
+  // Cuentas que toman los envíos si esta falla por conexión o cuota
+  failover: z.array(z.string().min(1)).default([]),
+  limits: z
+    .object({
+      maxRecipients: z.number().int().positive().optional(),
+      // Cuotas de IONOS: destinatarios por hora y por día, y ráfaga máxima
+      perHour: z.number().int().positive().optional(),
+      perDay: z.number().int().positive().optional(),
+      burst: z.number().int().positive().optional(),
+    })
+    .default({}),
+  // Conexiones SMTP reutilizadas (false para una conexión por envío)
+  pool: z
+    .union([
+      z.literal(false),
+      z.object({
+        maxConnections: z.number().int().positive().default(2),
+        maxMessages: z.number().int().positive().default(100),
+      }),
+    ])
+    .default({}),
+});
+
+const accountsSchema = z.array(accountSchema).min(1);
+
+/**
+ * Arma la cuenta "default" con las variables de entorno de una sola cuenta
+ * @returns {Object}
+ */
+function defaultAccount() {
+  const imap = getImapConfig();
+  return {
+    name: "default",
+    host: process.env.SMTP_HOST || "smtp.ionos.com",
+    backupHosts: (process.env.SMTP_BACKUP_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim())
+      .filter(Boolean),
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.FROM_EMAIL,
+    identities: [process.env.SENDER_IDENTITIES].filter(Boolean),
+    imap,
+    failover: [],
+    limits: {
+      perHour: Number(process.env.SMTP_MAX_PER_HOUR) || undefined,
+      perDay: Number(process.env.SMTP_MAX_PER_DAY) || undefined,
+      burst: Number(process.env.SMTP_BURST) || undefined,
+    },
+    pool: process.env.SMTP_POOL !== "false" && {
+      maxConnections: Number(process.env.SMTP_POOL_MAX_CONNECTIONS) || 2,
+      maxMessages: Number(process.env.SMTP_POOL_MAX_MESSAGES) || 100,
+    },
+  };
+}
+
+/**
+ * Carga y valida las cuentas SMTP
+ * @param {Object} [options]
+ * @param {string} [options.file] - Archivo JSON con las cuentas (SMTP_ACCOUNTS_FILE)
+ * @param {string} [options.json] - JSON inline con las cuentas (SMTP_ACCOUNTS)
+ * @returns {Array<Object>} - Cuentas validadas; la primera es la de por defecto
+ */
+function loadAccounts({
+  file = process.env.SMTP_ACCOUNTS_FILE,
+  json = process.env.SMTP_ACCOUNTS,
+} = {}) {
+  const raw = file ? fs.readFileSync(file, "utf8") : json;
+  if (!raw) {
+    return [defaultAccount()];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(
+      `Configuración de cuentas SMTP no es JSON válido: ${error.message}`
+    );
+  }
+
+  const result = accountsSchema.safeParse(parsed);
+  if (!result.success) {
+    const details = result.error.errors
+      .map((e) => `${e.path.join(".")}: ${e.message}`)
+      .join("; ");
+    throw new Error(`Configuración de cuentas SMTP inválida: ${details}`);
+  }
+
+  const names = new Set(result.data.map((account) => account.name));
+  if (names.size !== result.data.length) {
+    throw new Error("Hay cuentas SMTP con el mismo nombre");
+  }
+  for (const account of result.data) {
+    for (const name of account.failover) {
+      if (!names.has(name) || name === account.name) {
+        throw new Error(
+          `Cuenta SMTP "${account.name}": failover a una cuenta inválida ("${name}")`
+        );
+      }
+    }
+  }
+  return result.data;
+}
+
+/**
+ * Indica si un error de envío justifica probar otro host o cuenta
+ * @param {Error} error - Error de nodemailer
+ * @returns {boolean}
+ */
+function canFailover(error) {
+  return FAILOVER_ERRORS.has(classifySmtpError(error).errorCode);
+}
+
+/**
+ * Crea el registro de cuentas con sus transporters
+ * @param {Object} params
+ * @param {Array<Object>} params.accounts - Resultado de loadAccounts
+ * @param {Object} params.pacer - Limitador de salida (createPacer)
+ * @param {Object} params.logger - Logger pino
+ * @returns {Object} - API de las cuentas
+ */
+function createAccounts({ accounts, pacer, logger }) {
+  const byName = new Map();
+  const imapClients = new Map();
+
+  for (const config of accounts) {
+    // Un transporter por host, todos con las credenciales de la cuenta
+    const transports = [config.host, ...config.backupHosts].map((host) => ({
+      host,
+      transporter: nodemailer.createTransport({
+        host,
+        port: config.port,
+        secure: config.secure, // false para 587 (STARTTLS), true para 465 (SSL)
+        auth: {
+          user: config.user,
+          pass: config.pass,
+        },
+        // Configuraciones adicionales para IONOS
+        tls: {
+          ciphers: "SSLv3",
+        },
+        requireTLS: !config.secure,
+        ...(config.pool && {
+          pool: true,
+          maxConnections: config.pool.maxConnections,
+          maxMessages: config.pool.maxMessages,
+        }),
+      }),
+    }));
+
+    // Un mensaje con más destinatarios que la cuota por hora o por día no
+    // podría salir sin superarla: maxRecipients nunca la excede
+    const capacity = pacer.capacity(config.name);
+    const maxRecipients = capacity
+      ? Math.min(config.limits.maxRecipients || capacity, capacity)
+      : config.limits.maxRecipients;
+    if (maxRecipients !== config.limits.maxRecipients) {
+      logger.info(
+        { account: config.name, maxRecipients },
+        "[ACCOUNTS] maxRecipients limitado a la cuota de envío"
+      );
+    }
+
+    byName.set(config.name, {
+      ...config,
+      limits: { ...config.limits, maxRecipients },
+      identities: loadSenderIdentities({
+        fromEmail: config.from,
+        list: config.identities.join(","),
+      }),
+      transports,
+    });
+  }
+
+  const primary = byName.get(accounts[0].name);
+
+  /**
+   * Elige la cuenta de un envío
+   * @param {Object} params
+   * @param {string} [params.account] - Cuenta pedida en la request
+   * @param {Object} [params.client] - Cliente autenticado (su cuenta por defecto)
+   * @param {string} [params.from] - Remitente pedido
+   * @returns {{account?: Object, error?: string}}
+   */
+  function select({ account, client, from }) {
+    const name = account || client?.account;
+    if (name) {
+      const found = byName.get(name);
+      return found
+        ? { account: found }
+        : { error: `Cuenta SMTP desconocida: ${name}` };
+    }
+    if (from) {
+      const address = extractAddress(from);
+      for (const candidate of byName.values()) {
+        if (candidate.identities.some((i) => i.address === address)) {
+          return { account: candidate };
+        }
+      }
+    }
+    return { account: primary };
+  }
+
+  /**
+   * Cuenta elegida seguida de sus cuentas de failover. Solo se usan las de
+   * failover que también tienen la identidad del remitente del sobre (IONOS
+   * rechaza un MAIL FROM ajeno a la cuenta), y solo las que admiten esa
+   * cantidad de destinatarios por mensaje.
+   * @param {string} name - Cuenta elegida
+   * @param {string} from - Remitente del sobre
+   * @param {number} count - Destinatarios
+   * @returns {Array<Object>}
+   */
+  function chainFor(name, from, count) {
+    const first = byName.get(name) || primary;
+    const sender = extractAddress(from);
+    return [
+      first,
+      ...first.failover
+        .map((n) => byName.get(n))
+        .filter((account) =>
+          account.identities.some((i) => i.address === sender)
+        ),
+    ].filter(
+      (account) =>
+        !account.limits.maxRecipients || count <= account.limits.maxRecipients
+    );
+  }
+
+  /**
+   * Milisegundos hasta que alguna cuenta de la cadena tenga cupo para el envío
+   * @param {string} name - Cuenta elegida
+   * @param {string} from - Remitente del sobre
+   * @param {number} count - Destinatarios
+   * @returns {number} - 0 si se puede enviar ya
+   */
+  function waitFor(name, from, count) {
+    const waits = chainFor(name, from, count).map(
+      (account) => pacer.check(account.name, count).retryAfterMs || 0
+    );
+    return Math.min(...waits);
+  }
+
+  /**
+   * Envía un mensaje por la cuenta, pasando a los hosts alternativos y a las
+   * cuentas de failover ante errores de conexión o cuota.
+   * @param {string} name - Cuenta elegida
+   * @param {Object} message - { envelope, raw } para transporter.sendMail
+   * @returns {Promise<{info: Object, account: string, host: string, failover: boolean}>}
+   * @throws {Error} - Error SMTP, o EPACING si ninguna cuenta tiene cupo
+   */
+  async function send(name, message) {
+    const count = message.envelope.to.length;
+    const chain = chainFor(name, message.envelope.from, count);
+    if (chain.length === 0) {
+      throw new Error(
+        `Ninguna cuenta SMTP admite ${count} destinatarios por mensaje`
+      );
+    }
+    // La cuenta sin cupo que antes lo recupera
+    let paced = null;
+
+    for (const [position, account] of chain.entries()) {
+      const slot = pacer.take(account.name, count);
+      if (!slot.ok) {
+        logger.warn(
+          {
+            account: account.name,
+            reason: slot.reason,
+            retryAfterMs: slot.retryAfterMs,
+          },
+          "[ACCOUNTS] Cuota de envío alcanzada, probando la siguiente cuenta"
+        );
+        if (!paced || slot.retryAfterMs < paced.retryAfterMs) {
+          paced = { account: account.name, ...slot };
+        }
+        continue;
+      }
+
+      for (const [
+        index,
+        { host, transporter },
+      ] of account.transports.entries()) {
+        try {
+          const info = await transporter.sendMail(message);
+          return {
+            info,
+            account: account.name,
+            host,
+            failover: position > 0 || index > 0,
+          };
+        } catch (error) {
+          const lastHost = index === account.transports.length - 1;
+          if (lastHost || !canFailover(error)) {
+            // El mensaje no salió por esta cuenta: se libera su cupo
+            pacer.refund(account.name, count);
+          }
+          if (
+            !canFailover(error) ||
+            (lastHost && position === chain.length - 1)
+          ) {
+            throw error;
+          }
+          logger.warn(
+            { account: account.name, host, error: error.message },
+            "[ACCOUNTS] Envío fallido, probando el siguiente host o cuenta"
+          );
+        }
+      }
+    }
+
+    throw pacingError(paced.account, paced.retryAfterMs, paced.reason);
+  }
+
+  /**
+   * Cliente IMAP de la cuenta (se crea la primera vez que se pide)
+   * @param {string} [name] - Cuenta (por defecto la primera)
+   * @returns {Object} - Cliente de createImapClient
+   */
+  function imapClient(name) {
+    const account = byName.get(name) || primary;
+    if (!imapClients.has(account.name)) {
+      const defaults = getImapConfig();
+      imapClients.set(
+        account.name,
+        createImapClient({
+          logger: logger.child({ account: account.name }),
+          config: {
+            host: account.imap.host || defaults.host,
+            port: account.imap.port || defaults.port,
+            secure: account.imap.secure ?? defaults.secure,
+            user: account.imap.user || account.user,
+            pass: account.imap.pass || account.pass,
+            mailbox: account.imap.mailbox,
+          },
+        })
+      );
+    }
+    return imapClients.get(account.name);
+  }
+
+  // Vista pública de una cuenta (sin contraseñas)
+  const view = (account) => ({
+    name: account.name,
+    host: account.host,
+    backupHosts: account.backupHosts,
+    user: account.user,
+    identities: account.identities.map((i) => i.address),
+    failover: account.failover,
+    limits: account.limits,
+    pool: account.pool,
+    usage: pacer.status(account.name),
+  });
+
+  return {
+    primary,
+    select,
+    send,
+    waitFor,
+    imapClient,
+    get: (name) => byName.get(name),
+    list: () => [...byName.values()],
+    view,
+    // Todas las identidades de todas las cuentas
+    identities: () => [...byName.values()].flatMap((a) => a.identities),
+  };
+}
+
+module.exports = {
+  loadAccounts,
+  createAccounts,
+  canFailover,
+};
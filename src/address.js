@@ -0,0 +1,46 @@
+/**
+ * Utilidades para direcciones de email en formato RFC 5322
+ * ("Nombre <usuario@dominio.com>" o "usuario@dominio.com")
+ */
+
+/**
+ * Extrae la dirección de un valor tipo "Nombre <usuario@dominio>"
+ * @param {string} value - Dirección con o sin nombre visible
+ * @returns {string} - Dirección en minúsculas ("" si no hay valor)
+ */
+function extractAddress(value) {
+  if (!value || typeof value !== "string") {
+    return "";
+  }
+  const match = value.match(/<([^>]+)>/);
+  return (match ? match[1] : value).trim().toLowerCase();
+}
+
+/**
+ * Obtiene el dominio de una dirección de email
+ * @param {string} value - Dirección con o sin nombre visible
+ * @returns {string} - Dominio en minúsculas ("" si no tiene)
+ */
+function getDomain(value) {
+  const address = extractAddress(value);
+  const at = address.lastIndexOf("@");
+  return at === -1 ? "" : address.slice(at + 1);
+}
+
+/**
+ * Normaliza un campo de destinatarios (string o array) a un array
+ * @param {string|string[]|undefined} value - Campo to/cc/bcc
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  extractAddress,
+  getDomain,
+  toList,
+};
@@ -0,0 +1,2262 @@
+/**
+ * Aplicación del relay
+ *
+ * createApp arma la app de Express y todos sus servicios (cuentas SMTP, cola,
+ * scheduler, webhooks, listener SMTP...) leyendo la configuración del entorno,
+ * sin abrir puertos ni conectarse a IONOS. start() verifica el SMTP, arranca
+ * los workers y escucha; stop() los detiene. server.js es el punto de entrada
+ * del servicio y los tests construyen una app por caso con su propio entorno.
+ */
+
+const express = require("express");
+const cors = require("cors");
+const helmet = require("helmet");
+const rateLimit = require("express-rate-limit");
+const pinoHttp = require("pino-http");
+const {
+  validateSendEmail,
+  validateMessagesQuery,
+  validateTemplateRequest,
+  validateBatchRequest,
+  validateReschedule,
+  validateSuppression,
+} = require("./validate");
+const { appendToSent } = require("./imap");
+const { compileMessage } = require("./mime");
+const { loadApiKeys, createAuth, checkClientScopes } = require("./auth");
+const { toList } = require("./address");
+const { resolveSender } = require("./identities");
+const { loadAccounts, createAccounts } = require("./accounts");
+const { createPacer } = require("./pacing");
+const { createQueue } = require("./queue");
+const { createTemplateRenderer } = require("./templates");
+const { createBatchRunner, countItems } = require("./batch");
+const { createScheduler } = require("./scheduler");
+const { createIdempotency } = require("./idempotency");
+const { createSendLog, generateMessageId } = require("./sendlog");
+const { createBounceWatcher } = require("./bounces");
+const { createSuppressionList } = require("./suppressions");
+const { createSandbox } = require("./sandbox");
+const { loadWebhooks, createWebhooks } = require("./webhooks");
+const { createMetrics } = require("./metrics");
+const { createReadiness } = require("./health");
+const { createContentPipeline } = require("./content");
+const { loadDkimKeys, createDkimSigner } = require("./dkim");
+const { classifySmtpError, describeRejection } = require("./smtperrors");
+const {
+  createUploadParser,
+  createAttachmentResolver,
+  getAttachmentConfig,
+} = require("./attachments");
+const {
+  loadRelayUsers,
+  createSubmissionServer,
+  rewriteHeaders,
+} = require("./submission");
+
+/**
+ * Crea la aplicación
+ * @param {Object} params
+ * @param {Object} params.logger - Logger pino
+ * @returns {{app: Object, start: Function, stop: Function}}
+ * @throws {Error} - Si la configuración (API keys, cuentas, DKIM...) es inválida
+ */
+function createApp({ logger }) {
+  const app = express();
+
+  // Configurar trust proxy para Cloudflare/Render
+  app.set("trust proxy", 1);
+
+  // Middleware de logging con request ID
+  const httpLogger = pinoHttp({
+    logger,
+    genReqId: () => Math.random().toString(36).substring(2, 15),
+    // Incluir el cliente autenticado (si existe) junto al reqId
+    customProps: (req) => (req.client ? { client: req.client.name } : {}),
+  });
+
+  // Middlewares de seguridad y utilidad
+  app.use(helmet());
+  app.use(cors());
+  // Limite para attachments: el base64 de un mensaje del tamaño máximo de IONOS
+  const attachmentConfig = getAttachmentConfig();
+  app.use(
+    express.json({ limit: Math.ceil(attachmentConfig.maxMessageBytes * 1.05) })
+  );
+  app.use(httpLogger);
+
+  // Métricas Prometheus (GET /metrics)
+  const metrics = createMetrics();
+
+  // Contar las respuestas 429 de los rate limits (por API key, por IP o por
+  // cuota de la cuenta SMTP)
+  app.use((req, res, next) => {
+    res.on("finish", () => {
+      if (res.statusCode === 429) {
+        metrics.rateLimited.inc({
+          source: "http",
+          limiter:
+            res.locals.limiter || (res.locals.rateLimiter ? "client" : "ip"),
+        });
+      }
+    });
+    next();
+  });
+
+  // Función para extraer IP real detrás de proxies
+  const getRealIP = (req) => {
+    return (
+      req.headers["cf-connecting-ip"] || req.headers["x-real-ip"] || req.ip
+    );
+  };
+
+  // Rate limiting para el endpoint /send (el store se cierra en stop())
+  const sendRateLimitStore = new rateLimit.MemoryStore();
+  const sendRateLimit = rateLimit({
+    store: sendRateLimitStore,
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000, // 1 minuto por defecto
+    max: parseInt(process.env.RATE_LIMIT_MAX) || 30, // 30 requests por minuto por defecto
+    keyGenerator: getRealIP,
+    message: {
+      error: "Demasiadas solicitudes. Intente nuevamente en un momento.",
+      retryAfter: Math.ceil(
+        (parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000) / 1000
+      ),
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  // Procesamiento del HTML: texto alternativo, CSS inline, sanitización y avisos
+  const contentPipeline = createContentPipeline();
+
+  // Adjuntos por multipart/form-data, path local o URL
+  const uploadParser = createUploadParser(attachmentConfig);
+  const attachmentResolver = createAttachmentResolver(attachmentConfig);
+
+  // Autenticación por API key (deshabilitada si no hay keys configuradas)
+  let auth;
+  try {
+    auth = createAuth({
+      keys: loadApiKeys(),
+      fallbackRateLimit: sendRateLimit,
+    });
+  } catch (error) {
+    throw new Error(`Error cargando API keys: ${error.message}`);
+  }
+
+  // Cuentas SMTP de IONOS (SMTP_* o SMTP_ACCOUNTS / SMTP_ACCOUNTS_FILE), cada
+  // una con sus transporters, identidades de remitente e IMAP, y el ritmo de
+  // salida por cuenta para no superar las cuotas de IONOS
+  let accounts;
+  try {
+    const configured = loadAccounts();
+    accounts = createAccounts({
+      accounts: configured,
+      pacer: createPacer({ accounts: configured, logger }),
+      logger,
+    });
+  } catch (error) {
+    throw new Error(`Error cargando cuentas SMTP: ${error.message}`);
+  }
+  for (const name of auth.clients) {
+    const account = auth.getClient(name).account;
+    if (account && !accounts.get(account)) {
+      throw new Error(
+        `API key de "${name}" asociada a una cuenta SMTP inexistente (${account})`
+      );
+    }
+  }
+
+  // Firma DKIM con claves propias por dominio (DKIM_* o DKIM_KEYS)
+  let dkim;
+  try {
+    dkim = createDkimSigner({ keys: loadDkimKeys(), logger });
+  } catch (error) {
+    throw new Error(`Error cargando claves DKIM: ${error.message}`);
+  }
+  if (dkim.domains.length > 0) {
+    const unsigned = accounts
+      .identities()
+      .filter((identity) => dkim.keysFor(identity.address).length === 0)
+      .map((identity) => identity.address);
+    if (unsigned.length > 0) {
+      logger.warn(
+        { identities: unsigned },
+        "[DKIM] Identidades sin clave DKIM: se envían sin firma propia"
+      );
+    }
+  }
+
+  // Registro persistente de envíos (consultable vía GET /messages)
+  const sendLog = createSendLog({ logger });
+
+  // Webhooks con los eventos de entrega (WEBHOOKS o WEBHOOKS_FILE)
+  let webhooks = null;
+  try {
+    const subscriptions = loadWebhooks();
+    if (subscriptions.length > 0) {
+      webhooks = createWebhooks({ subscriptions, logger });
+    }
+  } catch (error) {
+    throw new Error(`Error configurando webhooks: ${error.message}`);
+  }
+
+  /**
+   * Emite un evento de webhook sobre un envío (si hay suscripciones)
+   * @param {string} type - sent, failed, sent_copy_saved, sent_copy_failed o bounced
+   * @param {string} messageId - Message-ID del envío
+   * @param {Object} data - Datos propios del evento
+   */
+  function emitEvent(type, messageId, data) {
+    if (!webhooks) {
+      return;
+    }
+    webhooks.emit(
+      type,
+      { messageId, ...data },
+      { client: sendLog.get(messageId)?.client }
+    );
+  }
+
+  /**
+   * Marca un envío como fallido y emite el evento "failed"
+   * @param {string} messageId - Message-ID del envío
+   * @param {Error} error - Error de nodemailer
+   * @param {Object} [changes] - Otros campos del send log
+   */
+  function recordFailure(messageId, error, changes = {}) {
+    const classified = classifySmtpError(error);
+    const rejections = error.rejectedErrors?.map(describeRejection);
+    metrics.emails.inc({ outcome: "failed", status: classified.status });
+    sendLog.update(messageId, {
+      ...changes,
+      status: "failed",
+      rejections,
+      error: failureRecord(error, classified),
+    });
+    emitEvent("failed", messageId, {
+      error: {
+        status: classified.status,
+        errorCode: classified.errorCode,
+        retryable: classified.retryable,
+        message: classified.message,
+        smtpMessage: error.message,
+        responseCode: classified.responseCode,
+        enhancedCode: classified.enhancedCode,
+      },
+      rejections,
+    });
+  }
+
+  /**
+   * Error que se guarda en el send log
+   * @param {Error} error - Error de nodemailer
+   * @param {Object} classified - Resultado de classifySmtpError
+   * @returns {Object}
+   */
+  function failureRecord(error, classified) {
+    return {
+      message: error.message,
+      status: classified.status,
+      errorCode: classified.errorCode,
+      retryable: classified.retryable,
+      responseCode: classified.responseCode,
+      enhancedCode: classified.enhancedCode,
+    };
+  }
+
+  /**
+   * Cuerpo de la respuesta HTTP de un envío fallido
+   * @param {Error} error - Error de nodemailer
+   * @param {Object} classified - Resultado de classifySmtpError
+   * @returns {Object}
+   */
+  function failureBody(error, classified) {
+    return {
+      error: classified.message,
+      errorCode: classified.errorCode,
+      retryable: classified.retryable,
+      retryAfter: classified.retryAfter,
+      responseCode: classified.responseCode,
+      enhancedCode: classified.enhancedCode,
+      detail: classified.detail,
+      // Todos los destinatarios rechazados: el motivo de cada uno
+      recipients: error.rejectedErrors?.map(describeRejection),
+      details:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    };
+  }
+
+  // Conexión IMAP de larga duración de la cuenta principal, compartida por las
+  // copias en "Enviados" y el watcher de rebotes (las demás cuentas abren la
+  // suya con la primera copia)
+  const imapClient =
+    process.env.SAVE_SENT_COPY === "true" ||
+    process.env.BOUNCE_WATCHER === "true"
+      ? accounts.imapClient()
+      : null;
+
+  // Copias en "Enviados" (SAVE_SENT_COPY=true): una cola persistente que
+  // reintenta los append fallidos
+  const sentCopies =
+    process.env.SAVE_SENT_COPY === "true"
+      ? createQueue({
+          logger,
+          name: "sent-copies",
+          deliver: async (payload, job) => {
+            const result = await appendToSent({
+              raw: Buffer.from(payload.raw, "base64"),
+              logger: logger.child({ sentCopyId: job.id }),
+              client: accounts.imapClient(payload.account),
+            });
+            if (result.status === "failed") {
+              throw new Error(result.error);
+            }
+            return result;
+          },
+          // Cualquier fallo IMAP se reintenta hasta agotar los intentos
+          isTransient: () => true,
+          summarize: (result) => ({
+            status: result.status,
+            mailbox: result.mailbox,
+          }),
+          onSuccess: (job, result) => {
+            // "skipped" no es una copia guardada
+            metrics.imapAppends.inc({ result: result.status });
+            sendLog.update(job.messageId, {
+              sentCopy: {
+                ...result,
+                jobId: job.id,
+                attempts: job.attempts,
+                at: new Date().toISOString(),
+              },
+            });
+            if (result.status === "saved") {
+              emitEvent("sent_copy_saved", job.messageId, {
+                mailbox: result.mailbox,
+                attempts: job.attempts,
+              });
+            }
+          },
+          onFailure: (job, error, { dead }) => {
+            metrics.imapAppends.inc({ result: "failed" });
+            sendLog.update(job.messageId, {
+              sentCopy: {
+                status: dead ? "failed" : "retrying",
+                jobId: job.id,
+                attempts: job.attempts,
+                error: error.message,
+                at: new Date().toISOString(),
+              },
+            });
+            if (dead) {
+              emitEvent("sent_copy_failed", job.messageId, {
+                error: error.message,
+                attempts: job.attempts,
+              });
+            }
+          },
+          options: {
+            maxAttempts: Number(process.env.SENT_COPY_MAX_ATTEMPTS) || 10,
+            baseMs: Number(process.env.SENT_COPY_BACKOFF_MS) || 60000,
+            maxMs: Number(process.env.SENT_COPY_MAX_BACKOFF_MS) || 3600000,
+            // Las copias guardadas no se conservan: el resultado queda en el send log
+            retentionMs: 0,
+          },
+        })
+      : null;
+
+  // Direcciones que no deben recibir más emails (GET/POST/DELETE /suppressions)
+  const suppressions = createSuppressionList({ logger });
+
+  // Envíos capturados en vez de entregados (SANDBOX_MODE o sandbox en la key)
+  const sandbox = createSandbox({ logger });
+
+  // Rebotes y respuestas automáticas leídos del buzón (BOUNCE_WATCHER=true).
+  // Un rebote permanente agrega el destinatario a la lista de supresión.
+  const bounceWatcher =
+    process.env.BOUNCE_WATCHER === "true"
+      ? createBounceWatcher({
+          imapClient,
+          sendLog,
+          logger,
+          onBounce: (bounce) => {
+            if (bounce.type === "hard" && bounce.recipient) {
+              suppressions.add({
+                email: bounce.recipient,
+                reason: "bounce",
+                note: bounce.diagnostic,
+              });
+            }
+            if (bounce.type !== "auto_reply") {
+              emitEvent("bounced", bounce.messageId, {
+                bounceId: bounce.id,
+                type: bounce.type,
+                recipient: bounce.recipient,
+                status: bounce.status,
+                diagnostic: bounce.diagnostic,
+              });
+            }
+          },
+        })
+      : null;
+
+  /**
+   * Marca un envío del sandbox como capturado (sin entrega SMTP)
+   * @param {string} messageId - Message-ID del envío
+   * @param {{from: string, to: string[]}} envelope - Sobre del mensaje
+   * @param {Object} captured - Mensaje guardado por sandbox.capture
+   * @param {Object} meta - log y reqId
+   * @returns {Object} - Resultado con la forma de la info de nodemailer
+   */
+  function recordCaptured(messageId, envelope, captured, { log, reqId }) {
+    metrics.emails.inc({ outcome: "captured", status: 200 });
+    sendLog.update(messageId, {
+      status: "captured",
+      accepted: envelope.to,
+      rejected: [],
+      deferredUntil: undefined,
+      error: undefined,
+      sentAt: new Date().toISOString(),
+    });
+    emitEvent("sent", messageId, {
+      status: "captured",
+      sandboxId: captured.id,
+      accepted: envelope.to,
+      rejected: [],
+    });
+    log.info(
+      { reqId, messageId, sandboxId: captured.id, recipients: envelope.to },
+      "Email captured by sandbox"
+    );
+    return { accepted: envelope.to, rejected: [], sandboxId: captured.id };
+  }
+
+  /**
+   * Envía un email ya validado por SMTP y dispara el hook IMAP
+   * @param {Object} data - Datos validados por validateSendEmail, o {raw, envelope}
+   *   para mensajes recibidos por el listener SMTP (raw en base64)
+   * @param {Object} log - Logger pino (de la request o del worker)
+   * @param {Object} meta
+   * @param {string} [meta.reqId] - Request ID para trazabilidad
+   * @param {string} meta.messageId - Message-ID asignado al email
+   * @returns {Promise<Object>} - Info de nodemailer más rejections (motivo de cada rechazo)
+   */
+  async function deliverEmail(data, log, { reqId, messageId }) {
+    const {
+      from,
+      to,
+      cc,
+      bcc,
+      replyTo,
+      inReplyTo,
+      references,
+      headers,
+      subject,
+      text,
+      html,
+      attachments,
+    } = data;
+
+    // Procesar attachments si existen
+    const processedAttachments = attachments
+      ? attachments.map((att) => ({
+          filename: att.filename,
+          content: Buffer.from(att.content, "base64"),
+          contentType: att.contentType,
+          cid: att.cid,
+        }))
+      : undefined;
+
+    // Configurar el email
+    const mailOptions = {
+      messageId,
+      from: from || (accounts.get(data.account) || accounts.primary).from,
+      to: to,
+      cc: cc,
+      bcc: bcc,
+      replyTo: replyTo,
+      inReplyTo: inReplyTo,
+      references: references,
+      headers: headers,
+      subject: subject,
+      text: text,
+      html: html,
+      attachments: processedAttachments,
+    };
+
+    log.info(
+      {
+        reqId,
+        to: to || data.envelope?.to,
+        subject,
+        hasAttachments: !!processedAttachments,
+      },
+      "Sending email"
+    );
+
+    // Compilar el mensaje una sola vez: los mismos bytes van por SMTP y a
+    // "Enviados". Los mensajes del listener SMTP se reenvían tal cual.
+    const compiled = data.raw
+      ? { raw: Buffer.from(data.raw, "base64"), envelope: data.envelope }
+      : await compileMessage(mailOptions);
+    const { envelope } = compiled;
+
+    // Firmar con DKIM según el dominio del remitente (en el listener, el sobre
+    // es la identidad que corresponde al From del mensaje)
+    const raw = await dkim.sign(
+      compiled.raw,
+      data.raw ? envelope.from : mailOptions.from
+    );
+
+    // Modo sandbox: el mensaje se guarda y solo sale si hay casilla de prueba
+    let outgoing = { envelope, raw };
+    let captured;
+    if (data.sandbox) {
+      const redirectedTo = data.sandbox.redirectTo;
+      captured = sandbox.capture({
+        raw,
+        envelope,
+        messageId,
+        record: sendLog.get(messageId),
+        redirectedTo,
+      });
+      sendLog.update(messageId, {
+        sandbox: { ...data.sandbox, id: captured.id },
+      });
+      if (!redirectedTo) {
+        return recordCaptured(messageId, envelope, captured, { log, reqId });
+      }
+      outgoing = sandbox.redirect(raw, envelope, redirectedTo);
+    }
+
+    // Enviar el email por su cuenta, con failover (midiendo la latencia SMTP)
+    const endTimer = metrics.smtpDuration.startTimer();
+    let sent;
+    try {
+      sent = await accounts.send(data.account, outgoing);
+      endTimer({ result: "success" });
+    } catch (error) {
+      endTimer({ result: "error" });
+      throw error;
+    }
+
+    const { info } = sent;
+    const status = info.rejected?.length ? "partial" : "sent";
+    // Envío parcial: el motivo del rechazo de cada destinatario
+    const rejections = info.rejectedErrors?.length
+      ? info.rejectedErrors.map(describeRejection)
+      : undefined;
+    metrics.emails.inc({ outcome: status, status: 200 });
+    sendLog.update(messageId, {
+      status,
+      accepted: info.accepted,
+      rejected: info.rejected,
+      rejections,
+      smtpResponse: info.response,
+      account: sent.account,
+      smtpHost: sent.host,
+      failover: sent.failover || undefined,
+      deferredUntil: undefined,
+      error: undefined,
+      sentAt: new Date().toISOString(),
+    });
+    emitEvent("sent", messageId, {
+      status,
+      account: sent.account,
+      accepted: info.accepted,
+      rejected: info.rejected,
+      rejections,
+      smtpResponse: info.response,
+    });
+
+    // Hook IMAP: encolar la copia en "Enviados" (no bloquea la respuesta; los
+    // append fallidos se reintentan en segundo plano). Los envíos del sandbox
+    // no ensucian el buzón real.
+    if (sentCopies && !captured) {
+      const job = sentCopies.enqueue(
+        { raw: raw.toString("base64"), account: sent.account },
+        { client: sendLog.get(messageId)?.client, reqId, messageId }
+      );
+      sendLog.update(messageId, {
+        sentCopy: { status: "pending", jobId: job.id },
+      });
+    }
+
+    log.info(
+      {
+        reqId,
+        messageId,
+        accepted: info.accepted,
+        rejected: info.rejected,
+      },
+      "Email sent successfully"
+    );
+
+    return { ...info, rejections, sandboxId: captured?.id };
+  }
+
+  // Cola persistente opcional (QUEUE_MODE=true): /send responde 202 con jobId
+  const queue =
+    process.env.QUEUE_MODE === "true"
+      ? createQueue({
+          logger,
+          deliver: (payload, job) =>
+            deliverEmail(payload, logger.child({ jobId: job.id }), {
+              reqId: job.reqId,
+              messageId: job.messageId,
+            }),
+          onFailure: (job, error, { dead }) => {
+            if (dead) {
+              recordFailure(job.messageId, error, { attempts: job.attempts });
+              return;
+            }
+            sendLog.update(job.messageId, {
+              status: "queued",
+              attempts: job.attempts,
+              error: failureRecord(error, classifySmtpError(error)),
+            });
+          },
+          // Sin cupo en la cuenta: el job espera sin gastar intentos
+          onDefer: (job, error) => {
+            metrics.rateLimited.inc({ source: "queue", limiter: "account" });
+            sendLog.update(job.messageId, {
+              status: "queued",
+              deferredUntil: job.nextAttemptAt,
+              error: { message: error.message, status: 429 },
+            });
+          },
+        })
+      : null;
+
+  /**
+   * Despacha un envío programado vencido: lo encola o lo entrega directamente
+   * @param {Object} entry - Registro del scheduler
+   */
+  async function dispatchScheduled(entry) {
+    const { payload, client, reqId, messageId } = entry;
+
+    if (queue) {
+      const job = queue.enqueue(payload, { client, reqId, messageId });
+      sendLog.update(messageId, { status: "queued", jobId: job.id });
+      return;
+    }
+
+    sendLog.update(messageId, { status: "sending" });
+    try {
+      await deliverEmail(payload, logger.child({ scheduledId: entry.id }), {
+        reqId,
+        messageId,
+      });
+    } catch (error) {
+      if (error.code === "EPACING") {
+        // Sin cupo en la cuenta: el scheduler lo reprograma para cuando haya
+        error.sendAt = new Date(Date.now() + error.retryAfterMs).toISOString();
+        metrics.rateLimited.inc({ source: "scheduler", limiter: "account" });
+        sendLog.update(messageId, {
+          status: "scheduled",
+          sendAt: error.sendAt,
+        });
+      } else {
+        recordFailure(messageId, error);
+      }
+      throw error;
+    }
+  }
+
+  // Envíos programados con sendAt (sobreviven reinicios)
+  const scheduler = createScheduler({ logger, dispatch: dispatchScheduled });
+
+  // Idempotency-Key para los endpoints de envío
+  const idempotency = createIdempotency({ logger });
+
+  // Endpoint de health check
+  app.get("/health", (req, res) => {
+    req.log.info("Health check requested");
+    res.json({ status: "ok" });
+  });
+
+  // Disponibilidad real: SMTP (verify con login) e IMAP, cada uno por separado.
+  // En modo cola un SMTP caído no impide aceptar emails: queda "degraded" (igual
+  // que en el sandbox global sin casilla de prueba, que no entrega nada).
+  const readiness = createReadiness({
+    transporters: Object.fromEntries(
+      accounts
+        .list()
+        .map((account) => [account.name, account.transports[0].transporter])
+    ),
+    imapClient,
+    smtpRequired: !queue && !sandbox.captureOnly,
+  });
+
+  app.get("/health/ready", async (req, res) => {
+    const result = await readiness.check();
+    if (result.status === "not_ready") {
+      req.log.warn({ components: result.components }, "Service not ready");
+    }
+    res.status(result.status === "not_ready" ? 503 : 200).json(result);
+  });
+
+  // Colas observadas por relay_queue_jobs
+  for (const [name, source] of [
+    ["queue", queue],
+    ["sent-copies", sentCopies],
+    ["webhooks", webhooks],
+  ]) {
+    if (source) {
+      metrics.watchQueue(name, source.stats);
+    }
+  }
+
+  // Métricas en formato Prometheus (METRICS_TOKEN opcional como Bearer)
+  app.get("/metrics", async (req, res) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      return res.status(401).json({ error: "Token de métricas inválido" });
+    }
+    res.set("Content-Type", metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
+  });
+
+  // Plantillas del servidor (TEMPLATES_DIR, por defecto ./templates)
+  const templates = createTemplateRenderer({ logger });
+
+  /**
+   * Valida la request de plantilla y la renderiza. Si falla responde con el
+   * error correspondiente y devuelve null.
+   * @param {Object} req - Request de Express
+   * @param {Object} res - Response de Express
+   * @returns {{input: Object, output: {subject: string, html?: string, text?: string}}|null}
+   */
+  function renderTemplateRequest(req, res) {
+    const validation = validateTemplateRequest(req.body);
+
+    if (!validation.success) {
+      req.log.warn(
+        { reqId: req.id, errors: validation.error },
+        "Template validation failed"
+      );
+      res.status(422).json({
+        error: "Datos de entrada inválidos",
+        details: validation.error,
+      });
+      return null;
+    }
+
+    const { template, data, locale } = validation.data;
+    try {
+      const output = templates.render(template, data, locale);
+      return { input: validation.data, output };
+    } catch (error) {
+      const status = error.code === "TEMPLATE_NOT_FOUND" ? 404 : 422;
+      req.log.warn(
+        { reqId: req.id, template, error: error.message },
+        "Template render failed"
+      );
+      res.status(status).json({
+        error:
+          status === 404
+            ? "Plantilla no encontrada"
+            : "Error al renderizar la plantilla",
+        details: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Respuesta de un envío rechazado por la cuota de salida de la cuenta
+   * @param {Object} log - Logger de la request
+   * @param {Object} params - reqId, account y waitMs (hasta que haya cupo)
+   * @returns {{status: number, retryAfter: number, body: Object}}
+   */
+  function paced(log, { reqId, account, waitMs }) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    log.warn({ reqId, account, retryAfter }, "Account sending quota reached");
+    return {
+      status: 429,
+      retryAfter,
+      body: {
+        error: "Cuota de envío de la cuenta alcanzada",
+        errorCode: "account_quota",
+        retryable: true,
+        retryAfter,
+      },
+    };
+  }
+
+  /**
+   * Responde una request de envío con el resultado de submitEmail
+   * @param {Object} res - Response de Express
+   * @param {{status: number, body: Object, retryAfter?: number}} result
+   */
+  function sendResult(res, result) {
+    if (result.retryAfter) {
+      res.set("Retry-After", String(result.retryAfter));
+    }
+    // 429 de la cuenta SMTP (cuota del limitador de salida o del servidor)
+    if (result.status === 429 && result.body?.errorCode) {
+      res.locals.limiter = "account";
+    }
+    res.status(result.status).json(result.body);
+  }
+
+  /**
+   * Valida, autoriza y entrega (o encola) un email. Camino común de todos los
+   * endpoints de envío.
+   * @param {Object} input - Body con el formato de POST /send
+   * @param {Object} ctx
+   * @param {Object} ctx.log - Logger de la request
+   * @param {string} ctx.reqId - Request ID
+   * @param {Object} [ctx.client] - Cliente autenticado (req.client)
+   * @returns {Promise<{status: number, body: Object, retryAfter?: number}>} - Respuesta HTTP
+   */
+  async function submitEmail(input, { log, reqId, client }) {
+    let messageId;
+    try {
+      // Validar el body de la request
+      const validation = validateSendEmail(input);
+
+      if (!validation.success) {
+        log.warn({ reqId, errors: validation.error }, "Validation failed");
+        return {
+          status: 422,
+          body: {
+            error: "Datos de entrada inválidos",
+            details: validation.error,
+          },
+        };
+      }
+
+      // Elegir la cuenta SMTP: campo account, cuenta de la API key o remitente
+      const selected = accounts.select({
+        account: validation.data.account,
+        client,
+        from: validation.data.from,
+      });
+
+      if (selected.error) {
+        log.warn({ reqId, error: selected.error }, "Unknown SMTP account");
+        return {
+          status: 422,
+          body: {
+            error: "Datos de entrada inválidos",
+            details: [{ path: ["account"], message: selected.error }],
+          },
+        };
+      }
+      const { account } = selected;
+
+      // Resolver el remitente contra las identidades de la cuenta
+      const sender = resolveSender(validation.data.from, account.identities);
+
+      if (!sender.allowed) {
+        log.warn({ reqId, from: sender.address }, "Sender not allowed");
+        return {
+          status: 422,
+          body: {
+            error: "Datos de entrada inválidos",
+            details: [
+              {
+                path: ["from"],
+                message: `Remitente no permitido: ${sender.address || "?"}`,
+              },
+            ],
+          },
+        };
+      }
+
+      const { sendAt, processing, ...fields } = validation.data;
+      const email = {
+        ...fields,
+        from: sender.from,
+        account: account.name,
+        sandbox: sandbox.modeFor(client),
+      };
+      const { from, subject } = email;
+      const { to, cc, bcc } = email;
+
+      // Verificar permisos del cliente autenticado
+      const scopes = checkClientScopes(client, {
+        from,
+        recipients: [...toList(to), ...toList(cc), ...toList(bcc)],
+      });
+
+      if (!scopes.allowed) {
+        log.warn({ reqId, errors: scopes.errors }, "Scope check failed");
+        return {
+          status: 403,
+          body: {
+            error: "Operación no permitida para este cliente",
+            details: scopes.errors,
+          },
+        };
+      }
+
+      // Quitar (o rechazar) los destinatarios de la lista de supresión
+      const { suppressed, ...allowed } = suppressions.filter({ to, cc, bcc });
+      const reported = suppressed.length > 0 ? suppressed : undefined;
+      const remaining =
+        allowed.to.length + allowed.cc.length + allowed.bcc.length;
+
+      if (suppressed.length > 0) {
+        if (suppressions.mode === "reject" || remaining === 0) {
+          log.warn({ reqId, suppressed }, "Suppressed recipients rejected");
+          return {
+            status: 422,
+            body: {
+              error: "Destinatarios en la lista de supresión",
+              suppressed,
+            },
+          };
+        }
+        log.info({ reqId, suppressed }, "Suppressed recipients dropped");
+        for (const field of ["to", "cc", "bcc"]) {
+          email[field] = allowed[field].length > 0 ? allowed[field] : undefined;
+        }
+      }
+
+      // Límite de destinatarios por mensaje de la cuenta
+      if (
+        account.limits.maxRecipients &&
+        remaining > account.limits.maxRecipients
+      ) {
+        log.warn(
+          { reqId, account: account.name, recipients: remaining },
+          "Too many recipients for account"
+        );
+        return {
+          status: 422,
+          body: {
+            error: "Datos de entrada inválidos",
+            details: [
+              {
+                path: ["to"],
+                message: `La cuenta ${account.name} admite hasta ${account.limits.maxRecipients} destinatarios por mensaje`,
+              },
+            ],
+          },
+        };
+      }
+
+      // Procesar el HTML (sanitizar, CSS inline, generar el texto)
+      const content = contentPipeline.apply(email, processing);
+      email.html = content.html;
+      email.text = content.text;
+      const warnings =
+        content.warnings.length > 0 ? content.warnings : undefined;
+      if (warnings) {
+        log.warn({ reqId, warnings }, "Content warnings");
+      }
+
+      // Resolver adjuntos por path o URL a contenido y revisarlos (antes de
+      // encolar o programar)
+      try {
+        email.attachments = await attachmentResolver.resolve(
+          email.attachments,
+          {
+            bodyBytes:
+              Buffer.byteLength(email.text || "") +
+              Buffer.byteLength(email.html || ""),
+          }
+        );
+      } catch (error) {
+        if (error.code !== "EATTACHMENT") {
+          throw error;
+        }
+        log.warn(
+          { reqId, error: error.message, details: error.details },
+          "Attachment rejected"
+        );
+        return {
+          status: error.status,
+          body: {
+            error: "Adjunto inválido",
+            details: error.details || [error.message],
+          },
+        };
+      }
+
+      // Envío programado: solo si sendAt está en el futuro
+      const scheduled = sendAt && Date.parse(sendAt) > Date.now();
+
+      // Sin cola, un envío inmediato sin cupo en la cuenta se rechaza ya (la
+      // cola y el scheduler, en cambio, lo difieren hasta que haya cupo). En el
+      // sandbox solo cuenta lo que va a la casilla de prueba.
+      const outbound = email.sandbox
+        ? Number(Boolean(email.sandbox.redirectTo))
+        : remaining;
+      if (!scheduled && !queue && outbound > 0) {
+        const waitMs = accounts.waitFor(account.name, from, outbound);
+        if (waitMs > 0) {
+          return paced(log, { reqId, account: account.name, waitMs });
+        }
+      }
+
+      // Registrar el envío antes de entregarlo
+      messageId = generateMessageId(from);
+      sendLog.create({
+        messageId,
+        status: scheduled ? "scheduled" : queue ? "queued" : "sending",
+        client: client?.name,
+        reqId,
+        account: account.name,
+        sandbox: email.sandbox,
+        from,
+        to: email.to,
+        cc: email.cc,
+        bcc: email.bcc,
+        subject,
+        suppressed: reported,
+        warnings,
+        attachments: email.attachments?.map(
+          ({ filename, contentType, size }) => ({
+            filename,
+            contentType,
+            size,
+          })
+        ),
+      });
+
+      if (scheduled) {
+        const entry = scheduler.schedule(email, {
+          sendAt,
+          client: client?.name,
+          reqId,
+          messageId,
+        });
+        sendLog.update(messageId, {
+          scheduledId: entry.id,
+          sendAt: entry.sendAt,
+        });
+        return {
+          status: 202,
+          body: {
+            scheduledId: entry.id,
+            messageId,
+            sendAt: entry.sendAt,
+            status: entry.status,
+            suppressed: reported,
+            warnings,
+          },
+        };
+      }
+
+      // Modo cola: persistir y responder sin esperar al SMTP
+      if (queue) {
+        const job = queue.enqueue(email, {
+          client: client?.name,
+          reqId,
+          messageId,
+        });
+        sendLog.update(messageId, { jobId: job.id });
+        return {
+          status: 202,
+          body: {
+            jobId: job.id,
+            messageId,
+            status: job.status,
+            suppressed: reported,
+            warnings,
+          },
+        };
+      }
+
+      const info = await deliverEmail(email, log, { reqId, messageId });
+
+      // Respuesta exitosa
+      return {
+        status: 200,
+        body: {
+          messageId,
+          accepted: info.accepted,
+          rejected: info.rejected,
+          rejections: info.rejections,
+          // Cuenta que hizo el envío (otra si hubo failover)
+          account: sendLog.get(messageId)?.account,
+          sandboxId: info.sandboxId,
+          suppressed: reported,
+          warnings,
+        },
+      };
+    } catch (error) {
+      const classified = classifySmtpError(error);
+
+      if (messageId) {
+        recordFailure(messageId, error);
+      }
+
+      log.error(
+        {
+          reqId,
+          error: error.message,
+          stack: error.stack,
+          mappedStatus: classified.status,
+          errorCode: classified.errorCode,
+        },
+        "Error sending email"
+      );
+
+      return {
+        status: classified.status,
+        retryAfter: classified.retryAfter,
+        body: failureBody(error, classified),
+      };
+    }
+  }
+
+  /**
+   * Autoriza y entrega (o encola) un mensaje recibido por el listener SMTP.
+   * Sigue las mismas reglas que submitEmail pero reenvía el mensaje tal cual.
+   * @param {Object} submission
+   * @param {Buffer} submission.raw - Mensaje recibido por DATA
+   * @param {{from: string, to: string[]}} submission.envelope - Sobre SMTP
+   * @param {Object} submission.message - Datos leídos por parseMessage
+   * @param {Object} ctx - log, reqId y client (usuario del listener)
+   * @returns {Promise<{status: number, body: Object, responseCode?: number}>}
+   */
+  async function submitRawEmail(
+    { raw, envelope, message },
+    { log, reqId, client }
+  ) {
+    let messageId;
+    try {
+      // La cuenta sale del usuario del listener o del From; el remitente
+      // visible debe ser una identidad permitida de esa cuenta
+      const { account } = accounts.select({ client, from: message.from });
+      const sender = message.from
+        ? resolveSender(message.from, account.identities)
+        : { allowed: false };
+
+      if (!sender.allowed) {
+        log.warn({ reqId, from: sender.address }, "Sender not allowed");
+        return {
+          status: 422,
+          body: {
+            error: "Datos de entrada inválidos",
+            details: [
+              message.from
+                ? `Remitente no permitido: ${sender.address || "?"}`
+                : "El mensaje no tiene header From",
+            ],
+          },
+        };
+      }
+
+      const scopes = checkClientScopes(client, {
+        from: sender.address,
+        recipients: envelope.to,
+      });
+
+      if (!scopes.allowed) {
+        log.warn({ reqId, errors: scopes.errors }, "Scope check failed");
+        return {
+          status: 403,
+          body: {
+            error: "Operación no permitida para este cliente",
+            details: scopes.errors,
+          },
+        };
+      }
+
+      // El send log se indexa por Message-ID: uno ya registrado (reenvío del
+      // mismo mensaje o ID ajeno) pisaría el registro existente. Se admite el
+      // reintento del mismo cliente tras un fallo (p. ej. después de un 451)
+      const previous = message.messageId && sendLog.get(message.messageId);
+      if (
+        previous &&
+        !(previous.status === "failed" && previous.client === client?.name)
+      ) {
+        log.warn(
+          { reqId, messageId: message.messageId },
+          "Duplicate Message-ID rejected"
+        );
+        return {
+          status: 409,
+          body: { error: "El Message-ID ya corresponde a otro envío" },
+        };
+      }
+
+      // Los destinatarios suprimidos se quitan del sobre (o se rechaza todo)
+      const { suppressed, to: recipients } = suppressions.filter({
+        to: envelope.to,
+      });
+      if (
+        suppressed.length > 0 &&
+        (suppressions.mode === "reject" || recipients.length === 0)
+      ) {
+        log.warn({ reqId, suppressed }, "Suppressed recipients rejected");
+        return {
+          status: 422,
+          body: { error: "Destinatarios en la lista de supresión", suppressed },
+        };
+      }
+      if (
+        account.limits.maxRecipients &&
+        recipients.length > account.limits.maxRecipients
+      ) {
+        log.warn(
+          { reqId, account: account.name, recipients: recipients.length },
+          "Too many recipients for account"
+        );
+        return {
+          status: 422,
+          body: {
+            error: "Datos de entrada inválidos",
+            details: [
+              `La cuenta ${account.name} admite hasta ${account.limits.maxRecipients} destinatarios por mensaje`,
+            ],
+          },
+        };
+      }
+
+      const sandboxMode = sandbox.modeFor(client);
+      const outbound = sandboxMode
+        ? Number(Boolean(sandboxMode.redirectTo))
+        : recipients.length;
+      if (!queue && outbound > 0) {
+        const waitMs = accounts.waitFor(account.name, sender.address, outbound);
+        if (waitMs > 0) {
+          return paced(log, { reqId, account: account.name, waitMs });
+        }
+      }
+
+      messageId = message.messageId || generateMessageId(sender.address);
+      const payload = {
+        raw: rewriteHeaders(raw, { messageId }).toString("base64"),
+        // IONOS exige que el remitente del sobre sea una identidad de la cuenta
+        envelope: { from: sender.address, to: recipients },
+        account: account.name,
+        sandbox: sandboxMode,
+      };
+
+      sendLog.create({
+        messageId,
+        status: queue ? "queued" : "sending",
+        client: client?.name,
+        reqId,
+        account: account.name,
+        sandbox: sandboxMode,
+        source: "smtp",
+        from: message.from,
+        to: message.to,
+        cc: message.cc,
+        bcc: message.bcc,
+        subject: message.subject,
+        suppressed: suppressed.length > 0 ? suppressed : undefined,
+      });
+
+      if (queue) {
+        const job = queue.enqueue(payload, {
+          client: client?.name,
+          reqId,
+          messageId,
+        });
+        sendLog.update(messageId, { jobId: job.id });
+        return {
+          status: 202,
+          body: { jobId: job.id, messageId, status: job.status },
+        };
+      }
+
+      const info = await deliverEmail(payload, log, { reqId, messageId });
+      return {
+        status: 200,
+        body: {
+          messageId,
+          accepted: info.accepted,
+          rejected: info.rejected,
+          rejections: info.rejections,
+          sandboxId: info.sandboxId,
+        },
+      };
+    } catch (error) {
+      const classified = classifySmtpError(error);
+
+      if (messageId) {
+        recordFailure(messageId, error);
+      }
+
+      log.error(
+        {
+          reqId,
+          error: error.message,
+          mappedStatus: classified.status,
+          errorCode: classified.errorCode,
+        },
+        "Error relaying SMTP message"
+      );
+
+      return {
+        status: classified.status,
+        body: { error: classified.message, errorCode: classified.errorCode },
+        responseCode: classified.responseCode,
+      };
+    }
+  }
+
+  // Listener SMTP de entrada opcional (SMTP_LISTENER=true)
+  let submissionServer = null;
+  if (process.env.SMTP_LISTENER === "true") {
+    try {
+      const users = loadRelayUsers();
+      const unknown = users.find((u) => u.account && !accounts.get(u.account));
+      if (unknown) {
+        throw new Error(
+          `Usuario ${unknown.username}: cuenta SMTP inexistente (${unknown.account})`
+        );
+      }
+      submissionServer = createSubmissionServer({
+        users,
+        submit: submitRawEmail,
+        logger,
+        onRateLimit: () =>
+          metrics.rateLimited.inc({ source: "smtp", limiter: "client" }),
+      });
+    } catch (error) {
+      throw new Error(`Error configurando listener SMTP: ${error.message}`);
+    }
+  }
+
+  // Endpoint principal para envío de emails
+  app.post(
+    "/send",
+    auth.authenticate,
+    uploadParser,
+    idempotency.middleware,
+    auth.clientRateLimit,
+    async (req, res) => {
+      const reqId = req.id;
+      req.log.info(
+        {
+          reqId,
+          body: {
+            ...req.body,
+            attachments: req.body.attachments
+              ? `[${req.body.attachments.length} attachments]`
+              : undefined,
+          },
+        },
+        "Send email request received"
+      );
+
+      const result = await submitEmail(req.body, {
+        log: req.log,
+        reqId,
+        client: req.client,
+      });
+      sendResult(res, result);
+    }
+  );
+
+  // Envío con plantilla del servidor: renderiza y sigue el camino de /send
+  app.post(
+    "/send/template",
+    auth.authenticate,
+    uploadParser,
+    idempotency.middleware,
+    auth.clientRateLimit,
+    async (req, res) => {
+      const reqId = req.id;
+      const rendered = renderTemplateRequest(req, res);
+      if (!rendered) {
+        return;
+      }
+
+      const { template, message } = rendered.input;
+      req.log.info(
+        { reqId, template, to: message.to },
+        "Send template request received"
+      );
+
+      const result = await submitEmail(
+        { ...message, ...rendered.output },
+        { log: req.log, reqId, client: req.client }
+      );
+      sendResult(res, result);
+    }
+  );
+
+  /**
+   * Arma el payload de /send de un ítem de un lote
+   * @param {Object} request - Body validado de POST /send/batch
+   * @param {number} index - Posición del ítem
+   * @returns {Object} - Payload con el formato de POST /send
+   */
+  function prepareBatchItem(request, index) {
+    if (request.messages) {
+      return request.messages[index];
+    }
+    const { template, data, locale, recipients, ...shared } = request;
+    const { data: vars, locale: itemLocale, ...fields } = recipients[index];
+    const rendered = templates.render(
+      template,
+      { ...data, ...vars },
+      itemLocale || locale
+    );
+    return { ...shared, ...fields, ...rendered };
+  }
+
+  // Lotes de envío: cada ítem sigue el camino de /send, con pausa entre envíos
+  const batches = createBatchRunner({
+    logger,
+    prepare: prepareBatchItem,
+    submit: (payload, batch) =>
+      submitEmail(payload, {
+        log: logger.child({ batchId: batch.id }),
+        reqId: batch.reqId,
+        client: batch.client ? auth.getClient(batch.client) : undefined,
+      }),
+  });
+
+  // Envío por lotes: lista de mensajes o plantilla + destinatarios
+  app.post(
+    "/send/batch",
+    auth.authenticate,
+    idempotency.middleware,
+    auth.clientRateLimit,
+    (req, res) => {
+      const reqId = req.id;
+      const validation = validateBatchRequest(req.body, {
+        maxItems: Number(process.env.BATCH_MAX_ITEMS) || 1000,
+      });
+
+      if (!validation.success) {
+        req.log.warn(
+          { reqId, errors: validation.error },
+          "Batch validation failed"
+        );
+        return res.status(422).json({
+          error: "Datos de entrada inválidos",
+          details: validation.error,
+        });
+      }
+
+      const { template } = validation.data;
+      if (template && !templates.list().includes(template)) {
+        return res.status(404).json({
+          error: "Plantilla no encontrada",
+          details: `Plantilla "${template}" no existe`,
+        });
+      }
+
+      const batch = batches.create(validation.data, {
+        client: req.client?.name,
+        reqId,
+      });
+      req.log.info(
+        { reqId, batchId: batch.id, total: batch.total, template },
+        "Batch accepted"
+      );
+      res.status(202).json({
+        batchId: batch.id,
+        status: batch.status,
+        total: batch.total,
+      });
+    }
+  );
+
+  // Estado de un lote con el resultado de cada ítem
+  app.get("/batches/:id", auth.authenticate, (req, res) => {
+    const batch = batches.get(req.params.id);
+    if (!batch || (req.client && batch.client !== req.client.name)) {
+      return res.status(404).json({ error: "Lote no encontrado" });
+    }
+    res.json({
+      batchId: batch.id,
+      status: batch.status,
+      total: batch.total,
+      resumeAt: batch.resumeAt,
+      counts: countItems(batch.items),
+      createdAt: batch.createdAt,
+      completedAt: batch.completedAt,
+      items: batch.items,
+    });
+  });
+
+  // Vista previa de una plantilla sin enviar
+  app.post("/send/template/preview", auth.authenticate, (req, res) => {
+    const rendered = renderTemplateRequest(req, res);
+    if (!rendered) {
+      return;
+    }
+    res.json({ template: rendered.input.template, ...rendered.output });
+  });
+
+  // Endpoints de la cola (solo en QUEUE_MODE)
+  if (queue) {
+    // Los clientes autenticados solo ven sus propios jobs
+    const visibleTo = (req, job) =>
+      job && (!req.client || job.client === req.client.name);
+
+    // Vista pública de un job (sin el payload completo)
+    const jobView = (job) => ({
+      jobId: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      nextAttemptAt: job.status === "pending" ? job.nextAttemptAt : undefined,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      to: job.payload.to || job.payload.envelope?.to,
+      subject: job.payload.subject,
+      result: job.result,
+      lastError: job.lastError,
+    });
+
+    // Listar jobs, opcionalmente filtrados por estado (?status=dead)
+    app.get("/jobs", auth.authenticate, (req, res) => {
+      const { status } = req.query;
+      const jobs = queue
+        .list(
+          (job) => visibleTo(req, job) && (!status || job.status === status)
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(jobView);
+      res.json({ jobs, stats: queue.stats() });
+    });
+
+    app.get("/jobs/:id", auth.authenticate, (req, res) => {
+      const job = queue.get(req.params.id);
+      if (!visibleTo(req, job)) {
+        return res.status(404).json({ error: "Job no encontrado" });
+      }
+      res.json(jobView(job));
+    });
+
+    // Reintentar un job en dead-letter
+    app.post("/jobs/:id/retry", auth.authenticate, (req, res) => {
+      const job = queue.get(req.params.id);
+      if (!visibleTo(req, job)) {
+        return res.status(404).json({ error: "Job no encontrado" });
+      }
+      if (job.status !== "dead") {
+        return res
+          .status(409)
+          .json({ error: "Solo se pueden reintentar jobs en dead-letter" });
+      }
+      req.log.info({ reqId: req.id, jobId: job.id }, "Reintentando job");
+      sendLog.update(job.messageId, { status: "queued" });
+      res.json(jobView(queue.retry(job.id)));
+    });
+  }
+
+  // Copias en "Enviados" pendientes o fallidas (solo con SAVE_SENT_COPY)
+  if (sentCopies) {
+    const visibleTo = (req, job) =>
+      job && (!req.client || job.client === req.client.name);
+
+    // Vista pública de una copia (sin el mensaje raw)
+    const sentCopyView = (job) => ({
+      sentCopyId: job.id,
+      messageId: job.messageId,
+      status: job.status,
+      attempts: job.attempts,
+      nextAttemptAt: job.status === "pending" ? job.nextAttemptAt : undefined,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      result: job.result,
+      lastError: job.lastError,
+    });
+
+    // Listar copias, opcionalmente filtradas por estado (?status=dead)
+    app.get("/sent-copies", auth.authenticate, (req, res) => {
+      const { status } = req.query;
+      const copies = sentCopies
+        .list(
+          (job) => visibleTo(req, job) && (!status || job.status === status)
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(sentCopyView);
+      res.json({
+        sentCopies: copies,
+        stats: sentCopies.stats(),
+        imapConnected: imapClient.isConnected(),
+        mailbox: imapClient.getMailbox(),
+      });
+    });
+
+    // Volver a descubrir la carpeta de enviados (p. ej. tras renombrarla)
+    app.post(
+      "/sent-copies/mailbox/refresh",
+      auth.authenticate,
+      async (req, res) => {
+        try {
+          const mailbox = await imapClient.refreshMailbox();
+          req.log.info(
+            { reqId: req.id, mailbox },
+            "Carpeta de enviados refrescada"
+          );
+          res.json({ mailbox });
+        } catch (error) {
+          req.log.warn(
+            { reqId: req.id, error: error.message },
+            "No se pudo refrescar la carpeta de enviados"
+          );
+          res.status(502).json({
+            error: "No se pudo resolver la carpeta de enviados",
+            details: error.message,
+          });
+        }
+      }
+    );
+
+    app.get("/sent-copies/:id", auth.authenticate, (req, res) => {
+      const job = sentCopies.get(req.params.id);
+      if (!visibleTo(req, job)) {
+        return res.status(404).json({ error: "Copia no encontrada" });
+      }
+      res.json(sentCopyView(job));
+    });
+
+    // Reintentar una copia que agotó sus intentos
+    app.post("/sent-copies/:id/retry", auth.authenticate, (req, res) => {
+      const job = sentCopies.get(req.params.id);
+      if (!visibleTo(req, job)) {
+        return res.status(404).json({ error: "Copia no encontrada" });
+      }
+      if (job.status !== "dead") {
+        return res
+          .status(409)
+          .json({ error: "Solo se pueden reintentar copias fallidas" });
+      }
+      req.log.info({ reqId: req.id, sentCopyId: job.id }, "Reintentando copia");
+      sendLog.update(job.messageId, {
+        sentCopy: { status: "pending", jobId: job.id },
+      });
+      res.json(sentCopyView(sentCopies.retry(job.id)));
+    });
+  }
+
+  // Rebotes registrados por el watcher (solo con BOUNCE_WATCHER)
+  if (bounceWatcher) {
+    const visibleTo = (req, bounce) =>
+      bounce && (!req.client || bounce.client === req.client.name);
+
+    const bounceView = (bounce) => ({
+      bounceId: bounce.id,
+      type: bounce.type,
+      recipient: bounce.recipient,
+      status: bounce.status,
+      action: bounce.action,
+      diagnostic: bounce.diagnostic,
+      messageId: bounce.messageId,
+      from: bounce.from,
+      subject: bounce.subject,
+      receivedAt: bounce.receivedAt,
+      createdAt: bounce.createdAt,
+    });
+
+    // Listar rebotes, opcionalmente filtrados (?type=hard&recipient=...)
+    app.get("/bounces", auth.authenticate, (req, res) => {
+      const { type, recipient } = req.query;
+      const wanted = typeof recipient === "string" && recipient.toLowerCase();
+      const bounces = bounceWatcher
+        .list(
+          (bounce) =>
+            visibleTo(req, bounce) &&
+            (!type || bounce.type === type) &&
+            (!wanted || bounce.recipient?.includes(wanted))
+        )
+        .map(bounceView);
+      res.json({ bounces, watcher: bounceWatcher.status() });
+    });
+
+    app.get("/bounces/:id", auth.authenticate, (req, res) => {
+      const bounce = bounceWatcher.get(req.params.id);
+      if (!visibleTo(req, bounce)) {
+        return res.status(404).json({ error: "Rebote no encontrado" });
+      }
+      res.json(bounceView(bounce));
+    });
+  }
+
+  // Lista de supresión (la dirección ya es la clave: no se expone el id)
+  const suppressionView = ({ id: _id, ...entry }) => entry;
+
+  // Los clientes autenticados solo ven y quitan las direcciones que agregaron;
+  // las de los rebotes (sin cliente) se administran sin API keys o con una key
+  // "admin"
+  const canManage = (req, entry) =>
+    !req.client ||
+    entry.client === req.client.name ||
+    (req.client.admin && !entry.client);
+
+  const findSuppression = (req) => {
+    const entry = suppressions.get(req.params.email);
+    return entry && canManage(req, entry) ? entry : undefined;
+  };
+
+  app.get("/suppressions", auth.authenticate, (req, res) => {
+    const { reason, email } = req.query;
+    const entries = suppressions
+      .list({
+        reason: typeof reason === "string" ? reason : undefined,
+        email: typeof email === "string" ? email : undefined,
+      })
+      .filter((entry) => canManage(req, entry));
+    res.json({
+      suppressions: entries.map(suppressionView),
+      total: entries.length,
+    });
+  });
+
+  app.get("/suppressions/:email", auth.authenticate, (req, res) => {
+    const entry = findSuppression(req);
+    if (!entry) {
+      return res.status(404).json({ error: "Dirección no suprimida" });
+    }
+    res.json(suppressionView(entry));
+  });
+
+  app.post("/suppressions", auth.authenticate, (req, res) => {
+    const validation = validateSuppression(req.body);
+
+    if (!validation.success) {
+      return res.status(422).json({
+        error: "Datos de entrada inválidos",
+        details: validation.error,
+      });
+    }
+
+    // No pisar la entrada de otro cliente ni la de un rebote
+    const existing = suppressions.get(validation.data.email);
+    if (existing && !canManage(req, existing)) {
+      return res.status(409).json({
+        error:
+          "La dirección ya está suprimida por otro cliente o por un rebote",
+      });
+    }
+
+    const { entry, created } = suppressions.add({
+      ...validation.data,
+      client: req.client?.name,
+    });
+    req.log.info(
+      { reqId: req.id, email: entry.email, reason: entry.reason },
+      "Suppression added"
+    );
+    res.status(created ? 201 : 200).json(suppressionView(entry));
+  });
+
+  app.delete("/suppressions/:email", auth.authenticate, (req, res) => {
+    const entry = findSuppression(req);
+    if (!entry) {
+      return res.status(404).json({ error: "Dirección no suprimida" });
+    }
+    suppressions.remove(entry.email);
+    req.log.info({ reqId: req.id, email: entry.email }, "Suppression removed");
+    res.json({ ...suppressionView(entry), removed: true });
+  });
+
+  // Webhooks: suscripciones y registro de entregas (solo con WEBHOOKS)
+  if (webhooks) {
+    const visibleTo = (req, delivery) =>
+      delivery && (!req.client || delivery.client === req.client.name);
+
+    // Vista pública de una entrega
+    const deliveryView = (delivery) => ({
+      deliveryId: delivery.id,
+      subscriptionId: delivery.payload.subscriptionId,
+      url: delivery.payload.url,
+      event: delivery.payload.event,
+      status: delivery.status,
+      attempts: delivery.attempts,
+      nextAttemptAt:
+        delivery.status === "pending" ? delivery.nextAttemptAt : undefined,
+      createdAt: delivery.createdAt,
+      updatedAt: delivery.updatedAt,
+      result: delivery.result,
+      lastError: delivery.lastError,
+    });
+
+    app.get("/webhooks", auth.authenticate, (req, res) => {
+      res.json({
+        subscriptions: webhooks.subscriptions.filter(
+          (s) =>
+            !req.client || !s.clients || s.clients.includes(req.client.name)
+        ),
+        stats: webhooks.stats(),
+      });
+    });
+
+    // Listar entregas (?status=dead&event=failed&subscription=backend)
+    app.get("/webhooks/deliveries", auth.authenticate, (req, res) => {
+      const { status, event, subscription } = req.query;
+      const deliveries = webhooks
+        .list(
+          (delivery) =>
+            visibleTo(req, delivery) &&
+            (!status || delivery.status === status) &&
+            (!event || delivery.payload.event.type === event) &&
+            (!subscription || delivery.payload.subscriptionId === subscription)
+        )
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(deliveryView);
+      res.json({ deliveries, stats: webhooks.stats() });
+    });
+
+    app.get("/webhooks/deliveries/:id", auth.authenticate, (req, res) => {
+      const delivery = webhooks.get(req.params.id);
+      if (!visibleTo(req, delivery)) {
+        return res.status(404).json({ error: "Entrega no encontrada" });
+      }
+      res.json(deliveryView(delivery));
+    });
+
+    // Reenviar una entrega terminada (mismo evento, nueva entrega)
+    app.post(
+      "/webhooks/deliveries/:id/replay",
+      auth.authenticate,
+      (req, res) => {
+        const delivery = webhooks.get(req.params.id);
+        if (!visibleTo(req, delivery)) {
+          return res.status(404).json({ error: "Entrega no encontrada" });
+        }
+        const replayed = webhooks.replay(delivery.id);
+        if (!replayed) {
+          return res
+            .status(409)
+            .json({ error: "La entrega todavía está en curso" });
+        }
+        req.log.info(
+          { reqId: req.id, deliveryId: delivery.id, replayId: replayed.id },
+          "Webhook delivery replayed"
+        );
+        res.status(202).json(deliveryView(replayed));
+      }
+    );
+  }
+
+  // Vista pública de un envío programado (sin el contenido completo)
+  const scheduledView = (entry) => ({
+    scheduledId: entry.id,
+    messageId: entry.messageId,
+    status: entry.status,
+    sendAt: entry.sendAt,
+    from: entry.payload.from,
+    to: entry.payload.to,
+    subject: entry.payload.subject,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  });
+
+  // Los clientes autenticados solo ven sus propios envíos programados
+  const findScheduled = (req) => {
+    const entry = scheduler.get(req.params.id);
+    return entry && (!req.client || entry.client === req.client.name)
+      ? entry
+      : undefined;
+  };
+
+  // Listar envíos programados pendientes
+  app.get("/scheduled", auth.authenticate, (req, res) => {
+    const scheduled = scheduler
+      .list((entry) => !req.client || entry.client === req.client.name)
+      .sort((a, b) => a.sendAt.localeCompare(b.sendAt))
+      .map(scheduledView);
+    res.json({ scheduled });
+  });
+
+  app.get("/scheduled/:id", auth.authenticate, (req, res) => {
+    const entry = findScheduled(req);
+    if (!entry) {
+      return res.status(404).json({ error: "Envío programado no encontrado" });
+    }
+    res.json(scheduledView(entry));
+  });
+
+  // Reprogramar un envío pendiente
+  app.patch("/scheduled/:id", auth.authenticate, (req, res) => {
+    const entry = findScheduled(req);
+    if (!entry) {
+      return res.status(404).json({ error: "Envío programado no encontrado" });
+    }
+
+    const validation = validateReschedule(req.body);
+    if (!validation.success) {
+      return res.status(422).json({
+        error: "Datos de entrada inválidos",
+        details: validation.error,
+      });
+    }
+
+    const updated = scheduler.reschedule(entry.id, validation.data.sendAt);
+    if (!updated) {
+      return res.status(409).json({
+        error: "El envío ya se está despachando y no se puede cambiar",
+      });
+    }
+    sendLog.update(updated.messageId, { sendAt: updated.sendAt });
+    req.log.info(
+      { reqId: req.id, scheduledId: entry.id, sendAt: updated.sendAt },
+      "Scheduled email rescheduled"
+    );
+    res.json(scheduledView(updated));
+  });
+
+  // Cancelar un envío pendiente
+  app.delete("/scheduled/:id", auth.authenticate, (req, res) => {
+    const entry = findScheduled(req);
+    if (!entry) {
+      return res.status(404).json({ error: "Envío programado no encontrado" });
+    }
+
+    const cancelled = scheduler.cancel(entry.id);
+    if (!cancelled) {
+      return res.status(409).json({
+        error: "El envío ya se está despachando y no se puede cancelar",
+      });
+    }
+    sendLog.update(cancelled.messageId, { status: "cancelled" });
+    req.log.info(
+      { reqId: req.id, scheduledId: entry.id },
+      "Scheduled email cancelled"
+    );
+    res.json({ ...scheduledView(cancelled), status: "cancelled" });
+  });
+
+  // Vista pública de un registro del send log
+  const messageView = (record) => ({
+    messageId: `<${record.id}>`,
+    status: record.status,
+    client: record.client,
+    account: record.account,
+    smtpHost: record.smtpHost,
+    failover: record.failover,
+    source: record.source,
+    from: record.from,
+    to: record.to,
+    cc: record.cc,
+    bcc: record.bcc,
+    subject: record.subject,
+    accepted: record.accepted,
+    rejected: record.rejected,
+    rejections: record.rejections,
+    smtpResponse: record.smtpResponse,
+    sandbox: record.sandbox,
+    error: record.error,
+    sentCopy: record.sentCopy,
+    bounces: record.bounces,
+    suppressed: record.suppressed,
+    warnings: record.warnings,
+    attachments: record.attachments,
+    scheduledId: record.scheduledId,
+    sendAt: record.sendAt,
+    jobId: record.jobId,
+    attempts: record.attempts,
+    deferredUntil: record.deferredUntil,
+    createdAt: record.createdAt,
+    sentAt: record.sentAt,
+    updatedAt: record.updatedAt,
+  });
+
+  // Cuentas SMTP configuradas (sin credenciales)
+  app.get("/accounts", auth.authenticate, (req, res) => {
+    res.json({ accounts: accounts.list().map(accounts.view) });
+  });
+
+  // Listar envíos recientes con filtros y paginación
+  app.get("/messages", auth.authenticate, (req, res) => {
+    const validation = validateMessagesQuery(req.query);
+
+    if (!validation.success) {
+      return res.status(422).json({
+        error: "Parámetros de búsqueda inválidos",
+        details: validation.error,
+      });
+    }
+
+    const result = sendLog.query({
+      ...validation.data,
+      client: req.client?.name,
+    });
+    res.json({ ...result, messages: result.messages.map(messageView) });
+  });
+
+  // Consultar el estado de un envío por Message-ID (con o sin <>)
+  app.get("/messages/:id", auth.authenticate, (req, res) => {
+    const record = sendLog.get(req.params.id);
+    if (!record || (req.client && record.client !== req.client.name)) {
+      return res.status(404).json({ error: "Mensaje no encontrado" });
+    }
+    res.json(messageView(record));
+  });
+
+  // Vista pública de un mensaje capturado por el sandbox
+  const sandboxView = (entry) => ({
+    id: entry.id,
+    messageId: entry.messageId,
+    client: entry.client,
+    account: entry.account,
+    source: entry.source,
+    from: entry.from,
+    to: entry.to,
+    cc: entry.cc,
+    bcc: entry.bcc,
+    subject: entry.subject,
+    envelope: entry.envelope,
+    redirectedTo: entry.redirectedTo,
+    size: entry.size,
+    createdAt: entry.createdAt,
+  });
+
+  // Los clientes autenticados solo ven sus propios mensajes capturados
+  const findCaptured = (req) => {
+    const entry = sandbox.get(req.params.id);
+    return entry && (!req.client || entry.client === req.client.name)
+      ? entry
+      : undefined;
+  };
+
+  // Listar mensajes capturados (mismos filtros que GET /messages)
+  app.get("/sandbox/messages", auth.authenticate, (req, res) => {
+    const validation = validateMessagesQuery(req.query);
+
+    if (!validation.success) {
+      return res.status(422).json({
+        error: "Parámetros de búsqueda inválidos",
+        details: validation.error,
+      });
+    }
+
+    const result = sandbox.query({
+      ...validation.data,
+      client: req.client?.name,
+    });
+    res.json({ ...result, messages: result.messages.map(sandboxView) });
+  });
+
+  app.get("/sandbox/messages/:id", auth.authenticate, (req, res) => {
+    const entry = findCaptured(req);
+    if (!entry) {
+      return res.status(404).json({ error: "Mensaje capturado no encontrado" });
+    }
+    res.json(sandboxView(entry));
+  });
+
+  // Descargar el .eml tal cual habría salido por SMTP
+  app.get("/sandbox/messages/:id/raw", auth.authenticate, (req, res) => {
+    const entry = findCaptured(req);
+    const raw = entry && sandbox.raw(entry.id);
+    if (!raw) {
+      return res.status(404).json({ error: "Mensaje capturado no encontrado" });
+    }
+    res.attachment(`${entry.id}.eml`);
+    res.type("message/rfc822").send(raw);
+  });
+
+  app.delete("/sandbox/messages/:id", auth.authenticate, (req, res) => {
+    const entry = findCaptured(req);
+    if (!entry) {
+      return res.status(404).json({ error: "Mensaje capturado no encontrado" });
+    }
+    sandbox.remove(entry.id);
+    res.json({ id: entry.id, deleted: true });
+  });
+
+  // Vaciar el sandbox (solo los mensajes del cliente autenticado)
+  app.delete("/sandbox/messages", auth.authenticate, (req, res) => {
+    const deleted = sandbox.clear(req.client?.name);
+    req.log.info({ reqId: req.id, deleted }, "Sandbox cleared");
+    res.json({ deleted });
+  });
+
+  // Middleware para rutas no encontradas
+  app.use("*", (req, res) => {
+    res.status(404).json({
+      error: "Endpoint no encontrado",
+      availableEndpoints: [
+        "GET /health",
+        "GET /health/ready",
+        "GET /metrics",
+        "POST /send",
+        "POST /send/template",
+        "POST /send/template/preview",
+        "POST /send/batch",
+        "GET /batches/:id",
+        "GET /scheduled",
+        "GET /scheduled/:id",
+        "PATCH /scheduled/:id",
+        "DELETE /scheduled/:id",
+        "GET /accounts",
+        "GET /messages",
+        "GET /messages/:id",
+        "GET /sandbox/messages",
+        "GET /sandbox/messages/:id",
+        "GET /sandbox/messages/:id/raw",
+        "DELETE /sandbox/messages/:id",
+        "DELETE /sandbox/messages",
+        "GET /suppressions",
+        "GET /suppressions/:email",
+        "POST /suppressions",
+        "DELETE /suppressions/:email",
+        ...(queue
+          ? ["GET /jobs", "GET /jobs/:id", "POST /jobs/:id/retry"]
+          : []),
+        ...(sentCopies
+          ? [
+              "GET /sent-copies",
+              "GET /sent-copies/:id",
+              "POST /sent-copies/:id/retry",
+              "POST /sent-copies/mailbox/refresh",
+            ]
+          : []),
+        ...(bounceWatcher ? ["GET /bounces", "GET /bounces/:id"] : []),
+        ...(webhooks
+          ? [
+              "GET /webhooks",
+              "GET /webhooks/deliveries",
+              "GET /webhooks/deliveries/:id",
+              "POST /webhooks/deliveries/:id/replay",
+            ]
+          : []),
+      ],
+    });
+  });
+
+  // Middleware global de manejo de errores
+  app.use((error, req, res, next) => {
+    req.log.error(
+      { error: error.message, stack: error.stack },
+      "Unhandled error"
+    );
+    res.status(500).json({
+      error: "Error interno del servidor",
+    });
+  });
+
+  // Servidor HTTP abierto por start()
+  let httpServer = null;
+
+  /**
+   * Verifica el SMTP, arranca los workers y empieza a escuchar
+   * @param {Object} [options]
+   * @param {number|string} [options.port] - Puerto HTTP (0 para uno libre)
+   * @returns {Promise<Object>} - Servidor HTTP de Node
+   */
+  async function start({ port = process.env.PORT || 10000 } = {}) {
+    if (auth.enabled) {
+      logger.info(
+        { clients: auth.clients },
+        `Autenticación por API key habilitada (${auth.clients.length} clientes)`
+      );
+    } else {
+      logger.warn(
+        "No hay API keys configuradas: POST /send no requiere autenticación"
+      );
+    }
+
+    // Verificar configuración SMTP de cada cuenta
+    logger.info("Verificando conexión SMTP...");
+    try {
+      await accounts.primary.transports[0].transporter.verify();
+      logger.info("Conexión SMTP verificada exitosamente");
+    } catch (verifyError) {
+      // En modo cola los emails se reintentan, el SMTP puede volver más tarde;
+      // el sandbox global sin casilla de prueba no lo usa
+      if (!queue && !sandbox.captureOnly) {
+        throw verifyError;
+      }
+      logger.warn(
+        { error: verifyError.message },
+        queue
+          ? "SMTP no disponible al iniciar; la cola reintentará los envíos"
+          : "SMTP no disponible al iniciar; el sandbox captura los envíos"
+      );
+    }
+    for (const account of accounts.list().slice(1)) {
+      // Las cuentas secundarias no impiden el arranque
+      account.transports[0].transporter.verify().then(
+        () =>
+          logger.info(
+            { account: account.name },
+            "[ACCOUNTS] Cuenta SMTP verificada"
+          ),
+        (error) =>
+          logger.warn(
+            { account: account.name, error: error.message },
+            "[ACCOUNTS] No se pudo verificar la cuenta SMTP al iniciar"
+          )
+      );
+    }
+
+    // Iniciar worker de la cola (recupera jobs pendientes tras un reinicio)
+    if (queue) {
+      queue.start();
+    }
+    if (sentCopies) {
+      // Descubrir la carpeta de enviados sin demorar el arranque
+      imapClient.refreshMailbox().catch((error) => {
+        logger.warn(
+          { error: error.message },
+          "[IMAP] No se pudo resolver la carpeta de enviados al iniciar"
+        );
+      });
+      sentCopies.start();
+    }
+    if (bounceWatcher) {
+      bounceWatcher.start();
+    }
+    if (webhooks) {
+      webhooks.start();
+    }
+
+    // Retomar lotes interrumpidos y despachar envíos programados vencidos
+    batches.resume();
+    scheduler.start();
+
+    if (submissionServer) {
+      await submissionServer.start();
+    }
+
+    // Iniciar servidor
+    httpServer = await new Promise((resolve, reject) => {
+      const server = app.listen(port, () => resolve(server));
+      server.once("error", reject);
+    });
+    const { port: listening } = httpServer.address();
+    logger.info(`Servidor iniciado en puerto ${listening}`);
+    logger.info(`Health check: http://localhost:${listening}/health`);
+    logger.info(`Send endpoint: http://localhost:${listening}/send`);
+    return httpServer;
+  }
+
+  /**
+   * Detiene el servidor HTTP, los workers y las conexiones SMTP e IMAP
+   * @returns {Promise<void>}
+   */
+  async function stop() {
+    queue?.stop();
+    sentCopies?.stop();
+    webhooks?.stop();
+    bounceWatcher?.stop();
+    scheduler.stop();
+    batches.stop();
+    sendLog.stop();
+    sandbox.stop();
+    idempotency.stop();
+    auth.stop();
+    sendRateLimitStore.shutdown();
+    if (submissionServer) {
+      await submissionServer.stop();
+    }
+    if (httpServer) {
+      const server = httpServer;
+      httpServer = null;
+      await new Promise((resolve) => server.close(resolve));
+    }
+    for (const account of accounts.list()) {
+      for (const { transporter } of account.transports) {
+        transporter.close();
+      }
+    }
+    await imapClient?.close();
+  }
+
+  return { app, start, stop };
+}
+
+module.exports = {
+  createApp,
+};
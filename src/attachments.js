@@ -0,0 +1,458 @@
+/**
+ * Adjuntos de los endpoints de envío
+ *
+ * Además del base64 inline en el JSON, /send acepta:
+ * - multipart/form-data: los archivos subidos se convierten en adjuntos
+ *   (el campo "cid:<id>" los marca como imágenes inline)
+ * - { path }: archivo dentro de un directorio permitido (ATTACHMENT_DIRS)
+ * - { url }: archivo descargado de un host permitido (ATTACHMENT_URL_HOSTS)
+ *
+ * Todos se resuelven al recibir la request a { filename, content (base64),
+ * contentType, cid, size }, así la cola y los envíos programados guardan el
+ * contenido real y los errores llegan al cliente como 4xx.
+ *
+ * Ya resueltos se revisan: extensiones bloqueadas (ATTACHMENT_BLOCKED_EXTENSIONS,
+ * incluida la doble extensión "factura.pdf.exe"), contenido real contra el
+ * contentType declarado (magic bytes) y tamaño del mensaje codificado contra
+ * el máximo que acepta IONOS (MAX_MESSAGE_BYTES).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+const { detectMimeType } = require("nodemailer/lib/mime-funcs");
+const { checkContentType } = require("./filetype");
+
+// Campos de un formulario multipart que llegan como JSON
+const JSON_FIELDS = new Set(["headers", "attachments", "data", "processing"]);
+
+// Extensiones que los clientes de correo ejecutan o que los filtros de
+// IONOS y de los destinatarios suelen rechazar
+const DEFAULT_BLOCKED_EXTENSIONS = (
+  "exe com scr pif bat cmd msi msp dll cpl hta jar js " +
+  "jse vbs vbe wsf wsh ps1 psm1 reg lnk iso img vhd"
+).split(" ");
+
+// Caracteres de control de dirección (ocultan la extensión real: "fdp.exe")
+const BIDI_CONTROLS = /[\u202a-\u202e\u2066-\u2069]/;
+
+// Headers y partes MIME de un mensaje sin adjuntos (estimado)
+const MESSAGE_OVERHEAD_BYTES = 4096;
+
+/**
+ * Crea un error de adjunto con el status HTTP que corresponde
+ * @param {string} message
+ * @param {number} [status] - 422 por defecto
+ * @param {Array<Object>} [details] - Problemas por adjunto ({ path, filename, message })
+ * @returns {Error}
+ */
+function attachmentError(message, status = 422, details = undefined) {
+  const error = new Error(message);
+  error.code = "EATTACHMENT";
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+/**
+ * Descarta el body de una respuesta que no se va a leer, para cerrar la conexión
+ * @param {Response} response - Respuesta de fetch
+ */
+function discard(response) {
+  response.body?.cancel().catch(() => {});
+}
+
+/**
+ * Tamaño de un adjunto ya codificado en base64 con líneas de 76 caracteres
+ * @param {number} bytes - Tamaño decodificado
+ * @returns {number}
+ */
+function encodedSize(bytes) {
+  const base64 = Math.ceil(bytes / 3) * 4;
+  return base64 + Math.ceil(base64 / 76) * 2;
+}
+
+/**
+ * Lee la configuración de adjuntos desde el entorno
+ * @returns {Object}
+ */
+function getAttachmentConfig() {
+  const list = (value) =>
+    (value || "")
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+
+  // Tamaño máximo de un email de IONOS, con los adjuntos ya codificados
+  const maxMessageBytes =
+    Number(process.env.MAX_MESSAGE_BYTES) || 20 * 1024 * 1024;
+
+  return {
+    dirs: list(process.env.ATTACHMENT_DIRS),
+    hosts: list(process.env.ATTACHMENT_URL_HOSTS).map((h) => h.toLowerCase()),
+    blockedExtensions: new Set(
+      (process.env.ATTACHMENT_BLOCKED_EXTENSIONS !== undefined
+        ? list(process.env.ATTACHMENT_BLOCKED_EXTENSIONS)
+        : DEFAULT_BLOCKED_EXTENSIONS
+      ).map((ext) => ext.replace(/^\./, "").toLowerCase())
+    ),
+    maxFileBytes:
+      Number(process.env.ATTACHMENT_MAX_FILE_BYTES) || 10 * 1024 * 1024,
+    // Por defecto, lo que entra decodificado en un mensaje de maxMessageBytes
+    maxTotalBytes:
+      Number(process.env.ATTACHMENT_MAX_TOTAL_BYTES) ||
+      Math.floor(((maxMessageBytes - MESSAGE_OVERHEAD_BYTES) * 3 * 76) / 312),
+    maxMessageBytes,
+    maxFiles: Number(process.env.ATTACHMENT_MAX_FILES) || 20,
+    timeoutMs: Number(process.env.ATTACHMENT_FETCH_TIMEOUT_MS) || 15000,
+  };
+}
+
+/**
+ * Middleware que acepta multipart/form-data y lo convierte al mismo body que
+ * el JSON de /send. Los campos simples se copian tal cual (repetidos, como
+ * array); "payload" puede traer el body completo en JSON.
+ * @param {Object} [config] - Configuración (por defecto getAttachmentConfig())
+ * @returns {Function} - Middleware de Express
+ */
+function createUploadParser(config = getAttachmentConfig()) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: config.maxFileBytes,
+      files: config.maxFiles,
+      fieldSize: 10 * 1024 * 1024,
+    },
+  }).any();
+
+  return function uploadParser(req, res, next) {
+    if (!req.is("multipart/form-data")) {
+      return next();
+    }
+
+    upload(req, res, (error) => {
+      if (error) {
+        const tooLarge = ["LIMIT_FILE_SIZE", "LIMIT_FILE_COUNT"].includes(
+          error.code
+        );
+        return res.status(tooLarge ? 413 : 400).json({
+          error: tooLarge
+            ? "Adjuntos demasiado grandes"
+            : "Formulario multipart inválido",
+          details: error.message,
+        });
+      }
+
+      const files = req.files || [];
+      const total = files.reduce((sum, file) => sum + file.size, 0);
+      if (total > config.maxTotalBytes) {
+        return res.status(413).json({
+          error: "Adjuntos demasiado grandes",
+          details: `El total supera ${config.maxTotalBytes} bytes`,
+        });
+      }
+
+      let body;
+      try {
+        const { payload, ...fields } = req.body || {};
+        body = payload ? JSON.parse(payload) : {};
+        for (const [key, value] of Object.entries(fields)) {
+          body[key] =
+            JSON_FIELDS.has(key) && typeof value === "string"
+              ? JSON.parse(value)
+              : value;
+        }
+      } catch (parseError) {
+        return res.status(400).json({
+          error: "Formulario multipart inválido",
+          details: `JSON inválido: ${parseError.message}`,
+        });
+      }
+
+      const uploaded = files.map((file) => ({
+        filename: file.originalname,
+        content: file.buffer.toString("base64"),
+        contentType: file.mimetype,
+        cid: file.fieldname.startsWith("cid:")
+          ? file.fieldname.slice(4)
+          : undefined,
+      }));
+      if (uploaded.length > 0) {
+        body.attachments = [...(body.attachments || []), ...uploaded];
+      }
+
+      req.body = body;
+      next();
+    });
+  };
+}
+
+/**
+ * Crea el resolvedor de adjuntos por path y URL
+ * @param {Object} [config] - Configuración (por defecto getAttachmentConfig())
+ * @returns {{resolve: Function}}
+ */
+function createAttachmentResolver(config = getAttachmentConfig()) {
+  // Directorios permitidos ya resueltos (sin symlinks)
+  const dirs = config.dirs.map((dir) => {
+    try {
+      return fs.realpathSync(dir);
+    } catch {
+      return path.resolve(dir);
+    }
+  });
+
+  /**
+   * Indica si un host está permitido ("*.example.com" incluye subdominios)
+   * @param {string} hostname
+   * @returns {boolean}
+   */
+  function hostAllowed(hostname) {
+    return config.hosts.some((allowed) =>
+      allowed.startsWith("*.")
+        ? hostname.endsWith(allowed.slice(1))
+        : hostname === allowed
+    );
+  }
+
+  /**
+   * Lee un archivo de un directorio permitido
+   * @param {string} file - Ruta absoluta o relativa al primer directorio
+   * @returns {Promise<{content: Buffer, filename: string}>}
+   */
+  async function readPath(file) {
+    if (dirs.length === 0) {
+      throw attachmentError(
+        "Los adjuntos por path no están habilitados (ATTACHMENT_DIRS)",
+        403
+      );
+    }
+
+    let real;
+    try {
+      real = await fs.promises.realpath(path.resolve(dirs[0], file));
+    } catch {
+      throw attachmentError(`Archivo no encontrado: ${file}`);
+    }
+    if (!dirs.some((dir) => real.startsWith(dir + path.sep))) {
+      throw attachmentError(
+        `Path fuera de los directorios permitidos: ${file}`,
+        403
+      );
+    }
+
+    const stat = await fs.promises.stat(real);
+    if (!stat.isFile()) {
+      throw attachmentError(`No es un archivo: ${file}`);
+    }
+    if (stat.size > config.maxFileBytes) {
+      throw attachmentError(`Adjunto demasiado grande: ${file}`, 413);
+    }
+    return {
+      content: await fs.promises.readFile(real),
+      filename: path.basename(real),
+    };
+  }
+
+  /**
+   * Descarga un archivo de un host permitido (sigue hasta 3 redirecciones,
+   * verificando el host de cada una)
+   * @param {string} url
+   * @returns {Promise<{content: Buffer, filename: string, contentType?: string}>}
+   */
+  async function fetchUrl(url) {
+    let current = new URL(url);
+
+    for (let redirects = 0; ; redirects++) {
+      if (!["http:", "https:"].includes(current.protocol)) {
+        throw attachmentError(`Protocolo no permitido: ${current.protocol}`);
+      }
+      if (!hostAllowed(current.hostname.toLowerCase())) {
+        throw attachmentError(
+          `Host no permitido para adjuntos: ${current.hostname}`,
+          403
+        );
+      }
+
+      let response;
+      try {
+        response = await fetch(current, {
+          redirect: "manual",
+          signal: AbortSignal.timeout(config.timeoutMs),
+        });
+      } catch (error) {
+        throw attachmentError(
+          `No se pudo descargar ${url}: ${error.cause?.message || error.message}`
+        );
+      }
+
+      const location = response.headers.get("location");
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= 3) {
+          throw attachmentError(`Demasiadas redirecciones: ${url}`);
+        }
+        discard(response);
+        try {
+          current = new URL(location, current);
+        } catch {
+          throw attachmentError(`Redirección inválida en ${url}: ${location}`);
+        }
+        continue;
+      }
+      if (!response.ok) {
+        discard(response);
+        throw attachmentError(
+          `No se pudo descargar ${url}: HTTP ${response.status}`
+        );
+      }
+
+      const declared = Number(response.headers.get("content-length"));
+      if (declared > config.maxFileBytes) {
+        discard(response);
+        throw attachmentError(`Adjunto demasiado grande: ${url}`, 413);
+      }
+
+      // Cortar la descarga en cuanto supera el límite. El timeout también
+      // corre durante la lectura del body, igual que un corte de conexión
+      const chunks = [];
+      let size = 0;
+      try {
+        for await (const chunk of response.body) {
+          size += chunk.length;
+          if (size > config.maxFileBytes) {
+            break;
+          }
+          chunks.push(chunk);
+        }
+      } catch (error) {
+        throw attachmentError(
+          `No se pudo descargar ${url}: ${error.cause?.message || error.message}`
+        );
+      }
+      if (size > config.maxFileBytes) {
+        discard(response);
+        throw attachmentError(`Adjunto demasiado grande: ${url}`, 413);
+      }
+
+      let filename;
+      try {
+        filename = decodeURIComponent(path.posix.basename(current.pathname));
+      } catch {
+        throw attachmentError(`Nombre de archivo inválido en ${url}`);
+      }
+      return {
+        content: Buffer.concat(chunks),
+        filename: filename || "adjunto",
+        contentType: response.headers.get("content-type")?.split(";")[0],
+      };
+    }
+  }
+
+  /**
+   * Revisa el nombre de un adjunto contra las extensiones bloqueadas
+   * @param {string} filename
+   * @returns {string|undefined} - Motivo del rechazo
+   */
+  function checkFilename(filename) {
+    if (BIDI_CONTROLS.test(filename)) {
+      return "El nombre contiene caracteres de control de dirección";
+    }
+    // Windows ignora los puntos y espacios finales ("factura.exe. ")
+    const parts = filename
+      .replace(/[.\s]+$/, "")
+      .toLowerCase()
+      .split(".");
+    const extension = parts.length > 1 ? parts.pop() : "";
+    if (!config.blockedExtensions.has(extension)) {
+      return undefined;
+    }
+    return parts.length > 1
+      ? `Doble extensión sospechosa (.${parts.pop()}.${extension})`
+      : `Extensión bloqueada (.${extension})`;
+  }
+
+  /**
+   * Resuelve los adjuntos validados a contenido base64 y los revisa
+   * @param {Array<Object>} [attachments] - Adjuntos con content, path o url
+   * @param {Object} [options]
+   * @param {number} [options.bodyBytes] - Tamaño de text + html, para el total del mensaje
+   * @returns {Promise<Array<Object>|undefined>}
+   */
+  async function resolve(attachments, { bodyBytes = 0 } = {}) {
+    if (!attachments?.length) {
+      return attachments;
+    }
+    if (attachments.length > config.maxFiles) {
+      throw attachmentError(
+        `No se pueden enviar más de ${config.maxFiles} adjuntos`,
+        413
+      );
+    }
+
+    const resolved = [];
+    const issues = [];
+    let total = 0;
+    for (const [index, attachment] of attachments.entries()) {
+      const source = attachment.path
+        ? await readPath(attachment.path)
+        : attachment.url
+          ? await fetchUrl(attachment.url)
+          : { content: Buffer.from(attachment.content, "base64") };
+
+      const filename = attachment.filename || source.filename;
+      if (source.content.length > config.maxFileBytes) {
+        throw attachmentError(`Adjunto demasiado grande: ${filename}`, 413);
+      }
+      total += source.content.length;
+      if (total > config.maxTotalBytes) {
+        throw attachmentError(
+          `El total de adjuntos supera ${config.maxTotalBytes} bytes`,
+          413
+        );
+      }
+
+      const contentType =
+        attachment.contentType ||
+        source.contentType ||
+        detectMimeType(filename);
+      const type = checkContentType(contentType, source.content);
+      for (const message of [checkFilename(filename), type.reason]) {
+        if (message) {
+          issues.push({ path: ["attachments", index], filename, message });
+        }
+      }
+
+      resolved.push({
+        filename,
+        content: source.content.toString("base64"),
+        contentType,
+        cid: attachment.cid,
+        size: source.content.length,
+      });
+    }
+
+    if (issues.length > 0) {
+      throw attachmentError("Adjuntos rechazados", 422, issues);
+    }
+
+    const messageBytes =
+      MESSAGE_OVERHEAD_BYTES +
+      bodyBytes +
+      resolved.reduce((sum, a) => sum + encodedSize(a.size), 0);
+    if (messageBytes > config.maxMessageBytes) {
+      throw attachmentError(
+        `El mensaje con los adjuntos codificados ocupa ${messageBytes} bytes y supera el máximo de ${config.maxMessageBytes}`,
+        413
+      );
+    }
+    return resolved;
+  }
+
+  return { resolve };
+}
+
+module.exports = {
+  createUploadParser,
+  createAttachmentResolver,
+  getAttachmentConfig,
+};
@@ -0,0 +1,267 @@
+/**
+ * Autenticación por API key y permisos por cliente
+ *
+ * Las keys se cargan desde un archivo JSON (API_KEYS_FILE) o desde la
+ * variable API_KEYS (JSON inline). Cada key identifica a un cliente con sus
+ * remitentes permitidos, dominios de destino permitidos y rate limit propio.
+ * Si no hay keys configuradas la autenticación queda deshabilitada.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { z } = require("zod");
+const rateLimit = require("express-rate-limit");
+const { extractAddress, getDomain } = require("./address");
+
+// Esquema de cada entrada del archivo de API keys
+const apiKeySchema = z.object({
+  key: z.string().min(16, "La API key debe tener al menos 16 caracteres"),
+  client: z.string().min(1, "Client es requerido"),
+  senders: z.array(z.string().min(1)).optional(),
+  recipientDomains: z.array(z.string().min(1)).optional(),
+  // Cuenta SMTP por defecto de los envíos de esta key
+  account: z.string().min(1).optional(),
+  // Modo sandbox de esta key: true captura los envíos; redirectTo además los
+  // entrega a esa casilla de prueba
+  sandbox: z
+    .union([
+      z.boolean(),
+      z.object({ redirectTo: z.string().email("Casilla de prueba inválida") }),
+    ])
+    .optional(),
+  // Administra las entradas sin cliente (p. ej. las supresiones de los rebotes)
+  admin: z.boolean().optional(),
+  rateLimit: z
+    .object({
+      windowMs: z.number().int().positive().optional(),
+      max: z.number().int().positive(),
+    })
+    .optional(),
+});
+
+const apiKeysSchema = z.array(apiKeySchema);
+
+/**
+ * Calcula el hash SHA-256 de una API key
+ * @param {string} key - API key en claro
+ * @returns {Buffer}
+ */
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest();
+}
+
+/**
+ * Carga y valida la configuración de API keys
+ * @param {Object} [options]
+ * @param {string} [options.file] - Ruta a un archivo JSON con las keys
+ * @param {string} [options.json] - JSON inline con las keys
+ * @returns {Array<Object>} - Entradas validadas (vacío si no hay configuración)
+ */
+function loadApiKeys({
+  file = process.env.API_KEYS_FILE,
+  json = process.env.API_KEYS,
+} = {}) {
+  let raw;
+  if (file) {
+    raw = fs.readFileSync(file, "utf8");
+  } else if (json) {
+    raw = json;
+  } else {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(
+      `Configuración de API keys no es JSON válido: ${error.message}`
+    );
+  }
+
+  const result = apiKeysSchema.safeParse(parsed);
+  if (!result.success) {
+    const details = result.error.errors
+      .map((e) => `${e.path.join(".")}: ${e.message}`)
+      .join("; ");
+    throw new Error(`Configuración de API keys inválida: ${details}`);
+  }
+
+  const names = new Set();
+  for (const entry of result.data) {
+    if (names.has(entry.client)) {
+      throw new Error(`Cliente duplicado en API keys: "${entry.client}"`);
+    }
+    names.add(entry.client);
+  }
+
+  return result.data;
+}
+
+/**
+ * Extrae la API key de la request (Authorization: Bearer o X-API-Key)
+ * @param {Object} req - Request de Express
+ * @returns {string|undefined}
+ */
+function extractApiKey(req) {
+  const authorization = req.headers.authorization;
+  if (authorization && /^bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^bearer\s+/i, "").trim() || undefined;
+  }
+  const header = req.headers["x-api-key"];
+  return typeof header === "string" && header.trim()
+    ? header.trim()
+    : undefined;
+}
+
+/**
+ * Crea el middleware de autenticación y el rate limit por cliente
+ * @param {Object} params
+ * @param {Array<Object>} params.keys - Entradas devueltas por loadApiKeys
+ * @param {Function} params.fallbackRateLimit - Rate limit para requests sin cliente
+ * @returns {{enabled: boolean, clients: string[], authenticate: Function, clientRateLimit: Function, stop: Function}}
+ */
+function createAuth({ keys, fallbackRateLimit }) {
+  // Stores de los rate limits por cliente (se cierran en stop())
+  const stores = [];
+
+  /**
+   * Crea el rate limit propio de una API key
+   * @param {Object} entry - Entrada de loadApiKeys con rateLimit
+   * @returns {Function} - Middleware de express-rate-limit
+   */
+  function clientLimiter(entry) {
+    const store = new rateLimit.MemoryStore();
+    stores.push(store);
+    return rateLimit({
+      store,
+      windowMs: entry.rateLimit.windowMs || 60000,
+      max: entry.rateLimit.max,
+      keyGenerator: () => `client:${entry.client}`,
+      message: {
+        error: "Demasiadas solicitudes. Intente nuevamente en un momento.",
+        retryAfter: Math.ceil((entry.rateLimit.windowMs || 60000) / 1000),
+      },
+      standardHeaders: true,
+      legacyHeaders: false,
+    });
+  }
+
+  const entries = keys.map((entry) => ({
+    hash: hashKey(entry.key),
+    client: {
+      name: entry.client,
+      senders: entry.senders?.map(extractAddress),
+      recipientDomains: entry.recipientDomains?.map((d) => d.toLowerCase()),
+      account: entry.account,
+      sandbox: entry.sandbox === true ? {} : entry.sandbox || undefined,
+      admin: entry.admin === true,
+    },
+    limiter: entry.rateLimit ? clientLimiter(entry) : null,
+  }));
+
+  const enabled = entries.length > 0;
+
+  /**
+   * Busca la entrada correspondiente a una key comparando en tiempo constante
+   * @param {string} key - API key presentada
+   * @returns {Object|undefined}
+   */
+  function findEntry(key) {
+    const hash = hashKey(key);
+    let found;
+    for (const entry of entries) {
+      if (crypto.timingSafeEqual(entry.hash, hash)) {
+        found = entry;
+      }
+    }
+    return found;
+  }
+
+  // Middleware: valida la API key y deja el cliente en req.client
+  function authenticate(req, res, next) {
+    if (!enabled) {
+      // Sin keys no hay cliente: req.client es un alias heredado del socket en
+      // Node y ocultaría los registros de los usuarios del listener SMTP
+      req.client = undefined;
+      return next();
+    }
+
+    const key = extractApiKey(req);
+    if (!key) {
+      req.log.warn({ reqId: req.id }, "Request sin API key");
+      return res.status(401).json({ error: "API key requerida" });
+    }
+
+    const entry = findEntry(key);
+    if (!entry) {
+      req.log.warn({ reqId: req.id }, "API key inválida");
+      return res.status(401).json({ error: "API key inválida" });
+    }
+
+    req.client = entry.client;
+    req.log = req.log.child({ client: entry.client.name });
+    res.locals.rateLimiter = entry.limiter;
+    next();
+  }
+
+  // Middleware: aplica el rate limit del cliente o el global por IP
+  function clientRateLimit(req, res, next) {
+    const limiter = res.locals.rateLimiter || fallbackRateLimit;
+    return limiter(req, res, next);
+  }
+
+  /**
+   * Obtiene un cliente por nombre (para procesos en segundo plano)
+   * @param {string} name - Nombre del cliente
+   * @returns {Object|undefined}
+   */
+  function getClient(name) {
+    return entries.find((entry) => entry.client.name === name)?.client;
+  }
+
+  return {
+    enabled,
+    clients: entries.map((entry) => entry.client.name),
+    getClient,
+    authenticate,
+    clientRateLimit,
+    stop: () => stores.forEach((store) => store.shutdown()),
+  };
+}
+
+/**
+ * Verifica que el remitente y los destinatarios estén permitidos para el cliente
+ * @param {Object|undefined} client - Cliente autenticado (req.client)
+ * @param {Object} params
+ * @param {string} params.from - Remitente efectivo del email
+ * @param {string[]} params.recipients - Todos los destinatarios del email
+ * @returns {{allowed: boolean, errors: string[]}}
+ */
+function checkClientScopes(client, { from, recipients }) {
+  const errors = [];
+  if (!client) {
+    return { allowed: true, errors };
+  }
+
+  if (client.senders && !client.senders.includes(extractAddress(from))) {
+    errors.push(`Remitente no permitido: ${extractAddress(from)}`);
+  }
+
+  if (client.recipientDomains && !client.recipientDomains.includes("*")) {
+    for (const recipient of recipients) {
+      if (!client.recipientDomains.includes(getDomain(recipient))) {
+        errors.push(`Dominio de destino no permitido: ${recipient}`);
+      }
+    }
+  }
+
+  return { allowed: errors.length === 0, errors };
+}
+
+module.exports = {
+  loadApiKeys,
+  createAuth,
+  checkClientScopes,
+  extractApiKey,
+};
@@ -0,0 +1,285 @@
+/**
+ * Envíos por lotes (POST /send/batch)
+ *
+ * Un lote es una lista de emails individuales: cada destinatario recibe su
+ * propio mensaje, así nadie ve a los demás. Los lotes se guardan en
+ * DATA_DIR/batches y se procesan en segundo plano, un lote tras otro, de a
+ * un email por vez y con una pausa entre envíos para no superar los límites
+ * de IONOS. Si la cuota de la cuenta obliga a esperar más de
+ * BATCH_MAX_RETRY_WAIT_MS, el lote queda "deferred" hasta que haya cupo y la
+ * cadena sigue con los demás. Si el proceso se reinicia, los lotes sin
+ * terminar se retoman al iniciar.
+ */
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+/**
+ * Espera una cantidad de milisegundos (termina antes si se aborta la señal)
+ * @param {number} ms
+ * @param {AbortSignal} signal - Señal de stop()
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal.aborted) {
+      return resolve();
+    }
+    const done = () => {
+      clearTimeout(timer);
+      signal.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    timer.unref();
+    signal.addEventListener("abort", done);
+  });
+}
+
+/**
+ * Crea el procesador de lotes
+ * @param {Object} params
+ * @param {Function} params.prepare - (request, index) => payload de /send del ítem
+ * @param {Function} params.submit - async (payload, batch) => {status, body}
+ * @param {Object} params.logger - Logger pino
+ * @param {number} [params.intervalMs] - Pausa entre envíos
+ * @param {number} [params.maxRetryWaitMs] - Espera máxima por cuota antes de diferir el lote
+ * @returns {Object} - API de lotes
+ */
+function createBatchRunner({
+  prepare,
+  submit,
+  logger,
+  intervalMs = Number(process.env.BATCH_INTERVAL_MS) || 1000,
+  maxRetryWaitMs = Number(process.env.BATCH_MAX_RETRY_WAIT_MS) || 60000,
+}) {
+  const store = createStore({ name: "batches", logger });
+  const active = new Set();
+  // Los lotes se procesan en serie para que la pausa entre envíos sea global
+  let chain = Promise.resolve();
+  // stop() corta las esperas y deja los lotes "running" para retomarlos
+  const controller = new AbortController();
+  // Timers de los lotes diferidos por cuota
+  const deferred = new Set();
+
+  /**
+   * Encola un lote para procesarlo cuando terminen los anteriores
+   * @param {string} id - Id del lote
+   */
+  function run(id) {
+    if (controller.signal.aborted || active.has(id)) {
+      return;
+    }
+    active.add(id);
+    chain = chain.then(() => processBatch(id)).finally(() => active.delete(id));
+  }
+
+  /**
+   * Retoma un lote diferido cuando pasa la espera
+   * @param {string} id - Id del lote
+   * @param {number} delay - Milisegundos
+   */
+  function defer(id, delay) {
+    const timer = setTimeout(() => {
+      deferred.delete(timer);
+      store.update(id, {
+        status: "running",
+        resumeAt: undefined,
+        updatedAt: new Date().toISOString(),
+      });
+      run(id);
+    }, delay);
+    timer.unref();
+    deferred.add(timer);
+  }
+
+  /**
+   * Procesa los ítems pendientes de un lote
+   * @param {string} id - Id del lote
+   */
+  async function processBatch(id) {
+    const log = logger.child({ batchId: id });
+
+    try {
+      let batch = store.get(id);
+      log.info(
+        { total: batch.total, client: batch.client },
+        "[BATCH] Procesando lote"
+      );
+
+      for (let index = 0; index < batch.items.length; index++) {
+        if (controller.signal.aborted) {
+          log.info("[BATCH] Lote interrumpido, se retoma al reiniciar");
+          return;
+        }
+        if (batch.items[index].status !== "pending") {
+          continue;
+        }
+
+        let result;
+        try {
+          const payload = prepare(batch.request, index);
+          result = await submit(payload, batch);
+        } catch (error) {
+          result = {
+            status: error.status || 422,
+            body: { error: error.message },
+          };
+        }
+
+        // Cuota de la cuenta SMTP alcanzada: se espera y se repite el ítem. Una
+        // espera larga (cuota diaria) difiere el lote para no frenar la cadena
+        if (result.retryAfter) {
+          const waitMs = result.retryAfter * 1000;
+          log.warn(
+            { index, retryAfter: result.retryAfter },
+            "[BATCH] Cuota de envío alcanzada, se retoma cuando haya cupo"
+          );
+          if (waitMs > maxRetryWaitMs) {
+            store.update(id, {
+              status: "deferred",
+              resumeAt: new Date(Date.now() + waitMs).toISOString(),
+              updatedAt: new Date().toISOString(),
+            });
+            defer(id, waitMs);
+            return;
+          }
+          await sleep(waitMs, controller.signal);
+          index--;
+          continue;
+        }
+
+        const items = [...batch.items];
+        items[index] = {
+          ...items[index],
+          status: itemStatus(result.status),
+          httpStatus: result.status,
+          messageId: result.body.messageId,
+          jobId: result.body.jobId,
+          accepted: result.body.accepted,
+          rejected: result.body.rejected,
+          error: result.body.error,
+          details: result.body.details,
+          processedAt: new Date().toISOString(),
+        };
+        batch = store.update(id, {
+          items,
+          updatedAt: new Date().toISOString(),
+        });
+
+        // Pausa también tras el último ítem: el siguiente lote empieza después
+        await sleep(intervalMs, controller.signal);
+      }
+
+      const counts = countItems(batch.items);
+      store.update(id, {
+        status: "completed",
+        completedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      });
+      log.info(counts, "[BATCH] Lote completado");
+    } catch (error) {
+      log.error({ error: error.message }, "[BATCH] Error procesando lote");
+    }
+  }
+
+  /**
+   * Crea un lote y empieza a procesarlo en segundo plano
+   * @param {Object} request - Body validado de POST /send/batch
+   * @param {Object} meta - client y reqId
+   * @returns {Object} - Lote creado
+   */
+  function create(request, { client, reqId }) {
+    const total = request.messages
+      ? request.messages.length
+      : request.recipients.length;
+    const now = new Date().toISOString();
+    const batch = store.put({
+      id: crypto.randomUUID(),
+      status: "running",
+      client,
+      reqId,
+      total,
+      request,
+      items: Array.from({ length: total }, (_, index) => ({
+        index,
+        to: request.messages
+          ? request.messages[index].to
+          : request.recipients[index].to,
+        status: "pending",
+      })),
+      createdAt: now,
+      updatedAt: now,
+    });
+    run(batch.id);
+    return batch;
+  }
+
+  // Retoma los lotes que quedaron sin terminar por un reinicio (los
+  // diferidos, cuando llega su resumeAt)
+  function resume() {
+    const pending = store.list((batch) => batch.status === "running");
+    for (const batch of pending) {
+      run(batch.id);
+    }
+    const waiting = store.list((batch) => batch.status === "deferred");
+    for (const batch of waiting) {
+      defer(batch.id, Math.max(0, Date.parse(batch.resumeAt) - Date.now()));
+    }
+    if (pending.length + waiting.length > 0) {
+      logger.info(
+        { batches: pending.length, deferred: waiting.length },
+        "[BATCH] Lotes retomados"
+      );
+    }
+  }
+
+  // Corta las esperas en curso; el ítem que se está enviando termina igual
+  function stop() {
+    controller.abort();
+    for (const timer of deferred) {
+      clearTimeout(timer);
+    }
+    deferred.clear();
+  }
+
+  return {
+    create,
+    resume,
+    stop,
+    get: (id) => store.get(id),
+  };
+}
+
+/**
+ * Estado de un ítem según la respuesta HTTP de su envío
+ * @param {number} status - Código HTTP devuelto por el envío
+ * @returns {string} - sent, queued o failed
+ */
+function itemStatus(status) {
+  if (status === 200) {
+    return "sent";
+  }
+  if (status === 202) {
+    return "queued";
+  }
+  return "failed";
+}
+
+/**
+ * Cuenta los ítems de un lote por estado
+ * @param {Object[]} items
+ * @returns {Object} - { pending, sent, queued, failed }
+ */
+function countItems(items) {
+  const counts = { pending: 0, sent: 0, queued: 0, failed: 0 };
+  for (const item of items) {
+    counts[item.status] = (counts[item.status] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  createBatchRunner,
+  countItems,
+};
@@ -0,0 +1,490 @@
+/**
+ * Procesamiento de rebotes (DSN) y respuestas automáticas
+ *
+ * IONOS acepta los emails a direcciones inexistentes y el rebote llega más
+ * tarde al buzón. Un watcher revisa periódicamente la bandeja de entrada por
+ * IMAP, reconoce los avisos de entrega (RFC 3464) y las respuestas
+ * automáticas (RFC 3834), los correlaciona con el Message-ID enviado y los
+ * registra en DATA_DIR/bounces y en el send log. Los avisos procesados se
+ * marcan como leídos y, opcionalmente, se mueven a otra carpeta; el resto del
+ * correo de la bandeja no se toca.
+ */
+
+const crypto = require("crypto");
+const { simpleParser } = require("mailparser");
+const { createStore } = require("./store");
+const { normalizeMessageId } = require("./sendlog");
+
+// Remitentes típicos de los avisos de no entrega
+const BOUNCE_SENDER = /^(mailer-daemon|postmaster|mail-daemon)@/i;
+
+// Asuntos típicos de avisos de no entrega (sin multipart/report)
+const BOUNCE_SUBJECT =
+  /undeliver|delivery (status notification|failure|failed|has failed)|mail delivery failed|returned mail|failure notice|unzustellbar|no entregado|non remis/i;
+
+// Asuntos típicos de respuestas automáticas
+const AUTO_REPLY_SUBJECT =
+  /^(auto(matic)?[ -]?(reply|response)|out of (the )?office|abwesenheit|fuera de (la )?oficina|respuesta autom[aá]tica|r[eé]ponse automatique|absence)/i;
+
+// Acciones DSN que no son un fallo de entrega
+const DELIVERED_ACTIONS = new Set(["delivered", "relayed", "expanded"]);
+
+/**
+ * Indica, solo por los encabezados, si un mensaje puede ser un rebote o una
+ * respuesta automática (para no descargar el resto del buzón)
+ * @param {string} headers - Encabezados del mensaje en texto
+ * @returns {boolean}
+ */
+function isCandidate(headers) {
+  const field = (name) =>
+    headers.match(new RegExp(`^${name}:[ \\t]*(.*)$`, "im"))?.[1] || "";
+
+  return (
+    /multipart\/report/i.test(field("Content-Type")) ||
+    /mailer-daemon|postmaster/i.test(field("From")) ||
+    /^auto-(replied|generated)/i.test(field("Auto-Submitted")) ||
+    Boolean(field("X-Autoreply") || field("X-Autorespond")) ||
+    /^auto_reply$/i.test(field("Precedence")) ||
+    BOUNCE_SUBJECT.test(field("Subject")) ||
+    AUTO_REPLY_SUBJECT.test(field("Subject"))
+  );
+}
+
+/**
+ * Extrae los bloques por destinatario de un informe message/delivery-status
+ * @param {string} text - Texto donde aparece el informe
+ * @returns {Array<{recipient: string, action?: string, status?: string, diagnostic?: string}>}
+ */
+function parseDeliveryStatus(text) {
+  const unfolded = String(text || "")
+    .replace(/\r\n/g, "\n")
+    .replace(/\n[ \t]+/g, " ");
+
+  return unfolded
+    .split(/\n\s*\n/)
+    .map((block) => {
+      const fields = {};
+      for (const line of block.split("\n")) {
+        const match = line.match(/^([A-Za-z-]+):\s*(.*)$/);
+        if (match) {
+          fields[match[1].toLowerCase()] = match[2].trim();
+        }
+      }
+      return fields;
+    })
+    .filter(
+      (fields) => fields["final-recipient"] || fields["original-recipient"]
+    )
+    .map((fields) => {
+      // "rfc822; user@example.com" -> "user@example.com"
+      const address = (
+        fields["final-recipient"] || fields["original-recipient"]
+      )
+        .replace(/^[^;]*;\s*/, "")
+        .replace(/^<|>$/g, "");
+      return {
+        recipient: address.toLowerCase(),
+        action: fields.action?.toLowerCase(),
+        status: fields.status?.match(/\d\.\d{1,3}\.\d{1,3}/)?.[0],
+        diagnostic: fields["diagnostic-code"]?.replace(/^[^;]*;\s*/, ""),
+      };
+    });
+}
+
+/**
+ * Tipo de rebote según el código de estado y la acción DSN
+ * @param {string} [status] - Código de estado (5.1.1, 4.2.2, ...)
+ * @param {string} [action] - Acción DSN (failed, delayed, ...)
+ * @returns {"hard"|"soft"}
+ */
+function classify(status, action) {
+  if (action === "delayed" || status?.startsWith("4")) {
+    return "soft";
+  }
+  return "hard";
+}
+
+/**
+ * Todos los Message-ID mencionados en un texto (encabezados del original)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function findMessageIds(text) {
+  return [...String(text || "").matchAll(/^Message-ID:\s*(<[^>\s]+>)/gim)].map(
+    (match) => match[1]
+  );
+}
+
+/**
+ * Analiza un mensaje recibido y devuelve el rebote o respuesta automática
+ * @param {Buffer|string} raw - Mensaje RFC822
+ * @returns {Promise<Object|null>} - null si no es un rebote ni una respuesta automática
+ */
+async function parseBounce(raw) {
+  const parsed = await simpleParser(raw, {
+    skipHtmlToText: true,
+    skipTextToHtml: true,
+    skipImageLinks: true,
+  });
+
+  const headers = parsed.headers;
+  const contentType = headers.get("content-type");
+  const from = parsed.from?.value?.[0]?.address?.toLowerCase() || "";
+  const subject = parsed.subject || "";
+  const text = parsed.text || "";
+  // Los adjuntos message/rfc822 y text/rfc822-headers traen el original
+  const attachedText = (pattern) =>
+    parsed.attachments
+      .filter((a) => pattern.test(a.contentType))
+      .map((a) => a.content.toString("utf8"))
+      .join("\n\n");
+  const attached = attachedText(/rfc822/i);
+
+  // Message-ID candidatos del email original, del más al menos fiable
+  const references = [
+    ...findMessageIds(attached),
+    ...findMessageIds(text),
+    ...[headers.get("in-reply-to")].flat(),
+    ...[headers.get("references")].flat(),
+  ]
+    .filter(Boolean)
+    .flatMap((value) => String(value).match(/<[^>\s]+>/g) || [])
+    .map(normalizeMessageId)
+    .filter((id, index, all) => id && all.indexOf(id) === index);
+
+  const base = {
+    bounceMessageId: normalizeMessageId(parsed.messageId) || undefined,
+    from,
+    subject,
+    date: parsed.date?.toISOString(),
+    references,
+  };
+
+  const isReport =
+    contentType?.value === "multipart/report" &&
+    /delivery-status/i.test(contentType.params?.["report-type"] || "");
+
+  if (isReport || BOUNCE_SENDER.test(from) || BOUNCE_SUBJECT.test(subject)) {
+    // mailparser deja el informe en el texto, salvo que venga como adjunto
+    let recipients = parseDeliveryStatus(
+      `${text}\n\n${attachedText(/delivery-status/i)}`
+    ).filter((r) => !DELIVERED_ACTIONS.has(r.action));
+
+    if (recipients.length === 0 && isReport) {
+      // Informe de entrega exitosa o demorada sin fallos: no es un rebote
+      return null;
+    }
+    if (recipients.length === 0) {
+      // Aviso sin formato DSN: tomar el primer código de estado del texto
+      const status = text.match(/\b[45]\.\d{1,3}\.\d{1,3}\b/)?.[0];
+      // Formato habitual de qmail/Postfix: "<user@example.com>: ... 550 ..."
+      const recipient = text.match(/<([^\s<>@]+@[^\s<>@]+)>:/)?.[1];
+      recipients = [
+        {
+          recipient: recipient?.toLowerCase(),
+          status,
+          diagnostic: text
+            .trim()
+            .split("\n")
+            .slice(0, 3)
+            .join(" ")
+            .slice(0, 500),
+        },
+      ];
+    }
+
+    return {
+      ...base,
+      kind: "bounce",
+      recipients: recipients.map((r) => ({
+        ...r,
+        type: classify(r.status, r.action),
+      })),
+    };
+  }
+
+  const autoSubmitted = String(headers.get("auto-submitted") || "");
+  if (
+    /^auto-replied/i.test(autoSubmitted) ||
+    headers.has("x-autoreply") ||
+    headers.has("x-autorespond") ||
+    /^auto_reply$/i.test(String(headers.get("precedence") || "")) ||
+    AUTO_REPLY_SUBJECT.test(subject)
+  ) {
+    return {
+      ...base,
+      kind: "auto_reply",
+      recipients: [{ recipient: from, type: "auto_reply" }],
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Crea el watcher de rebotes
+ * @param {Object} params
+ * @param {Object} params.imapClient - Cliente de createImapClient
+ * @param {Object} params.sendLog - Registro de envíos (para correlacionar)
+ * @param {Object} params.logger - Logger pino
+ * @param {Function} [params.onBounce] - (registro) => void, por cada rebote nuevo
+ * @param {Object} [params.options]
+ * @param {string} [params.options.mailbox] - Carpeta a revisar
+ * @param {string} [params.options.moveTo] - Carpeta destino de los avisos procesados
+ * @param {number} [params.options.pollMs] - Intervalo de revisión
+ * @param {number} [params.options.lookbackDays] - Días hacia atrás en la primera revisión
+ * @param {number} [params.options.batchSize] - Mensajes descargados por revisión
+ * @returns {Object} - API del watcher
+ */
+function createBounceWatcher({
+  imapClient,
+  sendLog,
+  logger,
+  onBounce,
+  options: {
+    mailbox = process.env.BOUNCE_MAILBOX || "INBOX",
+    moveTo = process.env.BOUNCE_MOVE_TO,
+    pollMs = Number(process.env.BOUNCE_POLL_MS) || 60000,
+    lookbackDays = Number(process.env.BOUNCE_LOOKBACK_DAYS) || 7,
+    batchSize = 50,
+  } = {},
+}) {
+  const store = createStore({ name: "bounces", logger });
+  // Último UID revisado (y UIDVALIDITY del buzón) para no releer la bandeja
+  const cursors = createStore({ name: "bounce-cursor", logger });
+  let timer = null;
+  let running = false;
+  let moveFolderReady = false;
+  let lastPollAt = null;
+  let lastError = null;
+
+  /**
+   * Registra un rebote y actualiza el send log del email original
+   * @param {Object} bounce - Resultado de parseBounce
+   * @returns {Object[]} - Registros creados
+   */
+  function record(bounce) {
+    const original = bounce.references
+      .map((id) => sendLog.get(id))
+      .find(Boolean);
+    const created = [];
+
+    for (const r of bounce.recipients) {
+      // Id determinista: volver a procesar el mismo aviso no lo duplica
+      const id = crypto
+        .createHash("sha256")
+        .update(
+          `${bounce.bounceMessageId || bounce.date}\n${r.recipient || ""}`
+        )
+        .digest("hex")
+        .slice(0, 32);
+      if (store.has(id)) {
+        continue;
+      }
+
+      const entry = store.put({
+        id,
+        type: r.type,
+        recipient: r.recipient,
+        status: r.status,
+        action: r.action,
+        diagnostic: r.diagnostic,
+        messageId: original ? `<${original.id}>` : undefined,
+        client: original?.client,
+        from: bounce.from,
+        subject: bounce.subject,
+        bounceMessageId: bounce.bounceMessageId,
+        receivedAt: bounce.date,
+        createdAt: new Date().toISOString(),
+      });
+      created.push(entry);
+      onBounce?.(entry);
+
+      if (original) {
+        const bounces = [
+          ...(sendLog.get(original.id)?.bounces || []),
+          {
+            bounceId: id,
+            type: r.type,
+            recipient: r.recipient,
+            status: r.status,
+            diagnostic: r.diagnostic,
+            at: entry.createdAt,
+          },
+        ];
+        sendLog.update(original.id, {
+          bounces,
+          ...(r.type === "hard" ? { status: "bounced" } : {}),
+        });
+      }
+
+      logger.info(
+        {
+          bounceId: id,
+          type: r.type,
+          recipient: r.recipient,
+          status: r.status,
+          messageId: entry.messageId,
+        },
+        original
+          ? "[BOUNCES] Rebote registrado"
+          : "[BOUNCES] Rebote sin envío asociado"
+      );
+    }
+    return created;
+  }
+
+  /**
+   * Revisa los mensajes nuevos del buzón
+   * @param {Object} connection - ImapFlow conectado
+   * @returns {Promise<number>} - Cantidad de avisos procesados
+   */
+  async function scan(connection) {
+    const lock = await connection.getMailboxLock(mailbox);
+    try {
+      const uidValidity = String(connection.mailbox.uidValidity);
+      const cursor = cursors.get(mailbox);
+      const fresh = !cursor || cursor.uidValidity !== uidValidity;
+
+      // Primera revisión (o buzón recreado): solo los últimos días
+      const query = fresh
+        ? { since: new Date(Date.now() - lookbackDays * 86400000) }
+        : { uid: `${cursor.lastUid + 1}:*` };
+      const uids = ((await connection.search(query, { uid: true })) || [])
+        .filter((uid) => fresh || uid > cursor.lastUid)
+        .sort((a, b) => a - b)
+        .slice(0, batchSize);
+
+      if (uids.length === 0) {
+        if (fresh) {
+          cursors.put({ id: mailbox, uidValidity, lastUid: 0 });
+        }
+        return 0;
+      }
+
+      // Descargar primero solo los encabezados y luego los candidatos
+      const candidates = [];
+      for await (const message of connection.fetch(
+        uids.join(","),
+        { uid: true, headers: true },
+        { uid: true }
+      )) {
+        if (isCandidate(message.headers.toString("utf8"))) {
+          candidates.push(message.uid);
+        }
+      }
+
+      const processed = [];
+      if (candidates.length > 0) {
+        const sources = [];
+        for await (const message of connection.fetch(
+          candidates.join(","),
+          { uid: true, source: true },
+          { uid: true }
+        )) {
+          sources.push(message);
+        }
+        for (const message of sources) {
+          try {
+            const bounce = await parseBounce(message.source);
+            if (bounce) {
+              record(bounce);
+              processed.push(message.uid);
+            }
+          } catch (error) {
+            logger.warn(
+              { uid: message.uid, error: error.message },
+              "[BOUNCES] No se pudo analizar el mensaje"
+            );
+          }
+        }
+      }
+
+      if (processed.length > 0) {
+        const range = processed.join(",");
+        await connection.messageFlagsAdd(range, ["\\Seen"], { uid: true });
+        if (moveTo) {
+          if (!moveFolderReady) {
+            await connection.mailboxCreate(moveTo);
+            moveFolderReady = true;
+          }
+          await connection.messageMove(range, moveTo, { uid: true });
+        }
+      }
+
+      cursors.put({ id: mailbox, uidValidity, lastUid: uids[uids.length - 1] });
+      return processed.length;
+    } finally {
+      lock.release();
+    }
+  }
+
+  // Una revisión del buzón (sin solaparse con la anterior)
+  async function poll() {
+    if (running) {
+      return 0;
+    }
+    running = true;
+    try {
+      const processed = await imapClient.withConnection(scan);
+      lastPollAt = new Date().toISOString();
+      lastError = null;
+      if (processed > 0) {
+        logger.info({ processed, mailbox }, "[BOUNCES] Avisos procesados");
+      }
+      return processed;
+    } catch (error) {
+      lastError = error.message;
+      logger.warn(
+        { mailbox, error: error.message },
+        "[BOUNCES] Error al revisar el buzón"
+      );
+      return 0;
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    logger.info(
+      { mailbox, moveTo, pollMs },
+      "[BOUNCES] Watcher de rebotes iniciado"
+    );
+    timer = setInterval(poll, pollMs);
+    timer.unref();
+    poll();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /**
+   * Lista los rebotes registrados
+   * @param {Function} [filter] - Predicado opcional
+   * @returns {Object[]}
+   */
+  function list(filter) {
+    return store
+      .list(filter)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  return {
+    start,
+    stop,
+    poll,
+    list,
+    get: (id) => store.get(id),
+    status: () => ({ mailbox, moveTo, lastPollAt, lastError }),
+  };
+}
+
+module.exports = {
+  createBounceWatcher,
+  parseBounce,
+};
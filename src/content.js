@@ -0,0 +1,162 @@
+/**
+ * Procesamiento del contenido HTML antes del envío
+ *
+ * Pasos (cada uno se activa por env y se puede cambiar por request con el
+ * campo "processing"):
+ * - sanitize: quita scripts, handlers de eventos (onclick...) y URLs
+ *   javascript:, dejando el marcado habitual de un email
+ * - inlineCss: pasa los bloques <style> a atributos style (Gmail descarta
+ *   <style> en muchos clientes); las media queries se conservan
+ * - textFromHtml: genera la parte de texto cuando solo llega html
+ * - warnings: avisa si el HTML supera el tamaño que Gmail recorta o tiene
+ *   demasiados links; no bloquea el envío
+ */
+
+const juice = require("juice");
+const sanitizeHtml = require("sanitize-html");
+const { convert } = require("html-to-text");
+
+// Marcado permitido al sanitizar: el de un email HTML (tablas, estilos, imágenes)
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    "html",
+    "head",
+    "body",
+    "meta",
+    "title",
+    "style",
+    "img",
+    "font",
+    "center",
+  ],
+  allowedAttributes: {
+    "*": [
+      "style",
+      "class",
+      "id",
+      "align",
+      "valign",
+      "width",
+      "height",
+      "bgcolor",
+      "border",
+      "cellpadding",
+      "cellspacing",
+      "colspan",
+      "rowspan",
+      "dir",
+      "lang",
+      "title",
+      "role",
+    ],
+    a: ["href", "name", "target", "rel"],
+    img: ["src", "alt"],
+    meta: ["charset", "name", "content", "http-equiv"],
+    font: ["color", "face", "size"],
+  },
+  allowedSchemes: ["http", "https", "mailto", "tel", "cid"],
+  allowedSchemesByTag: { img: ["http", "https", "cid", "data"] },
+  // <style> es necesario para inlineCss y las media queries
+  allowVulnerableTags: true,
+};
+
+/**
+ * Lee un booleano del entorno
+ * @param {string} name - Variable de entorno
+ * @param {boolean} fallback - Valor si no está definida
+ * @returns {boolean}
+ */
+function envFlag(name, fallback) {
+  const value = process.env[name];
+  return value === undefined ? fallback : value === "true";
+}
+
+/**
+ * Crea el procesador de contenido
+ * @param {Object} [options]
+ * @param {Object} [options.defaults] - Pasos activos por defecto
+ * @param {number} [options.maxHtmlBytes] - Tamaño a partir del cual se avisa
+ * @param {number} [options.maxLinks] - Cantidad de links a partir de la cual se avisa
+ * @returns {{apply: Function, defaults: Object}}
+ */
+function createContentPipeline({
+  defaults = {
+    textFromHtml: envFlag("CONTENT_TEXT_FROM_HTML", true),
+    inlineCss: envFlag("CONTENT_INLINE_CSS", false),
+    sanitize: envFlag("CONTENT_SANITIZE", false),
+    warnings: envFlag("CONTENT_WARNINGS", true),
+  },
+  // Gmail recorta los mensajes con más de ~102 KB de HTML
+  maxHtmlBytes = Number(process.env.CONTENT_MAX_HTML_BYTES) || 102 * 1024,
+  maxLinks = Number(process.env.CONTENT_MAX_LINKS) || 100,
+} = {}) {
+  /**
+   * Procesa el html (y genera el text) de un email
+   * @param {Object} content
+   * @param {string} [content.html]
+   * @param {string} [content.text]
+   * @param {Object} [steps] - Pasos a activar o desactivar en esta request
+   * @returns {{html?: string, text?: string, warnings: Array<{code: string, message: string}>}}
+   */
+  function apply({ html, text }, steps = {}) {
+    const active = { ...defaults, ...steps };
+    const warnings = [];
+    if (!html) {
+      return { html, text, warnings };
+    }
+
+    let output = html;
+    if (active.sanitize) {
+      output = sanitizeHtml(output, SANITIZE_OPTIONS);
+    }
+    if (active.inlineCss) {
+      try {
+        output = juice(output, {
+          preserveMediaQueries: true,
+          preserveFontFaces: true,
+          applyWidthAttributes: true,
+        });
+      } catch (error) {
+        warnings.push({
+          code: "inline_css_failed",
+          message: `No se pudo pasar el CSS a inline: ${error.message}`,
+        });
+      }
+    }
+    if (active.textFromHtml && !text) {
+      text = convert(output, {
+        wordwrap: 78,
+        selectors: [
+          { selector: "img", format: "skip" },
+          { selector: "a", options: { hideLinkHrefIfSameAsText: true } },
+        ],
+      });
+    }
+
+    if (active.warnings) {
+      const bytes = Buffer.byteLength(output);
+      if (bytes > maxHtmlBytes) {
+        warnings.push({
+          code: "html_too_large",
+          message: `El HTML ocupa ${bytes} bytes; Gmail recorta los mensajes de más de ${maxHtmlBytes}`,
+        });
+      }
+      const links = (output.match(/<a\s[^>]*href\s*=/gi) || []).length;
+      if (links > maxLinks) {
+        warnings.push({
+          code: "too_many_links",
+          message: `El HTML tiene ${links} links (máximo recomendado ${maxLinks}); muchos links suben el puntaje de spam`,
+        });
+      }
+    }
+
+    return { html: output, text, warnings };
+  }
+
+  return { apply, defaults };
+}
+
+module.exports = {
+  createContentPipeline,
+};
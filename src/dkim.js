@@ -0,0 +1,205 @@
+/**
+ * Firma DKIM de los emails salientes
+ *
+ * Las claves se configuran con DKIM_DOMAIN + DKIM_SELECTOR + DKIM_PRIVATE_KEY
+ * (o DKIM_PRIVATE_KEY_FILE) para un solo dominio, o con DKIM_KEYS /
+ * DKIM_KEYS_FILE (JSON) para varios dominios y selectores. Cada email se firma
+ * con todas las claves del dominio de su From (o del dominio padre más
+ * cercano, alineación relajada), así durante una rotación viaja la firma del
+ * selector viejo y la del nuevo.
+ *
+ * La firma se aplica sobre el mensaje ya compilado, antes del SMTP: la copia
+ * en "Enviados" lleva las mismas firmas que el email entregado.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { z } = require("zod");
+const DKIM = require("nodemailer/lib/dkim");
+const { getDomain } = require("./address");
+
+// Esquema de cada clave
+const keySchema = z
+  .object({
+    domain: z
+      .string({ required_error: "Dominio es requerido" })
+      .regex(/^([a-z0-9-]+\.)+[a-z]{2,}$/i, "Dominio inválido")
+      .transform((domain) => domain.toLowerCase()),
+    selector: z
+      .string({ required_error: "Selector es requerido" })
+      .regex(/^[a-z0-9_-]+(\.[a-z0-9_-]+)*$/i, "Selector inválido"),
+    privateKey: z.string().min(1).optional(),
+    privateKeyFile: z.string().min(1).optional(),
+    // Headers firmados (por defecto los de nodemailer: From, To, Subject...)
+    headerFields: z
+      .array(z.string().regex(/^[!-9;-~]+$/))
+      .min(1)
+      .optional(),
+  })
+  .refine((key) => Boolean(key.privateKey) !== Boolean(key.privateKeyFile), {
+    message: "Cada clave necesita privateKey o privateKeyFile (uno solo)",
+    path: ["privateKey"],
+  });
+
+const keysSchema = z.array(keySchema);
+
+/**
+ * Lee las claves DKIM configuradas
+ * @param {Object} [options]
+ * @param {string} [options.file] - Archivo JSON con las claves (DKIM_KEYS_FILE)
+ * @param {string} [options.json] - JSON inline con las claves (DKIM_KEYS)
+ * @param {Object} [options.single] - Clave única desde DKIM_DOMAIN/SELECTOR/PRIVATE_KEY
+ * @returns {Array<Object>} - Claves validadas con la clave privada ya leída
+ */
+function loadDkimKeys({
+  file = process.env.DKIM_KEYS_FILE,
+  json = process.env.DKIM_KEYS,
+  single = {
+    domain: process.env.DKIM_DOMAIN,
+    selector: process.env.DKIM_SELECTOR,
+    // En variables de entorno los saltos de línea suelen llegar como "\n"
+    privateKey: process.env.DKIM_PRIVATE_KEY?.replace(/\\n/g, "\n"),
+    privateKeyFile: process.env.DKIM_PRIVATE_KEY_FILE,
+    headerFields: process.env.DKIM_HEADER_FIELDS?.split(/[,:]/)
+      .map((field) => field.trim())
+      .filter(Boolean),
+  },
+} = {}) {
+  let entries = [];
+  const raw = file ? fs.readFileSync(file, "utf8") : json;
+  if (raw) {
+    try {
+      entries = [].concat(JSON.parse(raw));
+    } catch (error) {
+      throw new Error(`Configuración DKIM no es JSON válido: ${error.message}`);
+    }
+  }
+  if (single.domain || single.selector || single.privateKey) {
+    entries.push(single);
+  }
+
+  const result = keysSchema.safeParse(entries);
+  if (!result.success) {
+    const details = result.error.errors
+      .map((e) => `${e.path.join(".")}: ${e.message}`)
+      .join("; ");
+    throw new Error(`Configuración DKIM inválida: ${details}`);
+  }
+
+  const seen = new Set();
+  return result.data.map(({ privateKeyFile, ...key }) => {
+    const name = `${key.selector}._domainkey.${key.domain}`;
+    if (seen.has(name)) {
+      throw new Error(`Clave DKIM duplicada: ${name}`);
+    }
+    seen.add(name);
+    let privateKey = key.privateKey;
+    if (privateKeyFile) {
+      try {
+        privateKey = fs.readFileSync(privateKeyFile, "utf8");
+      } catch (error) {
+        throw new Error(`Clave DKIM ${name} no se pudo leer: ${error.message}`);
+      }
+    }
+    return { ...key, name, privateKey };
+  });
+}
+
+/**
+ * Verifica que una clave privada se pueda usar para firmar
+ * (nodemailer firma con rsa-sha256 y, si la clave no sirve, omite la firma
+ * sin avisar; por eso se valida al arrancar)
+ * @param {Object} key - Clave de loadDkimKeys
+ * @throws {Error} - Si la clave no se puede leer o no es RSA
+ */
+function checkKey(key) {
+  let parsed;
+  try {
+    parsed = crypto.createPrivateKey(key.privateKey);
+  } catch (error) {
+    throw new Error(`Clave DKIM ${key.name} ilegible: ${error.message}`);
+  }
+  if (parsed.asymmetricKeyType !== "rsa") {
+    throw new Error(
+      `Clave DKIM ${key.name}: se requiere RSA (es ${parsed.asymmetricKeyType})`
+    );
+  }
+  crypto.sign("sha256", Buffer.from("dkim"), parsed);
+}
+
+/**
+ * Crea el firmador DKIM
+ * @param {Object} params
+ * @param {Array<Object>} params.keys - Resultado de loadDkimKeys
+ * @param {Object} params.logger - Logger pino
+ * @returns {{sign: Function, keysFor: Function, domains: string[]}}
+ */
+function createDkimSigner({ keys, logger }) {
+  for (const key of keys) {
+    checkKey(key);
+  }
+
+  const signers = keys.map((key) => ({
+    key,
+    dkim: new DKIM({
+      domainName: key.domain,
+      keySelector: key.selector,
+      privateKey: key.privateKey,
+      headerFieldNames: key.headerFields?.join(":"),
+    }),
+  }));
+
+  if (keys.length > 0) {
+    logger.info(
+      { keys: keys.map((key) => key.name) },
+      "[DKIM] Claves de firma cargadas"
+    );
+  }
+
+  /**
+   * Claves que firman los emails de un remitente: las del dominio del From o,
+   * si no hay, las del dominio padre más cercano
+   * @param {string} from - Remitente ("Nombre <dir>" o dirección)
+   * @returns {Array<Object>}
+   */
+  function signersFor(from) {
+    let domain = getDomain(from);
+    while (domain.includes(".")) {
+      const matches = signers.filter((s) => s.key.domain === domain);
+      if (matches.length > 0) {
+        return matches;
+      }
+      domain = domain.slice(domain.indexOf(".") + 1);
+    }
+    return [];
+  }
+
+  /**
+   * Firma un mensaje compilado con las claves de su remitente
+   * @param {Buffer} raw - Mensaje RFC 5322
+   * @param {string} from - Remitente del mensaje (From)
+   * @returns {Promise<Buffer>} - Mensaje firmado (el mismo si no hay claves)
+   */
+  async function sign(raw, from) {
+    let message = raw;
+    for (const { dkim } of signersFor(from)) {
+      const chunks = [];
+      for await (const chunk of dkim.sign(message)) {
+        chunks.push(chunk);
+      }
+      message = Buffer.concat(chunks);
+    }
+    return message;
+  }
+
+  return {
+    sign,
+    keysFor: (from) => signersFor(from).map((s) => s.key.name),
+    domains: [...new Set(keys.map((key) => key.domain))],
+  };
+}
+
+module.exports = {
+  loadDkimKeys,
+  createDkimSigner,
+};
@@ -0,0 +1,201 @@
+/**
+ * Detección del tipo real de un archivo por sus primeros bytes
+ *
+ * El contentType que manda el cliente no es confiable: un .exe declarado como
+ * application/pdf pasaría tal cual. Acá se reconocen las firmas (magic bytes)
+ * de los formatos más comunes para compararlas con el tipo declarado. Los
+ * formatos sin firma (texto, CSV, HTML, ICS...) no se detectan y se aceptan
+ * siempre que el tipo declarado tampoco tenga firma.
+ */
+
+// Firmas conocidas: bytes esperados desde un offset
+const SIGNATURES = [
+  { type: "application/pdf", bytes: "%PDF-" },
+  {
+    type: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/gif", bytes: "GIF87a" },
+  { type: "image/gif", bytes: "GIF89a" },
+  { type: "image/webp", bytes: "RIFF", also: { offset: 8, bytes: "WEBP" } },
+  { type: "image/tiff", bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { type: "image/tiff", bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { type: "audio/wav", bytes: "RIFF", also: { offset: 8, bytes: "WAVE" } },
+  { type: "audio/mpeg", bytes: "ID3" },
+  { type: "audio/ogg", bytes: "OggS" },
+  { type: "video/mp4", offset: 4, bytes: "ftyp" },
+  { type: "video/webm", bytes: [0x1a, 0x45, 0xdf, 0xa3] },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: "application/gzip", bytes: [0x1f, 0x8b] },
+  { type: "application/x-7z-compressed", bytes: "7z\xbc\xaf\x27\x1c" },
+  { type: "application/vnd.rar", bytes: "Rar!\x1a\x07" },
+  { type: "application/rtf", bytes: "{\\rtf" },
+  // Contenedor OLE2 de Office 97-2003 (doc, xls, ppt, msg, msi)
+  { type: "application/x-ole-storage", bytes: [0xd0, 0xcf, 0x11, 0xe0] },
+  // Ejecutables: se rechazan siempre, sin importar nombre ni tipo declarado
+  // (PE de Windows: "MZ" y la cabecera "PE\0\0" a la que apunta el offset 0x3c)
+  {
+    type: "application/x-msdownload",
+    bytes: "MZ",
+    also: { offsetAt: 0x3c, bytes: "PE\0\0" },
+    executable: true,
+  },
+  {
+    type: "application/x-elf",
+    bytes: [0x7f, 0x45, 0x4c, 0x46],
+    executable: true,
+  },
+  {
+    type: "application/x-mach-binary",
+    bytes: [0xcf, 0xfa, 0xed, 0xfe],
+    executable: true,
+  },
+  {
+    type: "application/x-mach-binary",
+    bytes: [0xca, 0xfe, 0xba, 0xbe],
+    executable: true,
+  },
+  { type: "text/x-shellscript", bytes: "#!", executable: true },
+].map((signature) => ({
+  ...signature,
+  bytes: Buffer.from(signature.bytes, "latin1"),
+  also: signature.also && {
+    ...signature.also,
+    bytes: Buffer.from(signature.also.bytes, "latin1"),
+  },
+}));
+
+// Tipos declarados que se aceptan para cada formato detectado
+const COMPATIBLE = {
+  "image/jpeg": ["image/jpg", "image/pjpeg"],
+  "audio/wav": ["audio/x-wav", "audio/wave"],
+  "audio/mpeg": ["audio/mp3"],
+  "video/mp4": [/^video\//, /^audio\/(mp4|x-m4a)$/, "image/heic", "image/avif"],
+  "video/webm": [/^video\//, "audio/webm"],
+  "application/zip": [
+    "application/x-zip-compressed",
+    "application/epub+zip",
+    /^application\/vnd\.openxmlformats-officedocument\./,
+    /^application\/vnd\.oasis\.opendocument\./,
+    /^application\/vnd\.ms-[a-z]+\.[a-z.]*macroenabled/,
+  ],
+  "application/gzip": ["application/x-gzip"],
+  "application/vnd.rar": ["application/x-rar-compressed"],
+  "application/rtf": ["text/rtf"],
+  "application/x-ole-storage": [
+    "application/msword",
+    "application/vnd.ms-excel",
+    "application/vnd.ms-powerpoint",
+    "application/vnd.ms-outlook",
+  ],
+};
+
+// Tipos genéricos: no afirman nada sobre el contenido
+const GENERIC_TYPES = new Set([
+  "application/octet-stream",
+  "binary/octet-stream",
+]);
+
+/**
+ * Indica si el buffer tiene la firma en el offset
+ * @param {Buffer} buffer
+ * @param {Buffer} bytes
+ * @param {number} [offset]
+ * @returns {boolean}
+ */
+function matchesAt(buffer, bytes, offset = 0) {
+  return (
+    buffer.length >= offset + bytes.length &&
+    buffer.subarray(offset, offset + bytes.length).equals(bytes)
+  );
+}
+
+/**
+ * Offset de la segunda parte de una firma: fijo o leído del propio archivo
+ * @param {Buffer} buffer
+ * @param {Object} also - { offset } o { offsetAt }
+ * @returns {number}
+ */
+function alsoOffset(buffer, also) {
+  if (also.offsetAt === undefined) {
+    return also.offset;
+  }
+  return buffer.length >= also.offsetAt + 4
+    ? buffer.readUInt32LE(also.offsetAt)
+    : buffer.length;
+}
+
+/**
+ * Detecta el tipo de un archivo por sus magic bytes
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {{type: string, executable: boolean}|null} - null si no tiene firma conocida
+ */
+function sniffMimeType(buffer) {
+  const signature = SIGNATURES.find(
+    (s) =>
+      matchesAt(buffer, s.bytes, s.offset) &&
+      (!s.also || matchesAt(buffer, s.also.bytes, alsoOffset(buffer, s.also)))
+  );
+  return signature
+    ? { type: signature.type, executable: Boolean(signature.executable) }
+    : null;
+}
+
+/**
+ * Indica si un tipo declarado corresponde a un formato con firma conocida
+ * (las familias por regex, como video/*, incluyen formatos sin firma acá)
+ * @param {string} type - Tipo MIME sin parámetros
+ * @returns {boolean}
+ */
+function hasSignature(type) {
+  return (
+    SIGNATURES.some((s) => s.type === type) ||
+    Object.values(COMPATIBLE).some((accepted) => accepted.includes(type))
+  );
+}
+
+/**
+ * Compara el tipo declarado por el cliente con el contenido real
+ * @param {string} declared - contentType declarado
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {{ok: boolean, detected?: string, reason?: string}}
+ */
+function checkContentType(declared, buffer) {
+  const type = declared.split(";")[0].trim().toLowerCase();
+  const detected = sniffMimeType(buffer);
+
+  if (detected?.executable) {
+    return {
+      ok: false,
+      detected: detected.type,
+      reason: `El contenido es un ejecutable (${detected.type})`,
+    };
+  }
+  if (!detected) {
+    // Sin firma: solo falla si el tipo declarado debería tenerla
+    return hasSignature(type) && !GENERIC_TYPES.has(type)
+      ? { ok: false, reason: `El contenido no es un ${type} válido` }
+      : { ok: true };
+  }
+
+  const accepted = COMPATIBLE[detected.type] || [];
+  const compatible =
+    type === detected.type ||
+    GENERIC_TYPES.has(type) ||
+    accepted.some((a) => (a instanceof RegExp ? a.test(type) : a === type));
+
+  return compatible
+    ? { ok: true, detected: detected.type }
+    : {
+        ok: false,
+        detected: detected.type,
+        reason: `El contenido es ${detected.type} pero se declaró ${type}`,
+      };
+}
+
+module.exports = {
+  sniffMimeType,
+  checkContentType,
+};
@@ -0,0 +1,132 @@
+/**
+ * Chequeos de salud profundos (GET /health/ready)
+ *
+ * Verifica de verdad cada dependencia: SMTP con transporter.verify() (login
+ * incluido, así se detectan credenciales vencidas) e IMAP con un NOOP sobre
+ * la conexión compartida. Cada resultado queda en cache unos segundos para
+ * que los health checks frecuentes de Render no abran una sesión SMTP por
+ * request, y los chequeos simultáneos comparten la misma verificación.
+ */
+
+/**
+ * Rechaza una promesa que no termina a tiempo
+ * @param {Promise} promise
+ * @param {number} ms - Milisegundos
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Sin respuesta en ${ms} ms`)),
+        ms
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Envuelve un chequeo con cache y timeout
+ * @param {Function} check - async () => void; lanza si el componente falla
+ * @param {Object} options - cacheMs y timeoutMs
+ * @returns {Function} - async () => {status, latencyMs, checkedAt, error?}
+ */
+function cachedCheck(check, { cacheMs, timeoutMs }) {
+  let last = null;
+  let running = null;
+
+  return async function run() {
+    if (last && Date.now() - Date.parse(last.checkedAt) < cacheMs) {
+      return last;
+    }
+    if (!running) {
+      const started = Date.now();
+      running = withTimeout(Promise.resolve().then(check), timeoutMs)
+        .then(
+          () => ({ status: "ok" }),
+          (error) => ({ status: "error", error: error.message })
+        )
+        .then((result) => {
+          last = {
+            ...result,
+            latencyMs: Date.now() - started,
+            checkedAt: new Date().toISOString(),
+          };
+          return last;
+        })
+        .finally(() => {
+          running = null;
+        });
+    }
+    return running;
+  };
+}
+
+/**
+ * Crea el chequeo de disponibilidad del servicio
+ * @param {Object} params
+ * @param {Object} params.transporters - Transporter de nodemailer de cada cuenta SMTP
+ *   ({ nombre: transporter }; la primera es la principal)
+ * @param {Object} [params.imapClient] - Cliente de createImapClient (si IMAP está en uso)
+ * @param {boolean} [params.smtpRequired] - Si un SMTP principal caído deja al servicio no disponible
+ * @param {Object} [params.options]
+ * @param {number} [params.options.cacheMs] - Vigencia de cada resultado
+ * @param {number} [params.options.timeoutMs] - Tiempo máximo de cada chequeo
+ * @returns {{check: Function}}
+ */
+function createReadiness({
+  transporters,
+  imapClient,
+  smtpRequired = true,
+  options: {
+    cacheMs = Number(process.env.HEALTH_CACHE_MS) || 30000,
+    timeoutMs = Number(process.env.HEALTH_TIMEOUT_MS) || 10000,
+  } = {},
+}) {
+  // Componente "smtp" para la cuenta principal y "smtp:<cuenta>" para el resto
+  const smtp = Object.entries(transporters).map(
+    ([name, transporter], index) => [
+      index === 0 ? "smtp" : `smtp:${name}`,
+      cachedCheck(() => transporter.verify(), { cacheMs, timeoutMs }),
+    ]
+  );
+  const imap = imapClient
+    ? cachedCheck(
+        () => imapClient.withConnection((connection) => connection.noop()),
+        { cacheMs, timeoutMs }
+      )
+    : async () => ({ status: "disabled" });
+
+  /**
+   * Chequea todos los componentes
+   * @returns {Promise<{status: string, components: Object}>} - status ready, degraded o not_ready
+   */
+  async function check() {
+    const [smtpResults, imapResult] = await Promise.all([
+      Promise.all(smtp.map(([, run]) => run())),
+      imap(),
+    ]);
+    const components = {
+      ...Object.fromEntries(smtp.map(([name], i) => [name, smtpResults[i]])),
+      imap: imapResult,
+    };
+
+    let status = "ready";
+    if (components.smtp.status === "error" && smtpRequired) {
+      status = "not_ready";
+    } else if (Object.values(components).some((c) => c.status === "error")) {
+      // IMAP solo afecta copias y rebotes, que se reintentan; las otras
+      // cuentas SMTP tienen failover o no reciben todo el tráfico
+      status = "degraded";
+    }
+    return { status, components };
+  }
+
+  return { check };
+}
+
+module.exports = {
+  createReadiness,
+};
@@ -0,0 +1,163 @@
+/**
+ * Soporte de Idempotency-Key para los endpoints de envío
+ *
+ * El cliente manda una key única por operación (header Idempotency-Key o
+ * campo idempotencyKey del body). Dentro de la ventana IDEMPOTENCY_TTL_MS,
+ * repetir la key con el mismo payload devuelve la respuesta original sin
+ * volver a enviar; repetirla con un payload distinto responde 409.
+ * Solo se guardan las respuestas exitosas (2xx): tras un error el cliente
+ * puede reintentar con la misma key.
+ */
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+// Tiempo tras el cual una operación "en curso" se considera abandonada
+const STALE_IN_PROGRESS_MS = 5 * 60000;
+
+/**
+ * Serializa un valor con las keys ordenadas (para comparar payloads)
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Huella SHA-256 del payload de la request (sin la propia key)
+ * @param {Object} req - Request de Express
+ * @returns {string}
+ */
+function fingerprint(req) {
+  const body = { ...req.body };
+  delete body.idempotencyKey;
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.path}\n${canonicalJson(body)}`)
+    .digest("hex");
+}
+
+/**
+ * Crea el middleware de idempotencia
+ * @param {Object} params
+ * @param {Object} params.logger - Logger pino
+ * @param {number} [params.ttlMs] - Ventana durante la que se recuerda una key
+ * @returns {{middleware: Function, stop: Function}}
+ */
+function createIdempotency({
+  logger,
+  ttlMs = Number(process.env.IDEMPOTENCY_TTL_MS) || 86400000,
+}) {
+  const store = createStore({ name: "idempotency", logger });
+
+  // Elimina las keys vencidas
+  function purge() {
+    const now = Date.now();
+    for (const record of store.list()) {
+      if (Date.parse(record.expiresAt) <= now) {
+        store.remove(record.id);
+      }
+    }
+  }
+
+  purge();
+  const purgeTimer = setInterval(purge, 3600000);
+  purgeTimer.unref();
+
+  function middleware(req, res, next) {
+    const key = req.get("Idempotency-Key") ?? req.body?.idempotencyKey;
+    if (key === undefined) {
+      return next();
+    }
+
+    if (typeof key !== "string" || !/^[\x21-\x7e]{1,255}$/.test(key)) {
+      return res.status(400).json({
+        error:
+          "Idempotency-Key inválida (1 a 255 caracteres ASCII imprimibles)",
+      });
+    }
+
+    // Las keys son por cliente: dos clientes pueden usar la misma
+    const id = crypto
+      .createHash("sha256")
+      .update(`${req.client?.name || ""}\n${key}`)
+      .digest("hex");
+    const hash = fingerprint(req);
+    const now = Date.now();
+
+    let record = store.get(id);
+    if (
+      record &&
+      (Date.parse(record.expiresAt) <= now ||
+        (record.status === "in_progress" &&
+          now - Date.parse(record.createdAt) > STALE_IN_PROGRESS_MS))
+    ) {
+      store.remove(id);
+      record = undefined;
+    }
+
+    if (record) {
+      if (record.fingerprint !== hash) {
+        req.log.warn(
+          { reqId: req.id, idempotencyKey: key },
+          "Idempotency-Key reutilizada con otro payload"
+        );
+        return res.status(409).json({
+          error: "Idempotency-Key ya usada con un payload distinto",
+        });
+      }
+      if (record.status === "in_progress") {
+        return res.status(409).json({
+          error: "Hay una request con esta Idempotency-Key en curso",
+        });
+      }
+      req.log.info(
+        { reqId: req.id, idempotencyKey: key, originalReqId: record.reqId },
+        "Respuesta idempotente reenviada"
+      );
+      res.set("Idempotent-Replayed", "true");
+      return res.status(record.response.status).json(record.response.body);
+    }
+
+    store.put({
+      id,
+      status: "in_progress",
+      fingerprint: hash,
+      reqId: req.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+    });
+
+    // Guardar la respuesta cuando el handler la envíe
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const status = res.statusCode;
+      if (status >= 200 && status < 300) {
+        store.update(id, { status: "completed", response: { status, body } });
+      } else {
+        store.remove(id);
+      }
+      return json(body);
+    };
+
+    next();
+  }
+
+  return { middleware, stop: () => clearInterval(purgeTimer) };
+}
+
+module.exports = {
+  createIdempotency,
+  canonicalJson,
+};
@@ -0,0 +1,96 @@
+/**
+ * Identidades de remitente permitidas (From) en la cuenta IONOS
+ *
+ * FROM_EMAIL es siempre la identidad por defecto. SENDER_IDENTITIES agrega
+ * alias adicionales de la misma cuenta, como lista de direcciones separadas
+ * por comas ("Admisiones <admisiones@dominio.com>, noreply@dominio.com").
+ */
+
+const addressparser = require("nodemailer/lib/addressparser");
+
+/**
+ * Formatea una identidad como "Nombre <direccion>"
+ * @param {{name?: string, address: string}} identity
+ * @returns {string}
+ */
+function formatAddress({ name, address }) {
+  if (!name) {
+    return address;
+  }
+  // Entrecomillar nombres con caracteres especiales de RFC 5322
+  const display = /[(),.:;<>@[\]\\"]/.test(name)
+    ? `"${name.replace(/["\\]/g, "\\$&")}"`
+    : name;
+  return `${display} <${address}>`;
+}
+
+/**
+ * Carga las identidades de remitente permitidas
+ * @param {Object} [options]
+ * @param {string} [options.fromEmail] - Identidad por defecto (FROM_EMAIL)
+ * @param {string} [options.list] - Alias adicionales (SENDER_IDENTITIES)
+ * @returns {Array<{name: string, address: string}>} - La primera es la identidad por defecto
+ */
+function loadSenderIdentities({
+  fromEmail = process.env.FROM_EMAIL,
+  list = process.env.SENDER_IDENTITIES,
+} = {}) {
+  const identities = [];
+  const seen = new Set();
+
+  for (const parsed of [
+    ...addressparser(fromEmail || ""),
+    ...addressparser(list || ""),
+  ]) {
+    if (!parsed.address) {
+      continue;
+    }
+    const address = parsed.address.toLowerCase();
+    if (seen.has(address)) {
+      continue;
+    }
+    seen.add(address);
+    identities.push({ name: parsed.name || "", address });
+  }
+
+  return identities;
+}
+
+/**
+ * Resuelve el remitente pedido contra las identidades permitidas
+ * @param {string|undefined} requested - Campo from de la request
+ * @param {Array<{name: string, address: string}>} identities - Identidades permitidas
+ * @returns {{allowed: boolean, from?: string, address?: string}}
+ */
+function resolveSender(requested, identities) {
+  if (!requested) {
+    const fallback = identities[0];
+    return fallback
+      ? {
+          allowed: true,
+          from: formatAddress(fallback),
+          address: fallback.address,
+        }
+      : { allowed: true, from: process.env.FROM_EMAIL };
+  }
+
+  const [parsed] = addressparser(requested);
+  const address = parsed?.address?.toLowerCase();
+  const identity = identities.find((i) => i.address === address);
+  if (!identity) {
+    return { allowed: false, address };
+  }
+
+  // El nombre visible de la request tiene prioridad sobre el configurado
+  return {
+    allowed: true,
+    from: formatAddress({ name: parsed.name || identity.name, address }),
+    address,
+  };
+}
+
+module.exports = {
+  loadSenderIdentities,
+  resolveSender,
+  formatAddress,
+};
@@ -4,209 +4,232 @@
  * Funcionalidad automática controlada por SAVE_SENT_COPY env var.
  * Solo se ejecuta después de un envío SMTP exitoso.
  * Los errores IMAP no afectan la respuesta al cliente.
+ *
+ * Se usa una única conexión IMAP de larga duración: se abre con el primer
+ * append, se reutiliza para los siguientes y se reabre si el servidor la cierra.
+ * La carpeta de enviados es IMAP_MAILBOX o la que descubre src/sentbox.js, y
+ * queda en cache hasta que se refresca.
  */
 
 const { ImapFlow } = require("imapflow");
+const { findOrCreateSentBox } = require("./sentbox");
 
 /**
- * Guarda una copia del correo enviado en la carpeta "Enviados" del buzón IONOS
- * @param {Object} params - Parámetros de configuración
- * @param {string} params.raw - Mensaje en formato RFC822 raw
- * @param {Object} params.logger - Logger (pino o console)
- * @returns {Promise<void>}
+ * Configuración IMAP (con fallback a credenciales SMTP)
+ * @returns {{host: string, port: number, secure: boolean, user?: string, pass?: string, mailbox?: string}}
  */
-async function appendToSent({ raw, logger }) {
-  // Verificar si la funcionalidad está habilitada
-  if (process.env.SAVE_SENT_COPY !== "true") {
-    logger?.debug?.("[IMAP] SAVE_SENT_COPY no está activado, omitiendo append");
-    return;
-  }
-
-  // Configuración IMAP (con fallback a credenciales SMTP)
-  const host = process.env.IMAP_HOST || "imap.ionos.com";
-  const port = Number(process.env.IMAP_PORT || 993);
-  const secure = String(process.env.IMAP_SECURE || "true") === "true";
-  const user = process.env.IMAP_USER || process.env.SMTP_USER;
-  const pass = process.env.IMAP_PASS || process.env.SMTP_PASS;
-  const mailbox = process.env.IMAP_MAILBOX || "Sent";
-
-  logger?.info?.("[IMAP] Configuración:", {
-    host,
-    port,
-    secure,
-    user: user ? `${user.substring(0, 3)}***` : "undefined",
-    mailbox,
-  });
-
-  // Validar credenciales
-  if (!user || !pass) {
-    logger?.warn?.("[IMAP] Credenciales IMAP ausentes; omitiendo append");
-    return;
-  }
+function getImapConfig() {
+  return {
+    host: process.env.IMAP_HOST || "imap.ionos.com",
+    port: Number(process.env.IMAP_PORT || 993),
+    secure: String(process.env.IMAP_SECURE || "true") === "true",
+    user: process.env.IMAP_USER || process.env.SMTP_USER,
+    pass: process.env.IMAP_PASS || process.env.SMTP_PASS,
+    mailbox: process.env.IMAP_MAILBOX,
+  };
+}
 
-  if (!raw || typeof raw !== "string") {
-    logger?.warn?.("[IMAP] Mensaje raw inválido; omitiendo append");
-    return;
+/**
+ * Crea un cliente IMAP de larga duración que se reconecta cuando hace falta
+ * @param {Object} [params]
+ * @param {Object} [params.logger] - Logger (pino o console)
+ * @param {Object} [params.config] - Configuración (por defecto getImapConfig())
+ * @returns {{append: Function, refreshMailbox: Function, getMailbox: Function, withConnection: Function, close: Function, isConnected: Function}}
+ */
+function createImapClient({ logger, config = getImapConfig() } = {}) {
+  let client = null;
+  let connecting = null;
+  // Carpeta resuelta: { sentPath, delimiter, created }
+  let sentbox = null;
+  // Las operaciones se ejecutan de a una sobre la misma conexión
+  let chain = Promise.resolve();
+
+  // Devuelve la conexión abierta o abre una nueva
+  async function connect() {
+    if (client?.usable) {
+      return client;
+    }
+    if (!connecting) {
+      const candidate = new ImapFlow({
+        host: config.host,
+        port: config.port,
+        secure: config.secure,
+        auth: { user: config.user, pass: config.pass },
+        logger: false, // Desactivar logging interno de imapflow
+      });
+      candidate.on("error", (error) => {
+        logger?.warn?.(`[IMAP] Error de conexión: ${error?.message}`);
+      });
+      candidate.on("close", () => {
+        if (client === candidate) {
+          client = null;
+          logger?.debug?.("[IMAP] Conexión IMAP cerrada");
+        }
+      });
+
+      logger?.info?.(`[IMAP] Conectando a ${config.host}:${config.port}...`);
+      connecting = candidate
+        .connect()
+        .then(() => {
+          client = candidate;
+          logger?.info?.("[IMAP] Conexión establecida");
+          return candidate;
+        })
+        .finally(() => {
+          connecting = null;
+        });
+    }
+    return connecting;
   }
 
-  let client;
-  try {
-    // Crear cliente IMAP
-    client = new ImapFlow({
-      host,
-      port,
-      secure,
-      auth: { user, pass },
-      logger: false, // Desactivar logging interno de imapflow
-    });
-
-    logger?.info?.("[IMAP] Conectando al servidor...");
-    await client.connect();
-    logger?.info?.("[IMAP] Conexión establecida");
-
-    // Intentar abrir el buzón de destino
-    let lock;
-    try {
-      lock = await client.getMailboxLock(mailbox);
-      logger?.info?.(`[IMAP] Buzón "${mailbox}" abierto`);
-    } catch (mailboxError) {
-      // Si el buzón no existe, intentar con buzones alternativos comunes
-      const fallbackMailboxes = [
-        "Enviados",
-        "Sent",
-        "Sent Items",
-        "INBOX.Sent",
-      ];
-
+  /**
+   * Resuelve (una vez) la carpeta de enviados: IMAP_MAILBOX si existe, si no
+   * la que encuentre (o cree) el descubrimiento por SPECIAL-USE
+   * @param {ImapFlow} connection
+   * @returns {Promise<{sentPath: string, delimiter: string, created: boolean}>}
+   */
+  async function resolveMailbox(connection) {
+    if (sentbox) {
+      return sentbox;
+    }
+    if (config.mailbox) {
+      const box = (await connection.list()).find(
+        (entry) => entry.path === config.mailbox
+      );
+      if (box) {
+        sentbox = {
+          sentPath: box.path,
+          delimiter: box.delimiter || "/",
+          created: false,
+        };
+        return sentbox;
+      }
       logger?.warn?.(
-        `[IMAP] No se pudo abrir "${mailbox}": ${mailboxError?.message}`
+        `[IMAP] Buzón "${config.mailbox}" no existe, se busca la carpeta de enviados`
       );
+    }
+    sentbox = await findOrCreateSentBox({ client: connection, logger });
+    return sentbox;
+  }
 
-      for (const fallback of fallbackMailboxes) {
-        try {
-          lock = await client.getMailboxLock(fallback);
-          logger?.info?.(`[IMAP] Usando buzón alternativo: "${fallback}"`);
-          break;
-        } catch (fallbackError) {
-          logger?.debug?.(
-            `[IMAP] Buzón "${fallback}" tampoco disponible: ${fallbackError?.message}`
-          );
-        }
-      }
+  /**
+   * Ejecuta una operación sobre la conexión, de a una por vez
+   * @param {Function} operation - async (connection) => resultado
+   * @returns {Promise<*>}
+   */
+  function exclusive(operation) {
+    const run = async () => operation(await connect());
+    const result = chain.then(run, run);
+    chain = result.catch(() => {});
+    return result;
+  }
 
-      if (!lock) {
-        throw new Error(
-          `No se pudo acceder a ningún buzón de enviados (${mailbox}, ${fallbackMailboxes.join(
-            ", "
-          )})`
-        );
+  /**
+   * Guarda un mensaje en el buzón de enviados con flag \Seen
+   * @param {string|Buffer} raw - Mensaje RFC822
+   * @returns {Promise<{mailbox: string}>}
+   */
+  function append(raw) {
+    return exclusive(async (connection) => {
+      try {
+        const { sentPath } = await resolveMailbox(connection);
+        await connection.append(sentPath, raw, ["\\Seen"], new Date());
+        return { mailbox: sentPath };
+      } catch (error) {
+        // La carpeta pudo haber cambiado: resolverla de nuevo en el próximo intento
+        sentbox = null;
+        throw error;
       }
-    }
+    });
+  }
 
-    try {
-      // Append del mensaje en formato RFC822 con flag \Seen
-      await client.append(lock.path, raw, ["\\Seen"], new Date());
-      logger?.info?.(`[IMAP] Copia guardada exitosamente en "${lock.path}"`);
-    } finally {
-      // Liberar el lock del buzón
-      if (lock?.release) {
-        lock.release();
-      }
-    }
-  } catch (error) {
-    // Log del error sin afectar el flujo principal
-    logger?.warn?.(`[IMAP] Error al guardar en Enviados: ${error?.message}`);
-    logger?.debug?.("[IMAP] Stack trace:", error?.stack);
-  } finally {
-    // Cerrar conexión IMAP
-    if (client) {
+  /**
+   * Descarta la carpeta en cache y la vuelve a resolver
+   * @returns {Promise<{sentPath: string, delimiter: string, created: boolean}>}
+   */
+  function refreshMailbox() {
+    return exclusive((connection) => {
+      sentbox = null;
+      return resolveMailbox(connection);
+    });
+  }
+
+  // Cierra la conexión (al apagar el servidor)
+  async function close() {
+    const current = client;
+    client = null;
+    if (current) {
       try {
-        await client.logout();
-        logger?.debug?.("[IMAP] Conexión IMAP cerrada");
-      } catch (logoutError) {
-        logger?.debug?.(
-          `[IMAP] Error al cerrar conexión: ${logoutError?.message}`
-        );
+        await current.logout();
+      } catch (error) {
+        logger?.debug?.(`[IMAP] Error al cerrar conexión: ${error?.message}`);
       }
     }
   }
+
+  return {
+    append,
+    refreshMailbox,
+    getMailbox: () => sentbox,
+    // Para otros usos de la misma conexión (p. ej. el watcher de rebotes)
+    withConnection: exclusive,
+    close,
+    isConnected: () => Boolean(client?.usable),
+  };
 }
 
+// Cliente compartido para quien no inyecta uno propio
+let defaultClient = null;
+
 /**
- * Construye un mensaje RFC822 raw a partir de las opciones de Nodemailer
- * @param {Object} mailOptions - Opciones del correo de Nodemailer
- * @param {string} fromEmail - Email del remitente (FROM_EMAIL env var)
- * @returns {string} Mensaje en formato RFC822
+ * Guarda una copia del correo enviado en la carpeta "Enviados" del buzón IONOS
+ * @param {Object} params - Parámetros de configuración
+ * @param {string|Buffer} params.raw - Mensaje en formato RFC822 raw
+ * @param {Object} params.logger - Logger (pino o console)
+ * @param {Object} [params.client] - Cliente de createImapClient (por defecto uno compartido)
+ * @returns {Promise<{status: "saved"|"skipped"|"failed", mailbox?: string, error?: string}>}
  */
-function buildRFC822Message(mailOptions, fromEmail) {
-  const from = fromEmail || mailOptions.from || "noreply@piensaajedrez.com";
-  const to = Array.isArray(mailOptions.to)
-    ? mailOptions.to.join(", ")
-    : mailOptions.to;
-  const subject = mailOptions.subject || "";
-  const text = mailOptions.text || "";
-  const html = mailOptions.html;
-  const messageId =
-    mailOptions.messageId ||
-    `<${Date.now()}.${Math.random().toString(36)}@piensaajedrez.com>`;
-
-  // Construir headers básicos
-  let raw = "";
-  raw += `Message-ID: ${messageId}\r\n`;
-  raw += `Date: ${new Date().toUTCString()}\r\n`;
-  raw += `From: ${from}\r\n`;
-  raw += `To: ${to}\r\n`;
-  raw += `Subject: ${subject}\r\n`;
-  raw += `MIME-Version: 1.0\r\n`;
-
-  // Agregar headers adicionales si están presentes
-  if (mailOptions.cc) {
-    const cc = Array.isArray(mailOptions.cc)
-      ? mailOptions.cc.join(", ")
-      : mailOptions.cc;
-    raw += `Cc: ${cc}\r\n`;
+async function appendToSent({ raw, logger, client }) {
+  // Verificar si la funcionalidad está habilitada
+  if (process.env.SAVE_SENT_COPY !== "true") {
+    logger?.debug?.("[IMAP] SAVE_SENT_COPY no está activado, omitiendo append");
+    return { status: "skipped", error: "SAVE_SENT_COPY desactivado" };
+  }
+
+  // Validar credenciales (un cliente inyectado ya trae las de su cuenta)
+  const config = client ? null : getImapConfig();
+  if (config && (!config.user || !config.pass)) {
+    logger?.warn?.("[IMAP] Credenciales IMAP ausentes; omitiendo append");
+    return { status: "skipped", error: "Credenciales IMAP ausentes" };
   }
 
-  if (mailOptions.bcc) {
-    const bcc = Array.isArray(mailOptions.bcc)
-      ? mailOptions.bcc.join(", ")
-      : mailOptions.bcc;
-    raw += `Bcc: ${bcc}\r\n`;
+  if (!raw || (typeof raw !== "string" && !Buffer.isBuffer(raw))) {
+    logger?.warn?.("[IMAP] Mensaje raw inválido; omitiendo append");
+    return { status: "skipped", error: "Mensaje raw inválido" };
   }
 
-  // Determinar tipo de contenido
-  if (html && text) {
-    // Multipart: HTML + texto
-    const boundary = `boundary_${Date.now()}_${Math.random().toString(36)}`;
-    raw += `Content-Type: multipart/alternative; boundary="${boundary}"\r\n\r\n`;
-
-    raw += `--${boundary}\r\n`;
-    raw += `Content-Type: text/plain; charset=utf-8\r\n`;
-    raw += `Content-Transfer-Encoding: 8bit\r\n\r\n`;
-    raw += `${text}\r\n\r\n`;
-
-    raw += `--${boundary}\r\n`;
-    raw += `Content-Type: text/html; charset=utf-8\r\n`;
-    raw += `Content-Transfer-Encoding: 8bit\r\n\r\n`;
-    raw += `${html}\r\n\r\n`;
-
-    raw += `--${boundary}--\r\n`;
-  } else if (html) {
-    // Solo HTML
-    raw += `Content-Type: text/html; charset=utf-8\r\n`;
-    raw += `Content-Transfer-Encoding: 8bit\r\n\r\n`;
-    raw += `${html}\r\n`;
-  } else {
-    // Solo texto plano
-    raw += `Content-Type: text/plain; charset=utf-8\r\n`;
-    raw += `Content-Transfer-Encoding: 8bit\r\n\r\n`;
-    raw += `${text}\r\n`;
+  if (!client) {
+    defaultClient = defaultClient || createImapClient({ logger, config });
   }
 
-  return raw;
+  try {
+    const { mailbox } = await (client || defaultClient).append(raw);
+    logger?.info?.(`[IMAP] Copia guardada exitosamente en "${mailbox}"`);
+    return { status: "saved", mailbox };
+  } catch (error) {
+    // imapflow deja la respuesta del servidor (NO/BAD) en responseText
+    const message = error?.responseText
+      ? `${error.message}: ${error.responseText}`
+      : error?.message;
+    // Log del error sin afectar el flujo principal
+    logger?.warn?.(`[IMAP] Error al guardar en Enviados: ${message}`);
+    logger?.debug?.("[IMAP] Stack trace:", error?.stack);
+    return { status: "failed", error: message };
+  }
 }
 
 module.exports = {
   appendToSent,
-  buildRFC822Message,
+  createImapClient,
+  getImapConfig,
 };
@@ -0,0 +1,88 @@
+/**
+ * Métricas Prometheus (GET /metrics)
+ *
+ * Registro propio de prom-client con las métricas del proceso y las del
+ * relay: envíos por resultado y status mapeado, latencia SMTP, rechazos por
+ * rate limit, append IMAP y profundidad de las colas. Las colas se leen al
+ * momento del scrape, no se guarda nada entre scrapes.
+ */
+
+const client = require("prom-client");
+
+/**
+ * Crea el registro de métricas
+ * @returns {Object} - Registro, métricas y watchQueue
+ */
+function createMetrics() {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry });
+
+  // Colas observadas: nombre -> () => { pending, sending, sent, dead }
+  const queues = new Map();
+
+  const emails = new client.Counter({
+    name: "relay_emails_total",
+    help: "Emails procesados por resultado final y status HTTP mapeado",
+    labelNames: ["outcome", "status"],
+    registers: [registry],
+  });
+
+  const smtpDuration = new client.Histogram({
+    name: "relay_smtp_send_duration_seconds",
+    help: "Duración de cada envío SMTP a IONOS",
+    labelNames: ["result"],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [registry],
+  });
+
+  const rateLimited = new client.Counter({
+    name: "relay_rate_limit_rejections_total",
+    help: "Envíos rechazados por rate limit",
+    labelNames: ["source", "limiter"],
+    registers: [registry],
+  });
+
+  const imapAppends = new client.Counter({
+    name: "relay_imap_appends_total",
+    help: 'Intentos de guardar la copia en "Enviados" por resultado',
+    labelNames: ["result"],
+    registers: [registry],
+  });
+
+  new client.Gauge({
+    name: "relay_queue_jobs",
+    help: "Jobs en cada cola persistente por estado",
+    labelNames: ["queue", "status"],
+    registers: [registry],
+    collect() {
+      this.reset();
+      for (const [name, stats] of queues) {
+        for (const [status, count] of Object.entries(stats())) {
+          this.set({ queue: name, status }, count);
+        }
+      }
+    },
+  });
+
+  /**
+   * Agrega una cola al gauge relay_queue_jobs
+   * @param {string} name - Etiqueta queue
+   * @param {Function} stats - () => conteo de jobs por estado
+   */
+  function watchQueue(name, stats) {
+    queues.set(name, stats);
+  }
+
+  return {
+    registry,
+    emails,
+    smtpDuration,
+    rateLimited,
+    imapAppends,
+    watchQueue,
+  };
+}
+
+module.exports = {
+  createMetrics,
+};
@@ -0,0 +1,30 @@
+/**
+ * Composición MIME de los emails salientes
+ *
+ * El mensaje se compila una sola vez con el MailComposer de nodemailer y esos
+ * mismos bytes se envían por SMTP (como raw) y se guardan en "Enviados": la
+ * copia incluye adjuntos, encabezados codificados (RFC 2047) y el Message-ID
+ * real. El header Bcc nunca se escribe; las copias ocultas van solo en el sobre.
+ */
+
+const MailComposer = require("nodemailer/lib/mail-composer");
+
+/**
+ * Compila las opciones de nodemailer a un mensaje RFC 5322
+ * @param {Object} mailOptions - Opciones del correo de nodemailer
+ * @returns {Promise<{raw: Buffer, envelope: {from: string, to: string[]}, messageId: string}>}
+ */
+async function compileMessage(mailOptions) {
+  const message = new MailComposer(mailOptions).compile();
+  const raw = await message.build();
+
+  return {
+    raw,
+    envelope: message.getEnvelope(),
+    messageId: message.messageId(),
+  };
+}
+
+module.exports = {
+  compileMessage,
+};
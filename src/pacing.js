@@ -0,0 +1,294 @@
+/**
+ * Ritmo de envío saliente por cuenta SMTP (cuotas de IONOS)
+ *
+ * IONOS limita cuántos emails puede mandar cada buzón por hora y por día, y
+ * bloquea la cuenta si se superan. Este limitador es común a todos los
+ * clientes (API keys, listener SMTP, cola y envíos programados) y cuenta cada
+ * destinatario como un envío:
+ * - perHour / perDay: ventanas deslizantes de una hora y de un día
+ * - burst: token bucket que reparte la cuota horaria a lo largo de la hora
+ *   (se recarga a perHour / 3600 por segundo, hasta burst tokens)
+ *
+ * Los contadores se guardan en DATA_DIR/pacing y sobreviven reinicios. Con
+ * PACING_MARGIN (5 % por defecto) el límite se considera alcanzado un poco
+ * antes del tope real.
+ */
+
+const { createStore } = require("./store");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Ventanas: los envíos se agrupan en slots (minutos para la hora, cuartos de
+// hora para el día) para no guardar un registro por envío
+const WINDOWS = [
+  { key: "hour", limit: "perHour", windowMs: HOUR_MS, slotMs: 60 * 1000 },
+  { key: "day", limit: "perDay", windowMs: DAY_MS, slotMs: 15 * 60 * 1000 },
+];
+
+/**
+ * Crea el error de cuota alcanzada
+ * @param {string} account - Cuenta SMTP
+ * @param {number} retryAfterMs - Milisegundos hasta que haya cupo
+ * @param {string} reason - Límite alcanzado (hour, day o burst)
+ * @returns {Error}
+ */
+function pacingError(account, retryAfterMs, reason) {
+  const error = new Error(
+    `Cuota de envío de la cuenta ${account} alcanzada (${reason}); reintentar en ${Math.ceil(retryAfterMs / 1000)} s`
+  );
+  error.code = "EPACING";
+  error.account = account;
+  error.reason = reason;
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+/**
+ * Quita de una ventana los slots vencidos
+ * @param {Object} slots - inicio del slot (ms) -> envíos
+ * @param {Object} window - Ventana de WINDOWS
+ * @param {number} now
+ * @returns {Object} - Slots vigentes
+ */
+function prune(slots = {}, { windowMs, slotMs }, now) {
+  return Object.fromEntries(
+    Object.entries(slots).filter(
+      ([start]) => Number(start) + slotMs + windowMs > now
+    )
+  );
+}
+
+/**
+ * Tiempo hasta que una ventana tenga cupo para count envíos
+ * @param {Object} slots - Slots vigentes
+ * @param {Object} window - Ventana de WINDOWS
+ * @param {number} cap - Límite efectivo
+ * @param {number} count - Envíos a hacer
+ * @param {number} now
+ * @returns {number} - 0 si hay cupo ya (Infinity si count supera el límite)
+ */
+function windowWait(slots, { windowMs, slotMs }, cap, count, now) {
+  // Un mensaje con más destinatarios que el límite no entra nunca (accounts.js
+  // limita maxRecipients a la cuota para rechazarlo antes con 422)
+  if (count > cap) {
+    return Infinity;
+  }
+  const entries = Object.entries(slots)
+    .map(([start, sent]) => [Number(start), sent])
+    .sort((a, b) => a[0] - b[0]);
+  let used = entries.reduce((sum, [, sent]) => sum + sent, 0);
+  for (const [start, sent] of entries) {
+    if (cap - used >= count) {
+      break;
+    }
+    used -= sent;
+    if (cap - used >= count) {
+      return start + slotMs + windowMs - now;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Crea el limitador de envíos salientes
+ * @param {Object} params
+ * @param {Array<Object>} params.accounts - Cuentas (name y limits.perHour/perDay/burst)
+ * @param {Object} params.logger - Logger pino
+ * @param {number} [params.margin] - Fracción del límite que se reserva
+ * @returns {{check: Function, take: Function, refund: Function, status: Function, capacity: Function}}
+ */
+function createPacer({
+  accounts,
+  logger,
+  margin = Number(process.env.PACING_MARGIN ?? 0.05),
+}) {
+  const store = createStore({ name: "pacing", logger });
+
+  // Límites efectivos de cada cuenta (solo las que tienen alguno)
+  const limits = new Map();
+  for (const { name, limits: configured = {} } of accounts) {
+    const effective = {};
+    for (const { limit } of WINDOWS) {
+      if (configured[limit]) {
+        effective[limit] = Math.max(
+          1,
+          Math.floor(configured[limit] * (1 - margin))
+        );
+      }
+    }
+    if (effective.perHour) {
+      effective.rate = effective.perHour / HOUR_MS;
+      effective.burst =
+        configured.burst || Math.max(1, Math.ceil(effective.perHour / 12));
+    }
+    if (Object.keys(effective).length > 0) {
+      limits.set(name, effective);
+    }
+  }
+
+  /**
+   * Estado actual de una cuenta, con las ventanas ya depuradas y el bucket
+   * recargado hasta ahora
+   * @param {string} name - Cuenta
+   * @param {Object} limit - Límites efectivos
+   * @param {number} now
+   * @returns {Object}
+   */
+  function current(name, limit, now) {
+    const record = store.get(name) || { id: name };
+    const state = { id: name };
+    for (const window of WINDOWS) {
+      state[window.key] = prune(record[window.key], window, now);
+    }
+    if (limit.burst) {
+      const last = record.bucket?.at ?? now;
+      const tokens = record.bucket?.tokens ?? limit.burst;
+      state.bucket = {
+        tokens: Math.min(limit.burst, tokens + (now - last) * limit.rate),
+        at: now,
+      };
+    }
+    return state;
+  }
+
+  /**
+   * Calcula si hay cupo para un envío
+   * @param {string} name - Cuenta SMTP
+   * @param {number} count - Destinatarios del envío
+   * @returns {{ok: boolean, retryAfterMs?: number, reason?: string, state?: Object, now?: number}}
+   */
+  function evaluate(name, count) {
+    const limit = limits.get(name);
+    if (!limit) {
+      return { ok: true };
+    }
+    const now = Date.now();
+    const state = current(name, limit, now);
+
+    const waits = WINDOWS.filter((w) => limit[w.limit]).map((window) => ({
+      reason: window.key,
+      ms: windowWait(
+        state[window.key],
+        window,
+        limit[window.limit],
+        count,
+        now
+      ),
+    }));
+    if (state.bucket) {
+      const needed = Math.min(count, limit.burst);
+      waits.push({
+        reason: "burst",
+        ms: Math.ceil(Math.max(0, needed - state.bucket.tokens) / limit.rate),
+      });
+    }
+    const longest = waits.reduce((a, b) => (b.ms > a.ms ? b : a), { ms: 0 });
+    return longest.ms > 0
+      ? { ok: false, retryAfterMs: longest.ms, reason: longest.reason }
+      : { ok: true, state, now };
+  }
+
+  /**
+   * Reserva cupo para un envío
+   * @param {string} name - Cuenta SMTP
+   * @param {number} count - Destinatarios del envío
+   * @returns {{ok: boolean, retryAfterMs?: number, reason?: string}}
+   */
+  function take(name, count) {
+    const result = evaluate(name, count);
+    if (!result.ok || !result.state) {
+      return result;
+    }
+    const { state, now } = result;
+    for (const window of WINDOWS) {
+      const slot = now - (now % window.slotMs);
+      state[window.key][slot] = (state[window.key][slot] || 0) + count;
+    }
+    if (state.bucket) {
+      state.bucket.tokens = Math.max(0, state.bucket.tokens - count);
+    }
+    store.put(state);
+    return { ok: true };
+  }
+
+  /**
+   * Devuelve el cupo de un envío que no llegó a salir
+   * @param {string} name - Cuenta SMTP
+   * @param {number} count - Destinatarios reservados con take
+   */
+  function refund(name, count) {
+    const limit = limits.get(name);
+    if (!limit) {
+      return;
+    }
+    const now = Date.now();
+    const state = current(name, limit, now);
+    for (const window of WINDOWS) {
+      const slot = now - (now % window.slotMs);
+      // El envío se reservó en el slot actual o, como mucho, en el anterior
+      const start = [slot, slot - window.slotMs].find(
+        (s) => state[window.key][s]
+      );
+      if (start !== undefined) {
+        state[window.key][start] = Math.max(
+          0,
+          state[window.key][start] - count
+        );
+      }
+    }
+    if (state.bucket) {
+      state.bucket.tokens = Math.min(limit.burst, state.bucket.tokens + count);
+    }
+    store.put(state);
+  }
+
+  /**
+   * Uso de cada cuenta con límites (GET /accounts)
+   * @param {string} name - Cuenta SMTP
+   * @returns {Object|undefined} - Enviados y límite por ventana
+   */
+  function status(name) {
+    const limit = limits.get(name);
+    if (!limit) {
+      return undefined;
+    }
+    const state = current(name, limit, Date.now());
+    const usage = {};
+    for (const window of WINDOWS.filter((w) => limit[w.limit])) {
+      usage[window.key] = {
+        sent: Object.values(state[window.key]).reduce((a, b) => a + b, 0),
+        limit: limit[window.limit],
+      };
+    }
+    if (state.bucket) {
+      usage.burst = {
+        tokens: Math.floor(state.bucket.tokens),
+        limit: limit.burst,
+      };
+    }
+    return usage;
+  }
+
+  return {
+    // Igual que take, pero sin reservar el cupo
+    check: (name, count) => {
+      const { ok, retryAfterMs, reason } = evaluate(name, count);
+      return { ok, retryAfterMs, reason };
+    },
+    take,
+    refund,
+    status,
+    // Máximo de destinatarios que caben en un envío (la menor cuota efectiva)
+    capacity: (name) => {
+      const limit = limits.get(name);
+      const caps = [limit?.perHour, limit?.perDay].filter(Boolean);
+      return caps.length > 0 ? Math.min(...caps) : undefined;
+    },
+  };
+}
+
+module.exports = {
+  createPacer,
+  pacingError,
+};
@@ -0,0 +1,314 @@
+/**
+ * Cola persistente de envíos salientes con reintentos
+ *
+ * Activada con QUEUE_MODE=true. Los jobs se guardan en DATA_DIR/queue y
+ * sobreviven a reinicios. Un worker en proceso entrega cada job usando la
+ * función deliver inyectada, reintenta los errores transitorios (respuestas
+ * SMTP 4xx y fallos de red) con backoff exponencial y mueve los errores
+ * permanentes (5xx) o los que agotan los intentos a la lista dead-letter.
+ * Un error con retryAfterMs (cuota de la cuenta SMTP alcanzada) difiere el job
+ * hasta ese momento sin contar el intento.
+ *
+ * La misma cola se reutiliza, con otro nombre y otra política de reintentos,
+ * para las copias en "Enviados" (ver createApp en src/app.js).
+ */
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+const { classifySmtpError } = require("./smtperrors");
+
+/**
+ * Determina si un error SMTP es transitorio (vale la pena reintentar)
+ * @param {Error} error - Error de nodemailer
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  return classifySmtpError(error).retryable;
+}
+
+/**
+ * Resumen del resultado de un envío SMTP que se guarda en el job
+ * @param {Object} info - Info devuelta por nodemailer
+ * @param {Object} job - Job entregado
+ * @returns {Object}
+ */
+function smtpResult(info, job) {
+  return {
+    messageId: job.messageId,
+    accepted: info.accepted,
+    rejected: info.rejected,
+  };
+}
+
+/**
+ * Calcula el retraso antes del siguiente intento
+ * @param {number} attempts - Intentos realizados
+ * @param {Object} options - baseMs y maxMs
+ * @returns {number} - Milisegundos
+ */
+function backoffDelay(attempts, { baseMs, maxMs }) {
+  return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), maxMs);
+}
+
+/**
+ * Crea la cola persistente y su worker
+ * @param {Object} params
+ * @param {Function} params.deliver - async (payload, job) => info de nodemailer
+ * @param {Function} [params.onSuccess] - (job, info) tras una entrega exitosa
+ * @param {Function} [params.onFailure] - (job, error, {dead}) tras cada intento fallido
+ * @param {Function} [params.onDefer] - (job, error) cuando un job se difiere por cuota
+ * @param {Object} params.logger - Logger pino
+ * @param {string} [params.name] - Colección en DATA_DIR y etiqueta de los logs
+ * @param {Function} [params.isTransient] - (error) => boolean; si vale reintentar
+ * @param {Function} [params.summarize] - (info, job) => resultado guardado en el job
+ * @param {Object} [params.options] - Configuración (por defecto desde env)
+ * @returns {Object} - API de la cola
+ */
+function createQueue({
+  deliver,
+  onSuccess,
+  onFailure,
+  onDefer,
+  logger,
+  name = "queue",
+  isTransient = isTransientError,
+  summarize = smtpResult,
+  options = {},
+}) {
+  const config = {
+    pollMs: Number(process.env.QUEUE_POLL_MS) || 1000,
+    maxAttempts: Number(process.env.QUEUE_MAX_ATTEMPTS) || 8,
+    baseMs: Number(process.env.QUEUE_BACKOFF_MS) || 30000,
+    maxMs: Number(process.env.QUEUE_MAX_BACKOFF_MS) || 3600000,
+    retentionMs: Number(process.env.QUEUE_RETENTION_MS) || 86400000,
+    ...options,
+  };
+
+  const store = createStore({ name, logger });
+  const tag = `[${name.toUpperCase()}]`;
+  let timer = null;
+  let running = false;
+  let started = false;
+
+  /**
+   * Agrega un email a la cola
+   * @param {Object} payload - Datos validados del email
+   * @param {Object} [meta] - Metadatos (client, reqId, messageId)
+   * @returns {Object} - Job creado
+   */
+  function enqueue(payload, meta = {}) {
+    const now = new Date().toISOString();
+    const job = store.put({
+      id: crypto.randomUUID(),
+      status: "pending",
+      client: meta.client,
+      reqId: meta.reqId,
+      messageId: meta.messageId,
+      payload,
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now,
+    });
+    logger.info({ jobId: job.id, reqId: meta.reqId }, `${tag} Job encolado`);
+    schedule(0);
+    return job;
+  }
+
+  /**
+   * Procesa un job: entrega, reprograma o manda a dead-letter
+   * @param {Object} job - Job a procesar
+   */
+  async function processJob(job) {
+    const attempts = job.attempts + 1;
+    store.update(job.id, {
+      status: "sending",
+      attempts,
+      updatedAt: new Date().toISOString(),
+    });
+
+    try {
+      const info = await deliver(job.payload, job);
+      store.update(job.id, {
+        status: "sent",
+        result: summarize(info, job),
+        lastError: undefined,
+        completedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      });
+      logger.info(
+        { jobId: job.id, attempts, messageId: job.messageId },
+        `${tag} Job entregado`
+      );
+      onSuccess?.({ ...job, attempts }, info);
+    } catch (error) {
+      if (error.retryAfterMs !== undefined) {
+        const deferred = store.update(job.id, {
+          status: "pending",
+          attempts: job.attempts,
+          nextAttemptAt: new Date(
+            Date.now() + error.retryAfterMs
+          ).toISOString(),
+          updatedAt: new Date().toISOString(),
+        });
+        logger.warn(
+          { jobId: job.id, delayMs: error.retryAfterMs, error: error.message },
+          `${tag} Sin cupo de envío, job diferido`
+        );
+        onDefer?.(deferred, error);
+        return;
+      }
+
+      const transient = isTransient(error);
+      const lastError = {
+        message: error.message,
+        code: error.code,
+        responseCode: error.responseCode,
+        transient,
+      };
+
+      const dead = !transient || attempts >= config.maxAttempts;
+      onFailure?.({ ...job, attempts }, error, { dead });
+
+      if (!dead) {
+        const delay = backoffDelay(attempts, config);
+        store.update(job.id, {
+          status: "pending",
+          lastError,
+          nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+          updatedAt: new Date().toISOString(),
+        });
+        logger.warn(
+          { jobId: job.id, attempts, delayMs: delay, error: error.message },
+          `${tag} Error transitorio, job reprogramado`
+        );
+      } else {
+        store.update(job.id, {
+          status: "dead",
+          lastError,
+          updatedAt: new Date().toISOString(),
+        });
+        logger.error(
+          { jobId: job.id, attempts, error: error.message, transient },
+          `${tag} Job movido a dead-letter`
+        );
+      }
+    }
+  }
+
+  // Elimina jobs entregados más antiguos que la retención configurada
+  function purgeCompleted() {
+    const limit = Date.now() - config.retentionMs;
+    for (const job of store.list((j) => j.status === "sent")) {
+      if (Date.parse(job.completedAt) < limit) {
+        store.remove(job.id);
+      }
+    }
+  }
+
+  // Un ciclo del worker: procesa en orden todos los jobs vencidos
+  async function tick() {
+    if (running) {
+      return;
+    }
+    running = true;
+    timer = null;
+    try {
+      const now = Date.now();
+      const due = store
+        .list(
+          (j) => j.status === "pending" && Date.parse(j.nextAttemptAt) <= now
+        )
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+      for (const job of due) {
+        await processJob(job);
+      }
+      purgeCompleted();
+    } catch (error) {
+      logger.error({ error: error.message }, `${tag} Error en el worker`);
+    } finally {
+      running = false;
+      schedule(config.pollMs);
+    }
+  }
+
+  /**
+   * Programa el siguiente ciclo del worker
+   * @param {number} delay - Milisegundos
+   */
+  function schedule(delay) {
+    if (!started || running) {
+      return;
+    }
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(tick, delay);
+    timer.unref();
+  }
+
+  // Inicia el worker; recupera jobs interrumpidos por un reinicio
+  function start() {
+    for (const job of store.list((j) => j.status === "sending")) {
+      store.update(job.id, {
+        status: "pending",
+        nextAttemptAt: new Date().toISOString(),
+      });
+    }
+    started = true;
+    const pending = store.list((j) => j.status === "pending").length;
+    logger.info({ pending }, `${tag} Worker iniciado`);
+    schedule(0);
+  }
+
+  function stop() {
+    started = false;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  /**
+   * Vuelve a encolar un job en dead-letter
+   * @param {string} id - Id del job
+   * @returns {Object|undefined} - Job actualizado
+   */
+  function retry(id) {
+    const job = store.get(id);
+    if (!job || job.status !== "dead") {
+      return undefined;
+    }
+    const updated = store.update(id, {
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    schedule(0);
+    return updated;
+  }
+
+  return {
+    enqueue,
+    retry,
+    start,
+    stop,
+    get: (id) => store.get(id),
+    list: (filter) => store.list(filter),
+    stats: () => {
+      const counts = { pending: 0, sending: 0, sent: 0, dead: 0 };
+      for (const job of store.list()) {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+      }
+      return counts;
+    },
+  };
+}
+
+module.exports = {
+  createQueue,
+  isTransientError,
+  backoffDelay,
+};
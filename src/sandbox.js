@@ -0,0 +1,242 @@
+/**
+ * Modo sandbox: envíos capturados en vez de entregados
+ *
+ * Pensado para los entornos de staging, que no deben escribirle a alumnos ni
+ * a familias reales. Se activa para todos con SANDBOX_MODE=true o por cliente
+ * con "sandbox" en la API key (o en el usuario del listener SMTP). El email se
+ * valida, se compone y se firma igual que uno real, pero en lugar de ir al
+ * SMTP se guarda en DATA_DIR/sandbox (metadatos) y DATA_DIR/sandbox-raw (el
+ * .eml tal cual habría salido).
+ *
+ * Con SANDBOX_REDIRECT_TO (o sandbox.redirectTo en la key) el email además se
+ * entrega, pero solo a esa casilla de prueba: el sobre se reescribe y los
+ * destinatarios originales viajan en el header X-Sandbox-Recipients.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { createStore, getDataDir } = require("./store");
+const { toList } = require("./address");
+
+/**
+ * Crea el sandbox
+ * @param {Object} params
+ * @param {Object} params.logger - Logger pino
+ * @param {boolean} [params.global] - Todos los envíos en sandbox (SANDBOX_MODE)
+ * @param {string} [params.redirectTo] - Casilla de prueba global (SANDBOX_REDIRECT_TO)
+ * @param {number} [params.retentionDays] - Días que se conservan los mensajes
+ * @param {number} [params.maxMessages] - Mensajes guardados como máximo
+ * @returns {Object} - API del sandbox
+ */
+function createSandbox({
+  logger,
+  global = process.env.SANDBOX_MODE === "true",
+  redirectTo = process.env.SANDBOX_REDIRECT_TO || undefined,
+  retentionDays = Number(process.env.SANDBOX_RETENTION_DAYS) || 7,
+  maxMessages = Number(process.env.SANDBOX_MAX_MESSAGES) || 1000,
+}) {
+  const store = createStore({ name: "sandbox", logger });
+  const rawDir = path.join(getDataDir(), "sandbox-raw");
+  fs.mkdirSync(rawDir, { recursive: true });
+
+  const rawFile = (id) => path.join(rawDir, `${id}.eml`);
+
+  if (global) {
+    logger.warn(
+      { redirectTo },
+      redirectTo
+        ? "[SANDBOX] Modo sandbox global: los envíos van solo a la casilla de prueba"
+        : "[SANDBOX] Modo sandbox global: los envíos se capturan y no se entregan"
+    );
+  }
+
+  /**
+   * Modo sandbox de un cliente
+   * @param {Object} [client] - Cliente autenticado (con sandbox opcional)
+   * @returns {{redirectTo?: string}|undefined} - undefined si entrega normal
+   */
+  function modeFor(client) {
+    const own = client?.sandbox;
+    if (!global && !own) {
+      return undefined;
+    }
+    return { redirectTo: own?.redirectTo || redirectTo };
+  }
+
+  /**
+   * Elimina un mensaje capturado y su .eml
+   * @param {string} id
+   */
+  function drop(id) {
+    store.remove(id);
+    fs.rmSync(rawFile(id), { force: true });
+  }
+
+  /**
+   * Guarda un mensaje compilado en lugar de entregarlo
+   * @param {Object} params
+   * @param {Buffer} params.raw - Mensaje RFC 5322 (ya firmado)
+   * @param {{from: string, to: string[]}} params.envelope - Sobre SMTP original
+   * @param {string} params.messageId - Message-ID del envío
+   * @param {Object} [params.record] - Registro del send log (from, to, subject...)
+   * @param {string} [params.redirectedTo] - Casilla de prueba a la que se entrega
+   * @returns {Object} - Mensaje capturado (sin el raw)
+   */
+  function capture({ raw, envelope, messageId, record = {}, redirectedTo }) {
+    const id = crypto.randomUUID();
+    fs.writeFileSync(rawFile(id), raw);
+    const entry = store.put({
+      id,
+      messageId,
+      client: record.client,
+      account: record.account,
+      source: record.source,
+      from: record.from,
+      to: record.to,
+      cc: record.cc,
+      bcc: record.bcc,
+      subject: record.subject,
+      envelope,
+      redirectedTo,
+      size: raw.length,
+      createdAt: new Date().toISOString(),
+    });
+
+    // Los más viejos salen primero si se supera el máximo
+    const entries = store.list();
+    if (entries.length > maxMessages) {
+      entries
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .slice(0, entries.length - maxMessages)
+        .forEach((old) => drop(old.id));
+    }
+
+    logger.info(
+      { sandboxId: id, messageId, recipients: envelope.to, redirectedTo },
+      "[SANDBOX] Mensaje capturado"
+    );
+    return entry;
+  }
+
+  /**
+   * Agrega al mensaje los destinatarios originales y le reescribe el sobre
+   * hacia la casilla de prueba
+   * @param {Buffer} raw - Mensaje RFC 5322
+   * @param {{from: string, to: string[]}} envelope - Sobre original
+   * @param {string} to - Casilla de prueba
+   * @returns {{raw: Buffer, envelope: Object}}
+   */
+  function redirect(raw, envelope, to) {
+    // El header va delante de las firmas DKIM: no las invalida
+    const header = `X-Sandbox-Recipients: ${envelope.to.join(", ")}\r\n`;
+    return {
+      raw: Buffer.concat([Buffer.from(header), raw]),
+      envelope: { from: envelope.from, to: [to] },
+    };
+  }
+
+  /**
+   * Busca mensajes capturados con filtros y paginación
+   * @param {Object} filters
+   * @param {string} [filters.recipient] - Destinatario (sobre, to/cc/bcc)
+   * @param {string} [filters.client] - Cliente autenticado
+   * @param {Date} [filters.since] - Desde (inclusive)
+   * @param {Date} [filters.until] - Hasta (inclusive)
+   * @param {number} filters.page - Página (desde 1)
+   * @param {number} filters.limit - Mensajes por página
+   * @returns {{messages: Object[], total: number, page: number, limit: number}}
+   */
+  function query({ recipient, client, since, until, page, limit }) {
+    const wanted = recipient?.toLowerCase();
+    const matches = store
+      .list((entry) => {
+        const createdAt = Date.parse(entry.createdAt);
+        if (
+          (client && entry.client !== client) ||
+          (since && createdAt < since.getTime()) ||
+          (until && createdAt > until.getTime())
+        ) {
+          return false;
+        }
+        if (!wanted) {
+          return true;
+        }
+        return [entry.envelope.to, entry.to, entry.cc, entry.bcc]
+          .flatMap(toList)
+          .some((r) => r.toLowerCase().includes(wanted));
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const start = (page - 1) * limit;
+    return {
+      messages: matches.slice(start, start + limit),
+      total: matches.length,
+      page,
+      limit,
+    };
+  }
+
+  /**
+   * Lee el .eml de un mensaje capturado
+   * @param {string} id
+   * @returns {Buffer|undefined}
+   */
+  function raw(id) {
+    if (!store.get(id)) {
+      return undefined;
+    }
+    try {
+      return fs.readFileSync(rawFile(id));
+    } catch {
+      return undefined;
+    }
+  }
+
+  /**
+   * Borra los mensajes capturados (los de un cliente o todos)
+   * @param {string} [client]
+   * @returns {number} - Mensajes borrados
+   */
+  function clear(client) {
+    const entries = store.list((entry) => !client || entry.client === client);
+    entries.forEach((entry) => drop(entry.id));
+    return entries.length;
+  }
+
+  // Elimina mensajes más antiguos que la retención configurada
+  function purge() {
+    const limit = Date.now() - retentionDays * 86400000;
+    const old = store.list((entry) => Date.parse(entry.createdAt) < limit);
+    old.forEach((entry) => drop(entry.id));
+    if (old.length > 0) {
+      logger.info(
+        { removed: old.length },
+        "[SANDBOX] Mensajes antiguos eliminados"
+      );
+    }
+  }
+
+  purge();
+  const purgeTimer = setInterval(purge, 3600000);
+  purgeTimer.unref();
+
+  return {
+    global,
+    // Sin casilla de prueba, el sandbox global no necesita el SMTP
+    captureOnly: global && !redirectTo,
+    modeFor,
+    capture,
+    redirect,
+    query,
+    get: (id) => store.get(id),
+    raw,
+    remove: drop,
+    clear,
+    stop: () => clearInterval(purgeTimer),
+  };
+}
+
+module.exports = {
+  createSandbox,
+};
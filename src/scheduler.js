@@ -0,0 +1,189 @@
+/**
+ * Envíos programados (sendAt)
+ *
+ * Los emails con sendAt futuro se guardan en DATA_DIR/scheduled y un
+ * scheduler en proceso los despacha cuando vence su hora. Al iniciar, los
+ * envíos vencidos durante una caída del servidor se despachan de inmediato.
+ * Una vez despachado, el registro se elimina: el resultado queda en el send log.
+ */
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+
+/**
+ * Crea el scheduler de envíos programados
+ * @param {Object} params
+ * @param {Function} params.dispatch - async (entry) => void; entrega el email.
+ *   Si lanza un error con sendAt, el envío se reprograma para ese momento.
+ * @param {Object} params.logger - Logger pino
+ * @param {number} [params.pollMs] - Intervalo de revisión
+ * @returns {Object} - API del scheduler
+ */
+function createScheduler({
+  dispatch,
+  logger,
+  pollMs = Number(process.env.SCHEDULER_POLL_MS) || 5000,
+}) {
+  const store = createStore({ name: "scheduled", logger });
+  let timer = null;
+  let running = false;
+
+  /**
+   * Programa un email
+   * @param {Object} payload - Email validado (sin sendAt)
+   * @param {Object} meta - sendAt, client, reqId, messageId
+   * @returns {Object} - Registro creado
+   */
+  function schedule(payload, { sendAt, client, reqId, messageId }) {
+    const now = new Date().toISOString();
+    const entry = store.put({
+      id: crypto.randomUUID(),
+      status: "scheduled",
+      sendAt: new Date(sendAt).toISOString(),
+      client,
+      reqId,
+      messageId,
+      payload,
+      createdAt: now,
+      updatedAt: now,
+    });
+    logger.info(
+      { scheduledId: entry.id, sendAt: entry.sendAt, messageId },
+      "[SCHEDULER] Envío programado"
+    );
+    return entry;
+  }
+
+  /**
+   * Cambia la hora de un envío pendiente
+   * @param {string} id - Id del envío programado
+   * @param {string|Date} sendAt - Nueva fecha/hora
+   * @returns {Object|undefined} - Registro actualizado
+   */
+  function reschedule(id, sendAt) {
+    const entry = store.get(id);
+    if (!entry || entry.status !== "scheduled") {
+      return undefined;
+    }
+    return store.update(id, {
+      sendAt: new Date(sendAt).toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Cancela un envío pendiente
+   * @param {string} id - Id del envío programado
+   * @returns {Object|undefined} - Registro cancelado (ya eliminado)
+   */
+  function cancel(id) {
+    const entry = store.get(id);
+    if (!entry || entry.status !== "scheduled") {
+      return undefined;
+    }
+    store.remove(id);
+    logger.info({ scheduledId: id }, "[SCHEDULER] Envío cancelado");
+    return entry;
+  }
+
+  // Despacha en orden todos los envíos vencidos
+  async function tick() {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      const now = Date.now();
+      const due = store
+        .list(
+          (entry) =>
+            entry.status === "scheduled" && Date.parse(entry.sendAt) <= now
+        )
+        .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+
+      for (const entry of due) {
+        // Puede haberse cancelado o reprogramado mientras se despachaba otro
+        const current = store.get(entry.id);
+        if (
+          !current ||
+          current.status !== "scheduled" ||
+          Date.parse(current.sendAt) > Date.now()
+        ) {
+          continue;
+        }
+        store.update(entry.id, {
+          status: "dispatching",
+          updatedAt: new Date().toISOString(),
+        });
+        try {
+          await dispatch(current);
+          logger.info(
+            { scheduledId: entry.id, messageId: entry.messageId },
+            "[SCHEDULER] Envío programado despachado"
+          );
+        } catch (error) {
+          if (error.sendAt) {
+            store.update(entry.id, {
+              status: "scheduled",
+              sendAt: error.sendAt,
+              updatedAt: new Date().toISOString(),
+            });
+            logger.warn(
+              { scheduledId: entry.id, sendAt: error.sendAt },
+              "[SCHEDULER] Envío diferido"
+            );
+            continue;
+          }
+          logger.error(
+            { scheduledId: entry.id, error: error.message },
+            "[SCHEDULER] Error despachando envío programado"
+          );
+        }
+        store.remove(entry.id);
+      }
+    } catch (error) {
+      logger.error({ error: error.message }, "[SCHEDULER] Error en el ciclo");
+    } finally {
+      running = false;
+    }
+  }
+
+  // Inicia el scheduler y despacha lo vencido durante una caída
+  function start() {
+    // Envíos interrumpidos a mitad de despacho: se vuelven a intentar
+    for (const entry of store.list((e) => e.status === "dispatching")) {
+      store.update(entry.id, { status: "scheduled" });
+    }
+    const overdue = store.list(
+      (e) => e.status === "scheduled" && Date.parse(e.sendAt) <= Date.now()
+    ).length;
+    logger.info(
+      { pending: store.size(), overdue },
+      "[SCHEDULER] Scheduler iniciado"
+    );
+    tick();
+    timer = setInterval(tick, pollMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    schedule,
+    reschedule,
+    cancel,
+    start,
+    stop,
+    get: (id) => store.get(id),
+    list: (filter) => store.list(filter),
+  };
+}
+
+module.exports = {
+  createScheduler,
+};
@@ -0,0 +1,159 @@
+/**
+ * Registro persistente de envíos (send log)
+ *
+ * Guarda en DATA_DIR/messages un registro por email aceptado por /send con
+ * destinatarios, asunto, resultado SMTP (accepted/rejected/response), el
+ * resultado de la copia en "Enviados" y las marcas de tiempo. Los registros
+ * se indexan por Message-ID (sin los corchetes angulares).
+ */
+
+const crypto = require("crypto");
+const { createStore } = require("./store");
+const { getDomain, toList } = require("./address");
+
+// Estados de los envíos que todavía no se despacharon
+const PENDING_STATUSES = new Set(["scheduled", "queued"]);
+
+/**
+ * Genera un Message-ID propio para el email
+ * @param {string} from - Remitente (para tomar el dominio)
+ * @returns {string} - Message-ID con corchetes angulares
+ */
+function generateMessageId(from) {
+  const domain = getDomain(from) || "localhost";
+  return `<${crypto.randomUUID()}@${domain}>`;
+}
+
+/**
+ * Normaliza un Message-ID para usarlo como clave del registro
+ * @param {string} messageId - Message-ID con o sin corchetes
+ * @returns {string}
+ */
+function normalizeMessageId(messageId) {
+  return String(messageId || "")
+    .trim()
+    .replace(/^<|>$/g, "");
+}
+
+/**
+ * Crea el registro de envíos
+ * @param {Object} params
+ * @param {Object} params.logger - Logger pino
+ * @param {number} [params.retentionDays] - Días que se conservan los registros
+ * @returns {Object} - API del registro
+ */
+function createSendLog({
+  logger,
+  retentionDays = Number(process.env.MESSAGE_LOG_RETENTION_DAYS) || 30,
+}) {
+  const store = createStore({ name: "messages", logger });
+
+  /**
+   * Crea el registro de un email aceptado
+   * @param {Object} entry - Datos del email (messageId, to, subject, ...)
+   * @returns {Object} - Registro creado
+   */
+  function create(entry) {
+    const now = new Date().toISOString();
+    return store.put({
+      ...entry,
+      id: normalizeMessageId(entry.messageId),
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  /**
+   * Actualiza un registro existente
+   * @param {string} messageId - Message-ID del email
+   * @param {Object} changes - Campos a modificar
+   * @returns {Object|undefined}
+   */
+  function update(messageId, changes) {
+    return store.update(normalizeMessageId(messageId), {
+      ...changes,
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Busca registros con filtros y paginación
+   * @param {Object} filters
+   * @param {string} [filters.recipient] - Destinatario (to/cc/bcc)
+   * @param {string} [filters.status] - Estado del envío
+   * @param {string} [filters.client] - Cliente autenticado
+   * @param {Date} [filters.since] - Desde (inclusive)
+   * @param {Date} [filters.until] - Hasta (inclusive)
+   * @param {number} filters.page - Página (desde 1)
+   * @param {number} filters.limit - Registros por página
+   * @returns {{messages: Object[], total: number, page: number, limit: number}}
+   */
+  function query({ recipient, status, client, since, until, page, limit }) {
+    const wanted = recipient?.toLowerCase();
+    const matches = store
+      .list((record) => {
+        const createdAt = Date.parse(record.createdAt);
+        if (
+          (client && record.client !== client) ||
+          (status && record.status !== status) ||
+          (since && createdAt < since.getTime()) ||
+          (until && createdAt > until.getTime())
+        ) {
+          return false;
+        }
+        if (!wanted) {
+          return true;
+        }
+        return [record.to, record.cc, record.bcc]
+          .flatMap(toList)
+          .some((r) => r.toLowerCase().includes(wanted));
+      })
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    const start = (page - 1) * limit;
+    return {
+      messages: matches.slice(start, start + limit),
+      total: matches.length,
+      page,
+      limit,
+    };
+  }
+
+  // Elimina los registros cuya última actualización es más antigua que la
+  // retención configurada. Los programados y en cola no se eliminan: sendAt
+  // puede estar hasta un año en el futuro
+  function purge() {
+    const limit = Date.now() - retentionDays * 86400000;
+    let removed = 0;
+    for (const record of store.list()) {
+      if (PENDING_STATUSES.has(record.status)) {
+        continue;
+      }
+      if (Date.parse(record.updatedAt || record.createdAt) < limit) {
+        store.remove(record.id);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      logger.info({ removed }, "[SENDLOG] Registros antiguos eliminados");
+    }
+  }
+
+  purge();
+  const purgeTimer = setInterval(purge, 3600000);
+  purgeTimer.unref();
+
+  return {
+    create,
+    update,
+    query,
+    get: (messageId) => store.get(normalizeMessageId(messageId)),
+    stop: () => clearInterval(purgeTimer),
+  };
+}
+
+module.exports = {
+  createSendLog,
+  generateMessageId,
+  normalizeMessageId,
+};
@@ -1,19 +1,26 @@
 /**
  * Rutina de descubrimiento IMAP para encontrar/crear carpeta de Enviados real en IONOS
- * 
- * No adivina nombres - usa SPECIAL-USE y descubrimiento real del servidor
+ *
+ * No adivina nombres - usa SPECIAL-USE y descubrimiento real del servidor.
+ * Trabaja sobre un cliente IMAP ya conectado (el del servidor) o abre uno
+ * propio; el mensaje de prueba (APPEND) solo se hace si se pide con probe.
  */
 
 const { ImapFlow } = require('imapflow');
 
+// Nombres comunes de la carpeta de enviados (coincidencia exacta, sin mayúsculas)
+const COMMON_NAMES = [
+  'Sent', 'Sent Items', 'Sent Messages',
+  'Enviados', 'Elementos enviados',
+  'Gesendet', 'Gesendete Elemente', // Alemán
+  'Envoyés', 'Éléments envoyés'    // Francés
+];
+
 /**
- * Encuentra o crea la carpeta de Enviados real usando SPECIAL-USE e introspección del servidor
- * @returns {Promise<{sentPath: string, delimiter: string, created?: boolean}>}
+ * Crea un cliente IMAP con la configuración de entorno
+ * @returns {ImapFlow}
  */
-async function findOrCreateSentBox() {
-  console.log('[IMAP DISCOVERY] Iniciando descubrimiento de carpeta Enviados...');
-  
-  // Configuración IMAP
+function createClientFromEnv() {
   const host = process.env.IMAP_HOST || 'imap.ionos.com';
   const port = Number(process.env.IMAP_PORT || 993);
   const secure = String(process.env.IMAP_SECURE || 'true') === 'true';
@@ -24,209 +31,144 @@ async function findOrCreateSentBox() {
     throw new Error('IMAP credentials missing (IMAP_USER/IMAP_PASS or SMTP_USER/SMTP_PASS)');
   }
 
-  const client = new ImapFlow({
+  return new ImapFlow({
     host,
     port,
     secure,
     auth: { user, pass },
     logger: false // Usar nuestro logging
   });
+}
 
-  console.log(`[IMAP DISCOVERY] Conectando a ${host}:${port} (secure: ${secure})...`);
-  await client.connect();
-  console.log('[IMAP DISCOVERY] Conexión establecida');
-
-  // Log capabilities
-  console.log('[IMAP DISCOVERY] Server capabilities:', JSON.stringify(client.capabilities, null, 2));
-
-  let lock = null;
+/**
+ * Valida el acceso con un APPEND de prueba y lo borra por UID
+ * @param {ImapFlow} client - Cliente conectado
+ * @param {string} sentPath - Carpeta a validar
+ * @param {Object} [logger]
+ */
+async function probeAppend(client, sentPath, logger) {
+  logger?.info?.('[IMAP DISCOVERY] Validando acceso con APPEND de prueba...');
+  const testMessage = Buffer.from(
+    'From: imap-check@localhost\r\n' +
+    'To: imap-check@localhost\r\n' +
+    'Subject: IMAP Discovery Probe - Safe to Delete\r\n' +
+    'Date: ' + new Date().toUTCString() + '\r\n' +
+    '\r\n' +
+    'This is a test message for IMAP discovery. Safe to delete.\r\n'
+  );
+
+  const appended = await client.append(sentPath, testMessage, ['\\Seen']);
+  logger?.info?.(`[IMAP DISCOVERY] APPEND de prueba exitoso (uid ${appended?.uid ?? '?'})`);
+
+  // Borrar solo el mensaje de prueba: UID EXPUNGE (UIDPLUS), nunca un EXPUNGE
+  // general que borraría otros mensajes marcados \Deleted
+  if (!appended?.uid || !client.capabilities.has('UIDPLUS')) {
+    logger?.warn?.('[IMAP DISCOVERY] El servidor no soporta UIDPLUS; borrar a mano el mensaje de prueba');
+    return;
+  }
+  let lock;
   try {
-    // 1) Forzar login/capabilities y obtener un lock rápido para asegurar estado
-    try {
-      lock = await client.getMailboxLock('INBOX');
-      console.log('[IMAP DISCOVERY] INBOX accessible');
-    } catch (e) {
-      console.log('[IMAP DISCOVERY] INBOX lock failed (not critical):', e.message);
-    }
-    if (lock) {
-      await lock.release();
-      lock = null;
-    }
+    lock = await client.getMailboxLock(sentPath);
+    await client.messageDelete(String(appended.uid), { uid: true });
+    logger?.info?.('[IMAP DISCOVERY] Mensaje de prueba eliminado');
+  } catch (cleanupError) {
+    logger?.warn?.(`[IMAP DISCOVERY] No se pudo eliminar el mensaje de prueba: ${cleanupError.message}`);
+  } finally {
+    lock?.release();
+  }
+}
 
-    // 2) Intentar SPECIAL-USE (\Sent) - Método estándar RFC6154
-    console.log('[IMAP DISCOVERY] Buscando carpetas con SPECIAL-USE...');
-    let special = [];
-    try {
-      special = await client.list({ specialUse: true });
-      console.log('[IMAP DISCOVERY] Carpetas SPECIAL-USE encontradas:', 
-        special.map(mb => ({ path: mb.path, flags: mb.flags, specialUse: mb.specialUse }))
-      );
-    } catch (e) {
-      console.log('[IMAP DISCOVERY] SPECIAL-USE no soportado o falló:', e.message);
-    }
+/**
+ * Encuentra o crea la carpeta de Enviados real usando SPECIAL-USE e introspección del servidor
+ * @param {Object} [options]
+ * @param {ImapFlow} [options.client] - Cliente ya conectado (no se cierra); si falta se abre uno con la configuración de entorno
+ * @param {Object} [options.logger] - Logger (pino o console)
+ * @param {boolean} [options.probe] - Validar con un APPEND de prueba (se borra después)
+ * @returns {Promise<{sentPath: string, delimiter: string, created: boolean}>}
+ */
+async function findOrCreateSentBox({ client, logger, probe = false } = {}) {
+  logger?.info?.('[IMAP DISCOVERY] Iniciando descubrimiento de carpeta Enviados...');
+
+  const ownClient = !client;
+  if (ownClient) {
+    client = createClientFromEnv();
+    await client.connect();
+    logger?.info?.('[IMAP DISCOVERY] Conexión establecida');
+  }
 
-    let sent = special.find(mb => 
-      (mb.flags && mb.flags.includes('\\Sent')) ||
-      (mb.specialUse && mb.specialUse === '\\Sent')
+  try {
+    // 1) Listar todas las carpetas (imapflow marca specialUse con SPECIAL-USE o por nombre)
+    const all = await client.list();
+    logger?.debug?.(
+      `[IMAP DISCOVERY] Carpetas encontradas: ${all.map(mb => `"${mb.path}"`).join(', ')}`
     );
 
-    if (sent) {
-      console.log('[IMAP DISCOVERY] ✅ Carpeta Sent encontrada via SPECIAL-USE:', sent.path);
-    }
+    // El delimitador lo informa el servidor en cada carpeta
+    const delimiter = all.find(mb => mb.delimiter)?.delimiter || '/';
 
-    // 3) Si no hubo SPECIAL-USE, listar todo y detectar delimitador
-    console.log('[IMAP DISCOVERY] Listando todas las carpetas...');
-    const all = await client.list('*');
-    console.log('[IMAP DISCOVERY] Carpetas encontradas:');
-    all.forEach(mb => {
-      console.log(`  - Path: "${mb.path}", Flags: [${mb.flags ? mb.flags.join(', ') : 'none'}]`);
-    });
-
-    // Detectar delimitador mirando el primer mailbox con subniveles
-    let delimiter = '/'; // default
-    for (const mb of all) {
-      if (mb.path.includes('/')) {
-        delimiter = '/';
-        break;
-      } else if (mb.path.includes('.')) {
-        delimiter = '.';
-        break;
-      }
+    // 2) SPECIAL-USE (\Sent) - Método estándar RFC6154
+    let sent = all.find(mb => mb.specialUse === '\\Sent' && mb.specialUseSource !== 'name') ||
+      all.find(mb => mb.flags && mb.flags.has?.('\\Sent'));
+    if (sent) {
+      logger?.info?.(`[IMAP DISCOVERY] Carpeta Sent encontrada via SPECIAL-USE: "${sent.path}"`);
     }
-    console.log('[IMAP DISCOVERY] Delimitador detectado:', delimiter);
 
-    // Si todavía no tenemos sent, buscar por nombres comunes EXACTOS entre los devueltos por el servidor
+    // 3) Si no hubo SPECIAL-USE, buscar por nombres comunes EXACTOS entre los devueltos por el servidor
     if (!sent) {
-      console.log('[IMAP DISCOVERY] Buscando por nombres comunes exactos...');
       const candidates = [
-        'Sent', 'Sent Items', 'Sent Messages',
-        `INBOX${delimiter}Sent`, `INBOX${delimiter}Sent Items`,
-        'Enviados', 'Elementos enviados',
-        'Gesendet', 'Gesendete Elemente', // Alemán
-        'Envoyés', 'Éléments envoyés'    // Francés
+        ...COMMON_NAMES,
+        ...COMMON_NAMES.map(name => `INBOX${delimiter}${name}`)
       ];
-      
-      console.log('[IMAP DISCOVERY] Candidatos a buscar:', candidates);
-      
       const byPath = new Map(all.map(mb => [mb.path.toLowerCase(), mb]));
       const hit = candidates.find(c => byPath.has(c.toLowerCase()));
-      
       if (hit) {
         sent = byPath.get(hit.toLowerCase());
-        console.log('[IMAP DISCOVERY] ✅ Carpeta Sent encontrada por coincidencia exacta:', sent.path);
+        logger?.info?.(`[IMAP DISCOVERY] Carpeta Sent encontrada por nombre: "${sent.path}"`);
       }
     }
 
     // 4) Crear si no existe
     let created = false;
     if (!sent) {
-      console.log('[IMAP DISCOVERY] No se encontró carpeta Sent existente. Intentando crear...');
-      const tryPaths = [
-        `INBOX${delimiter}Sent`,
-        `INBOX${delimiter}Sent Items`,
-        'Sent'
-      ];
-      
+      logger?.warn?.('[IMAP DISCOVERY] No se encontró carpeta Sent existente. Intentando crear...');
+      const tryPaths = [`INBOX${delimiter}Sent`, 'Sent'];
+
       for (const p of tryPaths) {
         try {
-          console.log(`[IMAP DISCOVERY] Intentando crear: "${p}"`);
-          await client.mailboxCreate(p, { specialUse: '\\Sent' });
+          await client.mailboxCreate(p);
           created = true;
-          console.log(`[IMAP DISCOVERY] ✅ Carpeta creada exitosamente: "${p}"`);
-          
-          // Refrescar lista y tomar el creado
-          const refreshed = await client.list('*');
-          sent = refreshed.find(mb => mb.path === p);
-          if (sent) break;
+          sent = { path: p };
+          logger?.info?.(`[IMAP DISCOVERY] Carpeta creada exitosamente: "${p}"`);
+          break;
         } catch (e) {
-          console.log(`[IMAP DISCOVERY] ❌ Falló crear "${p}":`, e.message);
-          // Intenta siguiente
+          logger?.warn?.(`[IMAP DISCOVERY] Falló crear "${p}": ${e.message}`);
         }
       }
-      
+
       if (!sent) {
         throw new Error('No pude crear ni encontrar carpeta de enviados después de todos los intentos');
       }
     }
 
-    const sentPath = sent.path;
-    console.log('[IMAP DISCOVERY] 🎯 Path final de enviados:', sentPath, created ? '(CREADA)' : '(EXISTENTE)');
-
-    // 5) Validar acceso con APPEND de prueba
-    console.log('[IMAP DISCOVERY] Validando acceso con APPEND de prueba...');
-    const testMessage = Buffer.from(
-      'From: test@piensaajedrez.com\r\n' +
-      `To: ${user}\r\n` +
-      'Subject: IMAP Discovery Probe - Safe to Delete\r\n' +
-      'Date: ' + new Date().toUTCString() + '\r\n' +
-      '\r\n' +
-      'This is a test message for IMAP discovery. Safe to delete.\r\n'
-    );
-    
-    try {
-      const appendResult = await client.append(sentPath, testMessage, { 
-        flags: ['\\Seen', '\\Deleted'] 
-      });
-      console.log('[IMAP DISCOVERY] ✅ APPEND de prueba exitoso:', appendResult);
-      
-      // Intentar limpiar el mensaje de prueba inmediatamente
-      try {
-        const cleanLock = await client.getMailboxLock(sentPath);
-        try {
-          // Buscar y marcar para eliminar mensajes de prueba
-          const messages = await client.search({ header: { subject: 'IMAP Discovery Probe' } });
-          if (messages.length > 0) {
-            await client.messageFlagsAdd(messages, ['\\Deleted']);
-            await client.expunge();
-            console.log('[IMAP DISCOVERY] ✅ Mensaje de prueba eliminado');
-          }
-        } finally {
-          await cleanLock.release();
-        }
-      } catch (cleanupError) {
-        console.log('[IMAP DISCOVERY] ⚠️ No se pudo limpiar mensaje de prueba (no crítico):', cleanupError.message);
-      }
-      
-    } catch (e) {
-      const msg = String(e?.message || e);
-      console.log('[IMAP DISCOVERY] ❌ APPEND de prueba falló:', msg);
-      
-      // Si el servidor responde TRYCREATE, intenta crear y reintentar
-      if (/TRYCREATE/i.test(msg)) {
-        console.log('[IMAP DISCOVERY] Servidor sugiere TRYCREATE, reintentando...');
-        try {
-          await client.mailboxCreate(sentPath, { specialUse: '\\Sent' });
-          const retryResult = await client.append(sentPath, testMessage, { 
-            flags: ['\\Seen', '\\Deleted'] 
-          });
-          console.log('[IMAP DISCOVERY] ✅ APPEND exitoso después de TRYCREATE:', retryResult);
-        } catch (e2) {
-          await client.logout();
-          throw new Error(`APPEND falló incluso tras TRYCREATE: ${e2.message}`);
-        }
-      } else {
-        await client.logout();
-        throw new Error(`APPEND falló: ${msg}`);
-      }
+    // 5) Validación opcional (solo npm run imap:check)
+    if (probe) {
+      await probeAppend(client, sent.path, logger);
     }
 
-    await client.logout();
-    console.log('[IMAP DISCOVERY] Desconectado del servidor');
-
-    const result = { sentPath, delimiter, created };
-    console.log('[IMAP DISCOVERY] 🎉 RESULTADO FINAL:', result);
-    
+    const result = { sentPath: sent.path, delimiter, created };
+    logger?.info?.(`[IMAP DISCOVERY] Carpeta de enviados: "${result.sentPath}" (delimitador "${delimiter}")`);
     return result;
-
   } catch (error) {
-    // Asegurar cleanup
-    if (lock) {
-      try { await lock.release(); } catch {}
-    }
-    try { await client.logout(); } catch {}
-    
-    console.error('[IMAP DISCOVERY] ❌ ERROR FATAL:', error.message);
+    logger?.error?.(`[IMAP DISCOVERY] Error en el descubrimiento: ${error.message}`);
     throw error;
+  } finally {
+    if (ownClient) {
+      try {
+        await client.logout();
+      } catch (logoutError) {
+        logger?.debug?.(`[IMAP DISCOVERY] Error al cerrar conexión: ${logoutError.message}`);
+      }
+    }
   }
 }
 
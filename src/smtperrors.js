@@ -0,0 +1,238 @@
+/**
+ * Clasificación de los errores SMTP
+ *
+ * Cada error de nodemailer se clasifica por sus campos estructurados, nunca
+ * por el texto del mensaje:
+ * - code: tipo de error de nodemailer (EAUTH, ECONNECTION, ETLS, EENVELOPE...)
+ * - responseCode: código de respuesta del servidor (535, 550, 452...)
+ * - command: comando que falló (AUTH PLAIN, MAIL FROM, RCPT TO, DATA...)
+ * - código extendido (RFC 3463) dentro de la respuesta: 5.1.1, 4.2.2, 5.7.1...
+ *
+ * El resultado lleva un errorCode estable para las integraciones, el status
+ * HTTP y si vale la pena reintentar (retryable).
+ */
+
+// Códigos de nodemailer (o de Node) de problemas de red o conexión
+const CONNECTION_CODES = new Set([
+  "ECONNECTION",
+  "ETIMEDOUT",
+  "EDNS",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+]);
+
+// Respuestas que indican credenciales inválidas o autenticación requerida
+const AUTH_RESPONSES = new Set([530, 534, 535, 538]);
+
+// Categorías: status HTTP y mensaje para el cliente
+const CATEGORIES = {
+  account_quota: {
+    status: 429,
+    message: "Cuota de envío de la cuenta alcanzada",
+  },
+  smtp_auth: { status: 401, message: "Error de autenticación SMTP" },
+  smtp_connection: {
+    status: 502,
+    message: "Error de conexión con el servidor SMTP",
+  },
+  smtp_tls: { status: 502, message: "Error de seguridad TLS/SSL" },
+  smtp_throttled: {
+    status: 429,
+    message: "El servidor SMTP limitó temporalmente los envíos",
+  },
+  smtp_unavailable: {
+    status: 503,
+    message: "El servidor SMTP no está disponible",
+  },
+  smtp_temporary: {
+    status: 503,
+    message: "Error temporal del servidor SMTP",
+  },
+  sender_rejected: {
+    status: 422,
+    message: "Remitente rechazado por el servidor SMTP",
+  },
+  recipient_rejected: {
+    status: 422,
+    message: "Dirección de email inválida o rechazada",
+  },
+  message_rejected: {
+    status: 422,
+    message: "Mensaje rechazado por el servidor SMTP",
+  },
+  message_too_large: { status: 413, message: "Mensaje demasiado grande" },
+  smtp_protocol: { status: 502, message: "Respuesta SMTP inesperada" },
+  smtp_error: { status: 500, message: "Error interno del servidor SMTP" },
+};
+
+// Descripción de los códigos extendidos más comunes (clase omitida: X.1.1)
+const ENHANCED_DETAILS = new Map([
+  ["1.1", "La casilla de destino no existe"],
+  ["1.2", "El dominio de destino no existe o no recibe correo"],
+  ["1.3", "Dirección de destino mal formada"],
+  ["1.6", "La casilla de destino cambió de dirección"],
+  ["1.7", "Dirección del remitente mal formada"],
+  ["1.8", "El dominio del remitente no es válido"],
+  ["1.10", "El dominio de destino no acepta correo (null MX)"],
+  ["2.1", "La casilla de destino está deshabilitada"],
+  ["2.2", "La casilla de destino está llena"],
+  ["2.3", "El mensaje supera el tamaño que acepta la casilla"],
+  ["3.4", "El mensaje supera el tamaño que acepta el servidor"],
+  ["4.1", "El servidor de destino no responde"],
+  ["4.4", "No hay ruta hacia el dominio de destino"],
+  ["4.7", "El mensaje expiró sin poder entregarse"],
+  ["5.3", "Demasiados destinatarios"],
+  ["7.0", "Rechazado por política del servidor"],
+  ["7.1", "Entrega no autorizada o rechazada por política (spam)"],
+  ["7.8", "Credenciales inválidas"],
+  ["7.23", "El remitente no pasó SPF"],
+  ["7.25", "El servidor de origen no tiene DNS inverso"],
+  ["7.26", "El remitente no pasó la autenticación (SPF/DKIM/DMARC)"],
+]);
+
+/**
+ * Extrae el código extendido (RFC 3463) de una respuesta SMTP
+ * @param {string} [response] - Respuesta completa ("550 5.1.1 <x>: ...")
+ * @returns {string|undefined} - Código como "5.1.1"
+ */
+function parseEnhancedCode(response) {
+  const match = /^\d{3}[ -]([245]\.\d{1,3}\.\d{1,3})\b/.exec(response || "");
+  return match?.[1];
+}
+
+/**
+ * Elige la categoría de un error
+ * @param {Error} error - Error de nodemailer
+ * @param {Object} parsed - responseCode, enhancedCode y temporary
+ * @returns {string} - errorCode
+ */
+function categorize(error, { responseCode, enhancedCode, temporary }) {
+  const command = error.command || "";
+  const [, subject, detail] = (enhancedCode || "").split(".").map(Number);
+
+  if (error.code === "EPACING") {
+    return "account_quota";
+  }
+  if (error.code === "ETLS" || error.code === "EREQUIRETLS") {
+    return "smtp_tls";
+  }
+  if (
+    error.code === "EAUTH" ||
+    error.code === "ENOAUTH" ||
+    command.startsWith("AUTH") ||
+    (AUTH_RESPONSES.has(responseCode) && command !== "RCPT TO")
+  ) {
+    return "smtp_auth";
+  }
+  // ESOCKET: los errores de TCP traen syscall (connect, read, write); los de
+  // TLS (certificado vencido o no confiable, versión de SSL) no
+  if (error.code === "ESOCKET") {
+    return error.syscall ? "smtp_connection" : "smtp_tls";
+  }
+  if (CONNECTION_CODES.has(error.code)) {
+    return "smtp_connection";
+  }
+  if (error.code === "EPROTOCOL") {
+    return "smtp_protocol";
+  }
+
+  if (
+    responseCode === 552 ||
+    (subject === 2 && detail === 3) ||
+    (subject === 3 && detail === 4) ||
+    (error.code === "EMESSAGE" && command === "MAIL FROM")
+  ) {
+    return "message_too_large";
+  }
+  if (temporary && subject === 7) {
+    return "smtp_throttled";
+  }
+  if (responseCode === 421) {
+    return "smtp_unavailable";
+  }
+  if (command === "MAIL FROM") {
+    return "sender_rejected";
+  }
+  if (command === "RCPT TO" || error.code === "EENVELOPE") {
+    return "recipient_rejected";
+  }
+  if (command === "DATA" || error.code === "EMESSAGE") {
+    return "message_rejected";
+  }
+  return temporary ? "smtp_temporary" : "smtp_error";
+}
+
+/**
+ * Clasifica un error de envío SMTP
+ * @param {Error} error - Error de nodemailer (o EPACING del limitador de salida)
+ * @returns {{status: number, errorCode: string, message: string, retryable: boolean, responseCode?: number, enhancedCode?: string, command?: string, detail?: string, retryAfter?: number}}
+ */
+function classifySmtpError(error) {
+  const responseCode = Number(error.responseCode) || undefined;
+  const enhancedCode = parseEnhancedCode(error.response);
+  const temporary = responseCode
+    ? responseCode >= 400 && responseCode < 500
+    : Boolean(enhancedCode?.startsWith("4."));
+
+  const errorCode = categorize(error, {
+    responseCode,
+    enhancedCode,
+    temporary,
+  });
+  const category = CATEGORIES[errorCode];
+
+  // Las fallas temporales se reintentan aunque su categoría sea un rechazo
+  // (un 452 en RCPT TO es "reintentar más tarde", no una dirección inválida)
+  const retryable =
+    temporary ||
+    ["account_quota", "smtp_connection", "smtp_throttled"].includes(errorCode);
+  const rejectedForNow = temporary && category.status === 422;
+
+  return {
+    status: rejectedForNow ? 503 : category.status,
+    errorCode,
+    message: rejectedForNow
+      ? CATEGORIES.smtp_temporary.message
+      : category.message,
+    retryable,
+    responseCode,
+    enhancedCode,
+    command: error.command,
+    detail: enhancedCode
+      ? ENHANCED_DETAILS.get(enhancedCode.slice(2))
+      : undefined,
+    retryAfter:
+      error.retryAfterMs !== undefined
+        ? Math.ceil(error.retryAfterMs / 1000)
+        : undefined,
+  };
+}
+
+/**
+ * Detalle de un destinatario rechazado (info.rejectedErrors de nodemailer)
+ * @param {Error} error - Error del RCPT TO o del DATA de ese destinatario
+ * @returns {Object} - recipient, errorCode, retryable, responseCode, enhancedCode, message
+ */
+function describeRejection(error) {
+  const classified = classifySmtpError(error);
+  return {
+    recipient: error.recipient,
+    errorCode: classified.errorCode,
+    retryable: classified.retryable,
+    responseCode: classified.responseCode,
+    enhancedCode: classified.enhancedCode,
+    message: classified.detail || classified.message,
+    response: error.response,
+  };
+}
+
+module.exports = {
+  classifySmtpError,
+  describeRejection,
+  parseEnhancedCode,
+};
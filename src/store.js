@@ -0,0 +1,117 @@
+/**
+ * Almacenamiento local persistente basado en archivos JSON
+ *
+ * Cada colección es un directorio dentro de DATA_DIR con un archivo por
+ * registro. Los registros se cargan en memoria al crear la colección y cada
+ * escritura se hace de forma atómica (archivo temporal + rename), de modo que
+ * un reinicio del proceso nunca deja registros a medio escribir.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Directorio base para los datos persistentes
+ * @returns {string}
+ */
+function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || "./data");
+}
+
+/**
+ * Crea (o abre) una colección persistente
+ * @param {Object} params
+ * @param {string} params.name - Nombre de la colección (subdirectorio de DATA_DIR)
+ * @param {string} [params.dir] - Directorio explícito (ignora name/DATA_DIR)
+ * @param {Object} [params.logger] - Logger (pino o console)
+ * @returns {Object} - API de la colección
+ */
+function createStore({ name, dir, logger }) {
+  const root = dir || path.join(getDataDir(), name);
+  fs.mkdirSync(root, { recursive: true });
+
+  const records = new Map();
+
+  const fileFor = (id) => path.join(root, `${encodeURIComponent(id)}.json`);
+
+  // Cargar registros existentes
+  for (const entry of fs.readdirSync(root)) {
+    if (!entry.endsWith(".json")) {
+      continue;
+    }
+    const file = path.join(root, entry);
+    try {
+      const record = JSON.parse(fs.readFileSync(file, "utf8"));
+      records.set(record.id, record);
+    } catch (error) {
+      logger?.warn?.(
+        { file, error: error.message },
+        "[STORE] Registro ilegible, se ignora"
+      );
+    }
+  }
+
+  /**
+   * Guarda (crea o reemplaza) un registro
+   * @param {Object} record - Registro con propiedad id
+   * @returns {Object} - El mismo registro
+   */
+  function put(record) {
+    if (!record?.id) {
+      throw new Error("El registro debe tener id");
+    }
+    const file = fileFor(record.id);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record));
+    fs.renameSync(tmp, file);
+    records.set(record.id, record);
+    return record;
+  }
+
+  /**
+   * Actualiza campos de un registro existente
+   * @param {string} id - Id del registro
+   * @param {Object} changes - Campos a modificar
+   * @returns {Object|undefined} - Registro actualizado
+   */
+  function update(id, changes) {
+    const current = records.get(id);
+    if (!current) {
+      return undefined;
+    }
+    return put({ ...current, ...changes });
+  }
+
+  /**
+   * Elimina un registro
+   * @param {string} id - Id del registro
+   * @returns {boolean} - true si existía
+   */
+  function remove(id) {
+    if (!records.has(id)) {
+      return false;
+    }
+    records.delete(id);
+    fs.rmSync(fileFor(id), { force: true });
+    return true;
+  }
+
+  return {
+    dir: root,
+    get: (id) => records.get(id),
+    has: (id) => records.has(id),
+    list: (filter) => {
+      const all = [...records.values()];
+      return filter ? all.filter(filter) : all;
+    },
+    size: () => records.size,
+    put,
+    update,
+    remove,
+  };
+}
+
+module.exports = {
+  createStore,
+  getDataDir,
+};
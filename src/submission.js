@@ -0,0 +1,478 @@
+/**
+ * Listener SMTP de entrada (submission) para aplicaciones que solo hablan SMTP
+ *
+ * Acepta mensajes de usuarios configurados (SMTP_RELAY_USERS o
+ * SMTP_RELAY_USERS_FILE) con AUTH PLAIN/LOGIN y los reenvía por el mismo
+ * camino que POST /send: identidades de remitente, permisos por usuario,
+ * send log, cola, transporter de IONOS y copia en "Enviados". El mensaje se
+ * reenvía tal como llegó, sin el header Bcc.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { z } = require("zod");
+const { SMTPServer } = require("smtp-server");
+const { simpleParser } = require("mailparser");
+const { extractAddress, getDomain } = require("./address");
+
+// Esquema de cada usuario del listener
+const relayUserSchema = z.object({
+  username: z.string().min(1, "Username es requerido"),
+  password: z
+    .string()
+    .min(12, "La contraseña debe tener al menos 12 caracteres"),
+  senders: z.array(z.string().min(1)).optional(),
+  recipientDomains: z.array(z.string().min(1)).optional(),
+  // Cuenta SMTP por la que salen los mensajes de este usuario
+  account: z.string().min(1).optional(),
+  // Modo sandbox de este usuario: true captura los envíos; redirectTo además
+  // los entrega a esa casilla de prueba
+  sandbox: z
+    .union([
+      z.boolean(),
+      z.object({ redirectTo: z.string().email("Casilla de prueba inválida") }),
+    ])
+    .optional(),
+  rateLimit: z
+    .object({
+      windowMs: z.number().int().positive().optional(),
+      max: z.number().int().positive(),
+    })
+    .optional(),
+});
+
+const relayUsersSchema = z.array(relayUserSchema);
+
+/**
+ * Calcula el hash SHA-256 de un valor (para comparar en tiempo constante)
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function hash(value) {
+  return crypto.createHash("sha256").update(value).digest();
+}
+
+/**
+ * Carga y valida los usuarios del listener SMTP
+ * @param {Object} [options]
+ * @param {string} [options.file] - Ruta a un archivo JSON con los usuarios
+ * @param {string} [options.json] - JSON inline con los usuarios
+ * @returns {Array<Object>} - Usuarios validados (vacío si no hay configuración)
+ */
+function loadRelayUsers({
+  file = process.env.SMTP_RELAY_USERS_FILE,
+  json = process.env.SMTP_RELAY_USERS,
+} = {}) {
+  let raw;
+  if (file) {
+    raw = fs.readFileSync(file, "utf8");
+  } else if (json) {
+    raw = json;
+  } else {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(
+      `Configuración de usuarios SMTP no es JSON válido: ${error.message}`
+    );
+  }
+
+  const result = relayUsersSchema.safeParse(parsed);
+  if (!result.success) {
+    const details = result.error.errors
+      .map((e) => `${e.path.join(".")}: ${e.message}`)
+      .join("; ");
+    throw new Error(`Configuración de usuarios SMTP inválida: ${details}`);
+  }
+
+  const names = new Set();
+  for (const entry of result.data) {
+    if (names.has(entry.username)) {
+      throw new Error(`Usuario SMTP duplicado: "${entry.username}"`);
+    }
+    names.add(entry.username);
+  }
+
+  return result.data;
+}
+
+/**
+ * Direcciones de un header de direcciones ya parseado por mailparser
+ * @param {Object|Object[]|undefined} field - parsed.to, parsed.cc...
+ * @returns {string[]}
+ */
+function addressesOf(field) {
+  return [field || []]
+    .flat()
+    .flatMap((group) => group.value || [])
+    .flatMap((entry) => (entry.group ? entry.group : [entry]))
+    .map((entry) => entry.address?.toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Lee los datos del mensaje recibido que se usan para autorizar y registrar
+ * @param {Buffer} raw - Mensaje tal como llegó por DATA
+ * @param {Object} envelope - session.envelope de smtp-server
+ * @returns {Promise<Object>} - from, to, cc, bcc, subject y messageId
+ */
+async function parseMessage(raw, envelope) {
+  const parsed = await simpleParser(raw, {
+    skipHtmlToText: true,
+    skipTextToHtml: true,
+    skipImageLinks: true,
+  });
+
+  const to = addressesOf(parsed.to);
+  const cc = addressesOf(parsed.cc);
+  const visible = new Set([...to, ...cc]);
+  // Los destinatarios del sobre que no aparecen en To/Cc son copias ocultas
+  const bcc = envelope.rcptTo
+    .map((rcpt) => rcpt.address.toLowerCase())
+    .filter((address) => !visible.has(address));
+
+  return {
+    from: parsed.headers.has("from") ? parsed.from.text : undefined,
+    to,
+    cc,
+    bcc,
+    subject: parsed.subject,
+    messageId: parsed.messageId,
+  };
+}
+
+/**
+ * Prepara el raw a reenviar: quita los headers Bcc y agrega Message-ID si falta
+ * @param {Buffer} raw - Mensaje tal como llegó por DATA
+ * @param {Object} options
+ * @param {string} [options.messageId] - Message-ID a agregar si el mensaje no tiene
+ * @returns {Buffer}
+ */
+function rewriteHeaders(raw, { messageId }) {
+  // latin1: un carácter por byte, así los índices valen para el Buffer
+  const text = raw.toString("latin1");
+  const match = /\r?\n\r?\n/.exec(text);
+  const headerEnd = match ? match.index + match[0].length : text.length;
+  const lines = text.slice(0, headerEnd).split(/(?<=\n)/);
+
+  const kept = [];
+  let skipping = false;
+  for (const line of lines) {
+    // Las líneas que empiezan con espacio continúan el header anterior
+    if (/^[ \t]/.test(line)) {
+      if (!skipping) {
+        kept.push(line);
+      }
+      continue;
+    }
+    skipping = /^bcc:/i.test(line);
+    if (!skipping) {
+      kept.push(line);
+    }
+  }
+
+  if (messageId && !kept.some((line) => /^message-id:/i.test(line))) {
+    kept.unshift(`Message-ID: ${messageId}\r\n`);
+  }
+
+  return Buffer.concat([
+    Buffer.from(kept.join(""), "latin1"),
+    raw.subarray(headerEnd),
+  ]);
+}
+
+/**
+ * Indica si la dirección de escucha es local (loopback)
+ * @param {string} host - SMTP_LISTENER_HOST
+ * @returns {boolean}
+ */
+function isLoopback(host) {
+  return host === "localhost" || host === "::1" || /^127\./.test(host);
+}
+
+/**
+ * Crea un error con código de respuesta SMTP
+ * @param {number} responseCode - Código SMTP (451, 550...)
+ * @param {string} message - Texto de la respuesta
+ * @returns {Error}
+ */
+function replyError(responseCode, message) {
+  // Las respuestas SMTP son ASCII: se quitan los acentos
+  const error = new Error(
+    message.normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+  );
+  error.responseCode = responseCode;
+  return error;
+}
+
+/**
+ * Convierte el resultado del camino de envío ({status, body}) en un error SMTP
+ * @param {{status: number, body: Object, responseCode?: number}} result
+ * @returns {Error}
+ */
+function smtpError(result) {
+  const { status, body, responseCode } = result;
+  const details = Array.isArray(body.details)
+    ? body.details.map((d) => (typeof d === "string" ? d : d.message))
+    : [];
+  const message = [body.error, ...details].filter(Boolean).join(": ");
+
+  // Si IONOS respondió con un código SMTP se respeta si es temporal o permanente
+  if (responseCode >= 400 && responseCode < 600) {
+    return replyError(responseCode >= 500 ? 550 : 451, message);
+  }
+  // 4xx de validación/permisos o Message-ID repetido: rechazo permanente; el
+  // resto se puede reintentar
+  return replyError([403, 404, 409, 422].includes(status) ? 550 : 451, message);
+}
+
+/**
+ * Crea el listener SMTP
+ * @param {Object} params
+ * @param {Array<Object>} params.users - Usuarios devueltos por loadRelayUsers
+ * @param {Function} params.submit - async ({raw, envelope, message}, ctx) => {status, body}
+ * @param {Object} params.logger - Logger pino
+ * @param {Function} [params.onRateLimit] - (client) => void, por cada envío rechazado por rate limit
+ * @param {Object} [params.options] - port, host, size, maxRecipients, tls
+ * @returns {{start: Function, stop: Function}}
+ */
+function createSubmissionServer({
+  users,
+  submit,
+  logger,
+  onRateLimit,
+  options = {},
+}) {
+  const {
+    port = Number(process.env.SMTP_LISTENER_PORT) || 2525,
+    host = process.env.SMTP_LISTENER_HOST || "127.0.0.1",
+    size = Number(process.env.SMTP_LISTENER_MAX_SIZE) || 10 * 1024 * 1024,
+    maxRecipients = Number(process.env.SMTP_LISTENER_MAX_RECIPIENTS) || 50,
+    fallbackRateLimit = {
+      windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
+      max: Number(process.env.RATE_LIMIT_MAX) || 30,
+    },
+    tlsKey = process.env.SMTP_LISTENER_TLS_KEY,
+    tlsCert = process.env.SMTP_LISTENER_TLS_CERT,
+  } = options;
+
+  if (users.length === 0) {
+    throw new Error(
+      "El listener SMTP requiere al menos un usuario (SMTP_RELAY_USERS)"
+    );
+  }
+
+  const entries = users.map((user) => ({
+    username: user.username,
+    hash: hash(user.password),
+    client: {
+      name: user.username,
+      senders: user.senders?.map(extractAddress),
+      recipientDomains: user.recipientDomains?.map((d) => d.toLowerCase()),
+      account: user.account,
+      sandbox: user.sandbox === true ? {} : user.sandbox || undefined,
+    },
+    rateLimit: user.rateLimit
+      ? { windowMs: 60000, ...user.rateLimit }
+      : fallbackRateLimit,
+  }));
+
+  // Ventana fija de envíos por usuario: username -> { start, count }
+  const windows = new Map();
+
+  /**
+   * Cuenta un envío del usuario y dice si supera su rate limit
+   * @param {Object} entry - Usuario autenticado
+   * @returns {boolean} - true si todavía puede enviar
+   */
+  function consume(entry) {
+    const now = Date.now();
+    const current = windows.get(entry.username);
+    if (!current || now - current.start >= entry.rateLimit.windowMs) {
+      windows.set(entry.username, { start: now, count: 1 });
+      return true;
+    }
+    current.count++;
+    return current.count <= entry.rateLimit.max;
+  }
+
+  const secure = Boolean(tlsKey && tlsCert);
+
+  // Sin TLS las contraseñas viajan en texto plano: solo se admite loopback
+  if (!secure && !isLoopback(host)) {
+    throw new Error(
+      `El listener SMTP en ${host} requiere SMTP_LISTENER_TLS_KEY y SMTP_LISTENER_TLS_CERT (sin TLS solo escucha en 127.0.0.1)`
+    );
+  }
+
+  const server = new SMTPServer({
+    banner: "ionos-smtp-relay",
+    size,
+    authMethods: ["PLAIN", "LOGIN"],
+    // Sin certificado (solo en loopback) no se ofrece STARTTLS y se permite
+    // AUTH sin cifrar; con certificado AUTH exige STARTTLS
+    ...(secure
+      ? { key: fs.readFileSync(tlsKey), cert: fs.readFileSync(tlsCert) }
+      : { disabledCommands: ["STARTTLS"], allowInsecureAuth: true }),
+    logger: false,
+
+    onAuth(auth, session, callback) {
+      const entry = entries.find((e) => e.username === auth.username);
+      // Comparar siempre, aunque el usuario no exista
+      const valid = crypto.timingSafeEqual(
+        entry ? entry.hash : hash(""),
+        hash(auth.password || "")
+      );
+      if (!entry || !valid) {
+        logger.warn(
+          {
+            smtpSession: session.id,
+            username: auth.username,
+            remoteAddress: session.remoteAddress,
+          },
+          "[SMTP-IN] Autenticación fallida"
+        );
+        return callback(replyError(535, "Usuario o contraseña inválidos"));
+      }
+      callback(null, { user: entry });
+    },
+
+    onMailFrom(address, session, callback) {
+      if (!consume(session.user)) {
+        logger.warn(
+          { smtpSession: session.id, client: session.user.username },
+          "[SMTP-IN] Rate limit superado"
+        );
+        onRateLimit?.(session.user.client);
+        return callback(
+          replyError(
+            451,
+            "Demasiados envíos. Intente nuevamente en un momento."
+          )
+        );
+      }
+      callback();
+    },
+
+    onRcptTo(address, session, callback) {
+      if (session.envelope.rcptTo.length >= maxRecipients) {
+        return callback(
+          replyError(452, `Demasiados destinatarios (máximo ${maxRecipients})`)
+        );
+      }
+      if (!getDomain(address.address)) {
+        return callback(
+          replyError(553, `Destinatario inválido: ${address.address}`)
+        );
+      }
+      callback();
+    },
+
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("error", callback);
+      stream.on("end", () => {
+        if (stream.sizeExceeded) {
+          return callback(
+            replyError(552, `Mensaje demasiado grande (máximo ${size} bytes)`)
+          );
+        }
+        handleMessage(Buffer.concat(chunks), session)
+          .then((reply) => callback(null, reply))
+          .catch(callback);
+      });
+    },
+  });
+
+  server.on("error", (error) => {
+    logger.error({ error: error.message }, "[SMTP-IN] Error del listener");
+  });
+
+  /**
+   * Procesa un mensaje completo recibido por DATA
+   * @param {Buffer} raw - Mensaje recibido
+   * @param {Object} session - Sesión de smtp-server
+   * @returns {Promise<string>} - Texto de la respuesta 250
+   */
+  async function handleMessage(raw, session) {
+    const reqId = session.id;
+    const log = logger.child({
+      smtpSession: session.id,
+      client: session.user.username,
+    });
+
+    let message;
+    try {
+      message = await parseMessage(raw, session.envelope);
+    } catch (error) {
+      log.warn({ reqId, error: error.message }, "[SMTP-IN] Mensaje ilegible");
+      throw replyError(550, "Mensaje mal formado");
+    }
+
+    log.info(
+      {
+        reqId,
+        to: message.to,
+        recipients: session.envelope.rcptTo.length,
+        subject: message.subject,
+        size: raw.length,
+      },
+      "[SMTP-IN] Mensaje recibido"
+    );
+
+    const result = await submit(
+      {
+        raw,
+        envelope: {
+          from: session.envelope.mailFrom?.address,
+          to: session.envelope.rcptTo.map((rcpt) => rcpt.address),
+        },
+        message,
+      },
+      { log, reqId, client: session.user.client }
+    );
+
+    if (result.status >= 300) {
+      throw smtpError(result);
+    }
+    return `Mensaje aceptado ${result.body.messageId}`;
+  }
+
+  // Inicia el listener
+  function start() {
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, host, () => {
+        server.off("error", reject);
+        logger.info(
+          { port, host, users: entries.length, tls: secure },
+          `[SMTP-IN] Listener SMTP iniciado en ${host}:${port}`
+        );
+        if (!secure) {
+          logger.warn(
+            "[SMTP-IN] Sin SMTP_LISTENER_TLS_KEY/CERT: AUTH viaja sin cifrar"
+          );
+        }
+        resolve();
+      });
+    });
+  }
+
+  function stop() {
+    return new Promise((resolve) => server.close(resolve));
+  }
+
+  return { start, stop };
+}
+
+module.exports = {
+  loadRelayUsers,
+  createSubmissionServer,
+  parseMessage,
+  rewriteHeaders,
+};
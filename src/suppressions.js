@@ -0,0 +1,123 @@
+/**
+ * Lista de supresión de destinatarios
+ *
+ * Direcciones que no deben volver a recibir emails (rebote permanente, queja,
+ * baja o alta manual), guardadas en DATA_DIR/suppressions con una entrada por
+ * dirección. Los envíos consultan la lista antes de entregar: según
+ * SUPPRESSION_MODE los destinatarios suprimidos se quitan del email ("drop",
+ * por defecto) o el envío se rechaza completo ("reject").
+ */
+
+const { createStore } = require("./store");
+const { extractAddress, toList } = require("./address");
+
+/**
+ * Crea la lista de supresión
+ * @param {Object} params
+ * @param {Object} params.logger - Logger pino
+ * @param {"drop"|"reject"} [params.mode] - Qué hacer con los destinatarios suprimidos
+ * @returns {Object} - API de la lista
+ */
+function createSuppressionList({
+  logger,
+  mode = process.env.SUPPRESSION_MODE === "reject" ? "reject" : "drop",
+}) {
+  const store = createStore({ name: "suppressions", logger });
+
+  /**
+   * Agrega (o actualiza) una dirección. Si ya la agregó otro cliente (o un
+   * rebote) se conservan su cliente y su motivo
+   * @param {Object} entry
+   * @param {string} entry.email - Dirección a suprimir
+   * @param {string} entry.reason - bounce, complaint, unsubscribe o manual
+   * @param {string} [entry.note] - Detalle (diagnóstico del rebote, ticket...)
+   * @param {string} [entry.client] - Cliente que la agregó
+   * @returns {{entry: Object, created: boolean}}
+   */
+  function add({ email, reason, note, client }) {
+    const id = extractAddress(email);
+    const existing = store.get(id);
+    const now = new Date().toISOString();
+    // Solo quien agregó la dirección cambia su motivo: un rebote sobre una baja
+    // manual no le quita la entrada al cliente ni reemplaza el motivo original
+    const owned = !existing || existing.client === client;
+    const entry = store.put({
+      ...existing,
+      id,
+      email: id,
+      ...(owned ? { reason, note, client } : {}),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    });
+    logger.info(
+      { email: id, reason: entry.reason, created: !existing },
+      "[SUPPRESSIONS] Dirección suprimida"
+    );
+    return { entry, created: !existing };
+  }
+
+  /**
+   * Quita una dirección de la lista
+   * @param {string} email
+   * @returns {Object|undefined} - Entrada eliminada
+   */
+  function remove(email) {
+    const id = extractAddress(email);
+    const entry = store.get(id);
+    if (entry) {
+      store.remove(id);
+      logger.info({ email: id }, "[SUPPRESSIONS] Dirección reactivada");
+    }
+    return entry;
+  }
+
+  /**
+   * Separa los destinatarios de un email en permitidos y suprimidos
+   * @param {Object} recipients - Campos to, cc y bcc
+   * @returns {{to: string[], cc: string[], bcc: string[], suppressed: Array<{email: string, reason: string}>}}
+   */
+  function filter({ to, cc, bcc }) {
+    const suppressed = [];
+    const keep = (list) =>
+      toList(list).filter((recipient) => {
+        const entry = store.get(extractAddress(recipient));
+        if (entry) {
+          suppressed.push({ email: entry.email, reason: entry.reason });
+        }
+        return !entry;
+      });
+
+    return { to: keep(to), cc: keep(cc), bcc: keep(bcc), suppressed };
+  }
+
+  /**
+   * Lista las direcciones suprimidas
+   * @param {Object} [filters]
+   * @param {string} [filters.reason] - Motivo
+   * @param {string} [filters.email] - Parte de la dirección
+   * @returns {Object[]}
+   */
+  function list({ reason, email } = {}) {
+    const wanted = email?.toLowerCase();
+    return store
+      .list(
+        (entry) =>
+          (!reason || entry.reason === reason) &&
+          (!wanted || entry.email.includes(wanted))
+      )
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  return {
+    mode,
+    add,
+    remove,
+    filter,
+    list,
+    get: (email) => store.get(extractAddress(email)),
+  };
+}
+
+module.exports = {
+  createSuppressionList,
+};
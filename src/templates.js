@@ -0,0 +1,260 @@
+/**
+ * Plantillas de email del servidor (Handlebars)
+ *
+ * Estructura de TEMPLATES_DIR (por defecto ./templates):
+ *
+ *   layouts/<layout>.html.hbs   Layout HTML opcional ({{{body}}} = contenido)
+ *   layouts/<layout>.text.hbs   Layout de texto opcional
+ *   partials/<nombre>.hbs       Partials disponibles como {{> nombre}}
+ *   <plantilla>/subject.hbs     Asunto (obligatorio)
+ *   <plantilla>/html.hbs        Parte HTML
+ *   <plantilla>/text.hbs        Parte de texto
+ *   <plantilla>/template.json   Opciones: { "layout": "default" | false }
+ *
+ * Cada parte puede tener variantes por idioma (subject.es.hbs, html.en-us.hbs).
+ * Se elige la más específica para el locale pedido y si no la parte base.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Handlebars = require("handlebars");
+
+const DEFAULT_LAYOUT = "default";
+// Subdirectorios que no son plantillas
+const RESERVED_DIRS = ["layouts", "partials"];
+
+/**
+ * Crea un error de plantilla con código
+ * @param {string} code - TEMPLATE_NOT_FOUND o TEMPLATE_INVALID
+ * @param {string} message - Descripción
+ * @returns {Error}
+ */
+function templateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Lista de sufijos a probar para un locale ("es-MX" -> ["es-mx", "es", null])
+ * @param {string} [locale]
+ * @returns {Array<string|null>}
+ */
+function localeChain(locale) {
+  const chain = [];
+  if (locale) {
+    const parts = locale.toLowerCase().split("-");
+    for (let i = parts.length; i > 0; i--) {
+      chain.push(parts.slice(0, i).join("-"));
+    }
+  }
+  chain.push(null);
+  return chain;
+}
+
+/**
+ * Crea el renderizador de plantillas
+ * @param {Object} params
+ * @param {string} [params.dir] - Directorio de plantillas
+ * @param {Object} [params.logger] - Logger pino
+ * @returns {{render: Function, list: Function}}
+ */
+function createTemplateRenderer({
+  dir = process.env.TEMPLATES_DIR || "./templates",
+  logger,
+} = {}) {
+  const root = path.resolve(dir);
+  const hbs = Handlebars.create();
+  // Cache de plantillas compiladas por ruta (se invalida si cambia el archivo)
+  const cache = new Map();
+
+  /**
+   * Compila un archivo usando la cache
+   * @param {string} file - Ruta absoluta
+   * @param {Object} options - Opciones de compilación de Handlebars
+   * @returns {Function|null} - Plantilla compilada o null si no existe
+   */
+  function compileFile(file, options) {
+    let stat;
+    try {
+      stat = fs.statSync(file);
+    } catch {
+      return null;
+    }
+    const cached = cache.get(file);
+    if (cached && cached.mtimeMs === stat.mtimeMs) {
+      return cached.fn;
+    }
+    const fn = hbs.compile(fs.readFileSync(file, "utf8"), options);
+    cache.set(file, { mtimeMs: stat.mtimeMs, fn });
+    return fn;
+  }
+
+  // Registra (o actualiza) los partials de partials/
+  function loadPartials() {
+    const partialsDir = path.join(root, "partials");
+    if (!fs.existsSync(partialsDir)) {
+      return;
+    }
+    for (const entry of fs.readdirSync(partialsDir)) {
+      if (entry.endsWith(".hbs")) {
+        const file = path.join(partialsDir, entry);
+        hbs.registerPartial(
+          entry.slice(0, -".hbs".length),
+          fs.readFileSync(file, "utf8")
+        );
+      }
+    }
+  }
+
+  /**
+   * Busca la variante más específica de una parte según el locale
+   * @param {string} templateDir - Directorio de la plantilla
+   * @param {string} part - subject, html o text
+   * @param {string} [locale]
+   * @param {Object} options - Opciones de compilación
+   * @returns {Function|null}
+   */
+  function findPart(templateDir, part, locale, options) {
+    for (const suffix of localeChain(locale)) {
+      const file = path.join(
+        templateDir,
+        suffix ? `${part}.${suffix}.hbs` : `${part}.hbs`
+      );
+      const fn = compileFile(file, options);
+      if (fn) {
+        return fn;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Lee las opciones de template.json
+   * @param {string} templateDir
+   * @returns {{layout?: string|false}}
+   */
+  function readOptions(templateDir) {
+    const file = path.join(templateDir, "template.json");
+    if (!fs.existsSync(file)) {
+      return {};
+    }
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (error) {
+      throw templateError(
+        "TEMPLATE_INVALID",
+        `template.json inválido: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Renderiza una plantilla
+   * @param {string} name - Nombre de la plantilla (directorio)
+   * @param {Object} [data] - Variables
+   * @param {string} [locale] - Idioma (es, en, es-MX...)
+   * @returns {{subject: string, html: string|undefined, text: string|undefined}}
+   */
+  function render(name, data = {}, locale) {
+    const templateDir = path.join(root, name);
+    if (
+      RESERVED_DIRS.includes(name) ||
+      path.dirname(templateDir) !== root ||
+      !fs.existsSync(templateDir) ||
+      !fs.statSync(templateDir).isDirectory()
+    ) {
+      throw templateError(
+        "TEMPLATE_NOT_FOUND",
+        `Plantilla "${name}" no existe`
+      );
+    }
+
+    loadPartials();
+    const options = readOptions(templateDir);
+    const context = { ...data, locale };
+
+    const subjectFn = findPart(templateDir, "subject", locale, {
+      noEscape: true,
+    });
+    const htmlFn = findPart(templateDir, "html", locale, {});
+    const textFn = findPart(templateDir, "text", locale, { noEscape: true });
+
+    if (!subjectFn) {
+      throw templateError(
+        "TEMPLATE_INVALID",
+        `La plantilla "${name}" no tiene subject.hbs`
+      );
+    }
+    if (!htmlFn && !textFn) {
+      throw templateError(
+        "TEMPLATE_INVALID",
+        `La plantilla "${name}" no tiene html.hbs ni text.hbs`
+      );
+    }
+
+    const layout =
+      options.layout === false ? null : options.layout || DEFAULT_LAYOUT;
+
+    /**
+     * Renderiza una parte y la envuelve en su layout si existe
+     * @param {Function|null} fn - Parte compilada
+     * @param {string} kind - html o text
+     * @param {Object} compileOptions
+     * @returns {string|undefined}
+     */
+    const renderPart = (fn, kind, compileOptions) => {
+      if (!fn) {
+        return undefined;
+      }
+      const body = fn(context);
+      const layoutFn = layout
+        ? compileFile(
+            path.join(root, "layouts", `${layout}.${kind}.hbs`),
+            compileOptions
+          )
+        : null;
+      if (!layoutFn && options.layout && layout !== DEFAULT_LAYOUT) {
+        logger?.warn?.(
+          { template: name, layout, kind },
+          "[TEMPLATES] Layout no encontrado, se usa la parte sin layout"
+        );
+      }
+      return layoutFn ? layoutFn({ ...context, body }) : body;
+    };
+
+    try {
+      const subject = subjectFn(context).replace(/\s+/g, " ").trim();
+      context.subject = subject;
+      return {
+        subject,
+        html: renderPart(htmlFn, "html", {}),
+        text: renderPart(textFn, "text", { noEscape: true }),
+      };
+    } catch (error) {
+      throw templateError("TEMPLATE_INVALID", error.message);
+    }
+  }
+
+  /**
+   * Lista las plantillas disponibles
+   * @returns {string[]}
+   */
+  function list() {
+    if (!fs.existsSync(root)) {
+      return [];
+    }
+    return fs
+      .readdirSync(root, { withFileTypes: true })
+      .filter(
+        (entry) => entry.isDirectory() && !RESERVED_DIRS.includes(entry.name)
+      )
+      .map((entry) => entry.name);
+  }
+
+  return { render, list };
+}
+
+module.exports = {
+  createTemplateRenderer,
+};
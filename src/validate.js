@@ -3,23 +3,169 @@ const { z } = require("zod");
 // Esquema para validar email individual
 const emailSchema = z.string().email("Email inválido");
 
-// Esquema para attachments
-const attachmentSchema = z.object({
-  filename: z.string().min(1, "Filename es requerido"),
-  content: z
-    .string()
-    .min(1, "Content es requerido")
-    .refine((content) => {
-      try {
-        // Validar que sea base64 válido
-        Buffer.from(content, "base64");
-        return true;
-      } catch {
-        return false;
-      }
-    }, "Content debe ser una string base64 válida"),
-  contentType: z.string().min(1, "ContentType es requerido"),
-});
+/**
+ * Valida base64 estricto: Buffer.from() acepta cualquier string sin fallar,
+ * así que se revisan alfabeto, padding y largo (se permiten saltos de línea)
+ * @param {string} content
+ * @param {Object} ctx - Contexto de superRefine
+ */
+function checkBase64(content, ctx) {
+  if (/^data:[^,]*,/.test(content)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Content debe ser base64 sin el prefijo "data:...;base64,"',
+    });
+    return;
+  }
+  const compact = content.replace(/[\r\n]/g, "");
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(compact) || compact.length % 4 !== 0) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: "Content debe ser una string base64 válida",
+    });
+  }
+}
+
+// Esquema para attachments: contenido base64, archivo local (path) o URL.
+// Con content, filename y contentType son obligatorios; con path o url se
+// deducen del archivo si faltan.
+const attachmentSchema = z
+  .object({
+    filename: z.string().min(1, "Filename es requerido").optional(),
+    content: z
+      .string()
+      .min(1, "Content es requerido")
+      .superRefine(checkBase64)
+      .optional(),
+    path: z.string().min(1, "Path no puede estar vacío").optional(),
+    url: z.string().url("URL inválida").optional(),
+    contentType: z.string().min(1, "ContentType es requerido").optional(),
+    // Content-ID para imágenes inline (<img src="cid:...">)
+    cid: z
+      .string()
+      .regex(/^[^\s<>"]+$/, "CID inválido")
+      .optional(),
+  })
+  .superRefine((attachment, ctx) => {
+    const sources = ["content", "path", "url"].filter((key) => attachment[key]);
+    if (sources.length !== 1) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Cada adjunto debe tener uno de content, path o url",
+        path: ["content"],
+      });
+    }
+    if (attachment.content && !attachment.filename) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "Filename es requerido",
+        path: ["filename"],
+      });
+    }
+    if (attachment.content && !attachment.contentType) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: "ContentType es requerido",
+        path: ["contentType"],
+      });
+    }
+  });
+
+/**
+ * Content-IDs referenciados en el html (src="cid:...") sin adjunto que los tenga
+ * @param {Object} data - Body de /send
+ * @returns {string[]}
+ */
+function missingCids(data) {
+  const available = new Set((data.attachments || []).map((a) => a.cid));
+  const referenced = [...(data.html || "").matchAll(/cid:([^"'\s>)]+)/gi)].map(
+    (match) => match[1]
+  );
+  return [...new Set(referenced)].filter((cid) => !available.has(cid));
+}
+
+// Esquema para uno o varios emails (cc, bcc, replyTo)
+const emailListSchema = z.union([
+  emailSchema,
+  z.array(emailSchema).min(1, "Debe proporcionar al menos un email"),
+]);
+
+// Esquema para un Message-ID ("<id@dominio>", los corchetes son opcionales)
+const messageIdSchema = z
+  .string()
+  .regex(/^<?[^<>\s@]+@[^<>\s@]+>?$/, "Message-ID inválido");
+
+// Headers que gestiona el relay y no se pueden sobrescribir
+const RESERVED_HEADERS = new Set([
+  "from",
+  "to",
+  "cc",
+  "bcc",
+  "reply-to",
+  "subject",
+  "date",
+  "message-id",
+  "in-reply-to",
+  "references",
+  "mime-version",
+  "content-type",
+  "content-transfer-encoding",
+  "sender",
+  "return-path",
+]);
+
+// Esquema para headers personalizados
+const headersSchema = z
+  .record(
+    z
+      .string()
+      .regex(/^[!-9;-~]+$/, "Nombre de header inválido")
+      .refine(
+        (name) => !RESERVED_HEADERS.has(name.toLowerCase()),
+        (name) => ({ message: `El header "${name}" no se puede sobrescribir` })
+      ),
+    z
+      .string()
+      .max(998, "El valor del header no puede exceder 998 caracteres")
+      .refine(
+        (value) => !/[\r\n]/.test(value),
+        "El valor del header no puede contener saltos de línea"
+      )
+  )
+  .refine(
+    (headers) => Object.keys(headers).length <= 50,
+    "No se pueden agregar más de 50 headers"
+  );
+
+// Esquema para envíos programados (ISO 8601 con zona horaria)
+const sendAtSchema = z
+  .string()
+  .datetime({
+    offset: true,
+    message: "sendAt debe ser una fecha ISO 8601 con zona horaria",
+  })
+  .refine(
+    (value) => !(Date.parse(value) > Date.now() + 366 * 86400000),
+    "sendAt no puede ser más de un año en el futuro"
+  );
+
+// Esquema para PATCH /scheduled/:id
+const rescheduleSchema = z
+  .object({
+    sendAt: sendAtSchema,
+  })
+  .strict();
+
+// Esquema para POST /suppressions
+const suppressionSchema = z
+  .object({
+    email: emailSchema,
+    reason: z
+      .enum(["bounce", "complaint", "unsubscribe", "manual"])
+      .default("manual"),
+    note: z.string().max(500).optional(),
+  })
+  .strict();
 
 // Esquema principal para el body del endpoint /send
 const sendEmailSchema = z
@@ -37,6 +183,24 @@ const sendEmailSchema = z
       }
     ),
 
+    cc: emailListSchema.optional(),
+
+    bcc: emailListSchema.optional(),
+
+    from: z.string().min(1, "From no puede estar vacío").optional(),
+
+    account: z.string().min(1, "Account no puede estar vacío").optional(),
+
+    replyTo: emailListSchema.optional(),
+
+    inReplyTo: messageIdSchema.optional(),
+
+    references: z
+      .union([messageIdSchema, z.array(messageIdSchema).min(1)])
+      .optional(),
+
+    headers: headersSchema.optional(),
+
     subject: z
       .string()
       .min(1, "Subject es requerido")
@@ -47,12 +211,99 @@ const sendEmailSchema = z
     html: z.string().optional(),
 
     attachments: z.array(attachmentSchema).optional(),
+
+    // Pasos del procesamiento del HTML para esta request (ver src/content.js)
+    processing: z
+      .object({
+        textFromHtml: z.boolean().optional(),
+        inlineCss: z.boolean().optional(),
+        sanitize: z.boolean().optional(),
+        warnings: z.boolean().optional(),
+      })
+      .strict(
+        "processing solo acepta textFromHtml, inlineCss, sanitize y warnings"
+      )
+      .optional(),
+
+    sendAt: sendAtSchema.optional(),
   })
   .refine((data) => data.text || data.html, {
     message: "Debe proporcionar al menos text o html",
     path: ["text", "html"],
+  })
+  .refine(
+    (data) => missingCids(data).length === 0,
+    (data) => ({
+      message: `Imágenes inline sin adjunto: ${missingCids(data)
+        .map((cid) => `cid:${cid}`)
+        .join(", ")}`,
+      path: ["html"],
+    })
+  );
+
+// Esquema para los filtros de GET /messages (query string)
+const messagesQuerySchema = z
+  .object({
+    recipient: z.string().min(1).optional(),
+    status: z
+      .enum(
+        [
+          "scheduled",
+          "cancelled",
+          "queued",
+          "sending",
+          "sent",
+          "partial",
+          "captured",
+          "failed",
+        ],
+        {
+          errorMap: () => ({
+            message:
+              "Status debe ser scheduled, cancelled, queued, sending, sent, partial, captured o failed",
+          }),
+        }
+      )
+      .optional(),
+    since: z.coerce
+      .date({ errorMap: () => ({ message: "Fecha since inválida" }) })
+      .optional(),
+    until: z.coerce
+      .date({ errorMap: () => ({ message: "Fecha until inválida" }) })
+      .optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(200).default(50),
+  })
+  .refine((data) => !data.since || !data.until || data.since <= data.until, {
+    message: "since debe ser anterior a until",
+    path: ["since"],
   });
 
+// Esquema para POST /send/template y su preview. El resto de campos
+// (to, cc, from, attachments...) se valida luego con sendEmailSchema.
+const templateRequestSchema = z
+  .object({
+    template: z
+      .string({ required_error: 'Campo "template" es requerido' })
+      .regex(/^[a-z0-9][a-z0-9_-]*$/i, "Nombre de plantilla inválido"),
+    data: z.record(z.unknown()).default({}),
+    locale: z
+      .string()
+      .regex(/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i, "Locale inválido")
+      .optional(),
+  })
+  .passthrough();
+
+// Destinatario de un lote con plantilla: to, variables propias y campos
+// opcionales del email (cc, replyTo, headers...) que sobrescriben los comunes
+const batchRecipientSchema = z
+  .object({
+    to: emailListSchema,
+    data: z.record(z.unknown()).default({}),
+    locale: templateRequestSchema.shape.locale,
+  })
+  .passthrough();
+
 /**
  * Valida los datos del body para el endpoint /send
  * @param {Object} data - Datos a validar
@@ -70,7 +321,106 @@ function validateSendEmail(data) {
   }
 }
 
+/**
+ * Valida los filtros de búsqueda del endpoint GET /messages
+ * @param {Object} query - Query string de la request
+ * @returns {Object} - Resultado de la validación
+ */
+function validateMessagesQuery(query) {
+  const result = messagesQuerySchema.safeParse(query);
+  return result.success
+    ? { success: true, data: result.data }
+    : { success: false, error: result.error.errors };
+}
+
+/**
+ * Valida el body de POST /send/template y separa los datos de la plantilla
+ * de los campos del email
+ * @param {Object} data - Body de la request
+ * @returns {Object} - Resultado con {template, data, locale, message}
+ */
+function validateTemplateRequest(data) {
+  const result = templateRequestSchema.safeParse(data);
+  if (!result.success) {
+    return { success: false, error: result.error.errors };
+  }
+  const { template, data: vars, locale, ...message } = result.data;
+  return {
+    success: true,
+    data: { template, data: vars, locale, message },
+  };
+}
+
+/**
+ * Valida la estructura de POST /send/batch. Cada email se valida luego
+ * individualmente con sendEmailSchema al procesarse.
+ * @param {Object} data - Body de la request
+ * @param {Object} options
+ * @param {number} options.maxItems - Máximo de emails por lote
+ * @returns {Object} - Resultado de la validación
+ */
+function validateBatchRequest(data, { maxItems }) {
+  const items = z
+    .array(z.any())
+    .min(1, "El lote debe tener al menos un email")
+    .max(maxItems, `El lote no puede tener más de ${maxItems} emails`);
+
+  const schema =
+    data && "messages" in data
+      ? z
+          .object({
+            messages: items.pipe(
+              z.array(
+                z
+                  .object(
+                    {},
+                    { invalid_type_error: "Cada mensaje debe ser un objeto" }
+                  )
+                  .passthrough()
+              )
+            ),
+          })
+          .strict()
+      : templateRequestSchema.extend({
+          recipients: items.pipe(z.array(batchRecipientSchema)),
+        });
+
+  const result = schema.safeParse(data);
+  return result.success
+    ? { success: true, data: result.data }
+    : { success: false, error: result.error.errors };
+}
+
+/**
+ * Valida el body de PATCH /scheduled/:id
+ * @param {Object} data - Body de la request
+ * @returns {Object} - Resultado de la validación
+ */
+function validateReschedule(data) {
+  const result = rescheduleSchema.safeParse(data);
+  return result.success
+    ? { success: true, data: result.data }
+    : { success: false, error: result.error.errors };
+}
+
+/**
+ * Valida el body de POST /suppressions
+ * @param {Object} data - Body de la request
+ * @returns {Object} - Resultado de la validación
+ */
+function validateSuppression(data) {
+  const result = suppressionSchema.safeParse(data);
+  return result.success
+    ? { success: true, data: result.data }
+    : { success: false, error: result.error.errors };
+}
+
 module.exports = {
   validateSendEmail,
+  validateReschedule,
+  validateSuppression,
+  validateMessagesQuery,
+  validateTemplateRequest,
+  validateBatchRequest,
   sendEmailSchema,
 };
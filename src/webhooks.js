@@ -0,0 +1,276 @@
+/**
+ * Webhooks salientes con los eventos de entrega
+ *
+ * Las suscripciones se configuran con WEBHOOKS o WEBHOOKS_FILE (JSON con
+ * id, url, secret y eventos). Cada evento se guarda como una entrega en la
+ * cola persistente (DATA_DIR/webhooks) y se envía por POST con el cuerpo
+ * firmado con HMAC-SHA256. Las respuestas 408, 429, 5xx y los errores de red
+ * se reintentan con backoff exponencial; el resto de los 4xx no. Las entregas
+ * quedan registradas (estado, intentos, última respuesta) y se pueden
+ * reenviar a mano.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const { z } = require("zod");
+const { createQueue } = require("./queue");
+
+const EVENTS = [
+  "sent",
+  "failed",
+  "sent_copy_saved",
+  "sent_copy_failed",
+  "bounced",
+];
+
+// Esquema de cada suscripción
+const subscriptionSchema = z.object({
+  id: z.string().min(1, "Id es requerido"),
+  url: z.string().url("URL inválida"),
+  secret: z.string().min(16, "El secret debe tener al menos 16 caracteres"),
+  events: z
+    .array(z.enum([...EVENTS, "*"]))
+    .min(1)
+    .default(["*"]),
+  // Solo eventos de estos clientes (API key o usuario del listener)
+  clients: z.array(z.string().min(1)).optional(),
+});
+
+const subscriptionsSchema = z.array(subscriptionSchema);
+
+/**
+ * Carga y valida las suscripciones de webhooks
+ * @param {Object} [options]
+ * @param {string} [options.file] - Ruta a un archivo JSON con las suscripciones
+ * @param {string} [options.json] - JSON inline con las suscripciones
+ * @returns {Array<Object>} - Suscripciones validadas (vacío si no hay configuración)
+ */
+function loadWebhooks({
+  file = process.env.WEBHOOKS_FILE,
+  json = process.env.WEBHOOKS,
+} = {}) {
+  let raw;
+  if (file) {
+    raw = fs.readFileSync(file, "utf8");
+  } else if (json) {
+    raw = json;
+  } else {
+    return [];
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(
+      `Configuración de webhooks no es JSON válido: ${error.message}`
+    );
+  }
+
+  const result = subscriptionsSchema.safeParse(parsed);
+  if (!result.success) {
+    const details = result.error.errors
+      .map((e) => `${e.path.join(".")}: ${e.message}`)
+      .join("; ");
+    throw new Error(`Configuración de webhooks inválida: ${details}`);
+  }
+
+  const ids = new Set();
+  for (const entry of result.data) {
+    if (ids.has(entry.id)) {
+      throw new Error(`Webhook duplicado: "${entry.id}"`);
+    }
+    ids.add(entry.id);
+  }
+
+  return result.data;
+}
+
+/**
+ * Firma un cuerpo de webhook: HMAC-SHA256 de "<timestamp>.<body>"
+ * @param {string} secret - Secret de la suscripción
+ * @param {string|number} timestamp - Segundos Unix enviados en X-Webhook-Timestamp
+ * @param {string} body - Cuerpo JSON tal como se envía
+ * @returns {string} - Firma en hex
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Determina si vale la pena reintentar una entrega fallida
+ * @param {Error} error - Error con responseCode = status HTTP (si hubo respuesta)
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  const status = Number(error?.responseCode);
+  if (!status) {
+    return true; // red, DNS o timeout
+  }
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Crea el despachador de webhooks
+ * @param {Object} params
+ * @param {Array<Object>} params.subscriptions - Resultado de loadWebhooks
+ * @param {Object} params.logger - Logger pino
+ * @param {Object} [params.options] - Configuración (por defecto desde env)
+ * @returns {Object} - API de los webhooks
+ */
+function createWebhooks({
+  subscriptions,
+  logger,
+  options: {
+    timeoutMs = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    ...queueOptions
+  } = {},
+}) {
+  const byId = new Map(subscriptions.map((s) => [s.id, s]));
+
+  /**
+   * Envía una entrega por HTTP
+   * @param {Object} payload - { subscriptionId, url, event }
+   * @param {Object} job - Job de la cola (su id es el id de la entrega)
+   * @returns {Promise<{status: number, durationMs: number}>}
+   */
+  async function deliver(payload, job) {
+    const subscription = byId.get(payload.subscriptionId);
+    if (!subscription) {
+      const error = new Error(
+        `La suscripción "${payload.subscriptionId}" ya no existe`
+      );
+      error.responseCode = 410;
+      throw error;
+    }
+
+    const body = JSON.stringify(payload.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+
+    let response;
+    try {
+      response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "ionos-smtp-relay-webhooks",
+          "X-Webhook-Id": job.id,
+          "X-Webhook-Event": payload.event.type,
+          "X-Webhook-Timestamp": String(timestamp),
+          "X-Webhook-Signature": `sha256=${signPayload(
+            subscription.secret,
+            timestamp,
+            body
+          )}`,
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      // fetch envuelve el error real (ECONNREFUSED, ENOTFOUND...) en cause
+      const wrapped = new Error(error.cause?.message || error.message);
+      wrapped.code = error.cause?.code || error.name;
+      throw wrapped;
+    }
+
+    const durationMs = Date.now() - started;
+    if (!response.ok) {
+      const text = (await response.text().catch(() => "")).slice(0, 500);
+      const error = new Error(
+        `HTTP ${response.status}${text ? `: ${text}` : ""}`
+      );
+      error.responseCode = response.status;
+      throw error;
+    }
+    return { status: response.status, durationMs };
+  }
+
+  const queue = createQueue({
+    logger,
+    name: "webhooks",
+    deliver,
+    isTransient: isRetryable,
+    summarize: (result) => result,
+    options: {
+      maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+      baseMs: Number(process.env.WEBHOOK_BACKOFF_MS) || 10000,
+      maxMs: Number(process.env.WEBHOOK_MAX_BACKOFF_MS) || 3600000,
+      retentionMs: Number(process.env.WEBHOOK_RETENTION_MS) || 7 * 86400000,
+      ...queueOptions,
+    },
+  });
+
+  /**
+   * Emite un evento a las suscripciones interesadas
+   * @param {string} type - Uno de EVENTS
+   * @param {Object} data - Datos del evento (incluye messageId)
+   * @param {Object} [meta]
+   * @param {string} [meta.client] - Cliente dueño del envío
+   * @returns {Object[]} - Entregas encoladas
+   */
+  function emit(type, data, { client } = {}) {
+    const targets = subscriptions.filter(
+      (s) =>
+        (s.events.includes("*") || s.events.includes(type)) &&
+        (!s.clients || s.clients.includes(client))
+    );
+    if (targets.length === 0) {
+      return [];
+    }
+
+    // El mismo id de evento en todas las entregas (y en los reenvíos)
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      createdAt: new Date().toISOString(),
+      data,
+    };
+    return targets.map((s) =>
+      queue.enqueue(
+        { subscriptionId: s.id, url: s.url, event },
+        { client, messageId: data.messageId }
+      )
+    );
+  }
+
+  /**
+   * Vuelve a enviar una entrega ya terminada (entregada o fallida)
+   * @param {string} id - Id de la entrega
+   * @returns {Object|undefined} - Nueva entrega
+   */
+  function replay(id) {
+    const job = queue.get(id);
+    if (!job || (job.status !== "sent" && job.status !== "dead")) {
+      return undefined;
+    }
+    logger.info(
+      { deliveryId: id, eventId: job.payload.event.id },
+      "[WEBHOOKS] Entrega reenviada"
+    );
+    return queue.enqueue(job.payload, {
+      client: job.client,
+      messageId: job.messageId,
+    });
+  }
+
+  return {
+    emit,
+    replay,
+    start: queue.start,
+    stop: queue.stop,
+    get: queue.get,
+    list: queue.list,
+    stats: queue.stats,
+    subscriptions: subscriptions.map(({ secret: _secret, ...s }) => s),
+  };
+}
+
+module.exports = {
+  loadWebhooks,
+  createWebhooks,
+  signPayload,
+};
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeSmtp } = require("./helpers/fake-smtp");
+const { startApp } = require("./helpers/app");
+
+describe("createApp", () => {
+  let smtp;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+  });
+
+  after(async () => {
+    await smtp.close();
+  });
+
+  it("stop() detiene todos los timers periódicos", async () => {
+    // Intervalos creados y todavía no cancelados
+    const active = new Set();
+    const { setInterval: set, clearInterval: clear } = global;
+    global.setInterval = (...args) => {
+      const timer = set(...args);
+      active.add(timer);
+      return timer;
+    };
+    global.clearInterval = (timer) => {
+      active.delete(timer);
+      return clear(timer);
+    };
+
+    try {
+      const relay = await startApp({
+        SMTP_PORT: String(smtp.port),
+        QUEUE_MODE: "true",
+      });
+      assert.ok(active.size > 0);
+      const { status } = await relay.request("/health");
+      assert.equal(status, 200);
+      await relay.close();
+      assert.equal(active.size, 0);
+    } finally {
+      global.setInterval = set;
+      global.clearInterval = clear;
+    }
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { startFakeSmtp } = require("./helpers/fake-smtp");
+const { startApp } = require("./helpers/app");
+
+describe("adjuntos por URL en POST /send", () => {
+  let smtp;
+  let files;
+  let relay;
+  let base;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    files = http.createServer((req, res) => {
+      if (req.url === "/redireccion-invalida") {
+        res.writeHead(302, { Location: "http://[::1" });
+        return res.end();
+      }
+      if (req.url === "/lento.pdf") {
+        // Manda una parte del body y no termina nunca
+        res.writeHead(200, { "Content-Type": "application/pdf" });
+        return res.write("%PDF-1.4");
+      }
+      res.writeHead(200, { "Content-Type": "application/pdf" });
+      res.end("%PDF-1.4 contenido");
+    });
+    await new Promise((resolve) => files.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${files.address().port}`;
+    relay = await startApp({
+      SMTP_PORT: String(smtp.port),
+      ATTACHMENT_URL_HOSTS: "127.0.0.1",
+      ATTACHMENT_FETCH_TIMEOUT_MS: "300",
+    });
+  });
+
+  after(async () => {
+    await relay.close();
+    files.closeAllConnections();
+    await new Promise((resolve) => files.close(resolve));
+    await smtp.close();
+  });
+
+  const send = (url) =>
+    relay.request("/send", {
+      body: {
+        to: "alumno@domain.com",
+        subject: "Reglamento",
+        text: "Adjunto",
+        attachments: [{ url }],
+      },
+    });
+
+  it("descarga el adjunto y toma el nombre de la URL", async () => {
+    const { status } = await send(`${base}/reglamento%20torneo.pdf`);
+    assert.equal(status, 200);
+    assert.match(smtp.messages.at(-1).raw, /reglamento torneo\.pdf/);
+  });
+
+  it("responde 422 si el nombre tiene un escape inválido", async () => {
+    const { status, body } = await send(`${base}/reglamento%E0%A4%A.pdf`);
+    assert.equal(status, 422);
+    assert.match(body.details[0], /Nombre de archivo inválido/);
+  });
+
+  it("responde 422 ante una redirección inválida", async () => {
+    const { status, body } = await send(`${base}/redireccion-invalida`);
+    assert.equal(status, 422);
+    assert.match(body.details[0], /Redirección inválida/);
+  });
+
+  it("responde 422 si la descarga se corta a mitad del body", async () => {
+    const { status, body } = await send(`${base}/lento.pdf`);
+    assert.equal(status, 422);
+    assert.match(body.details[0], /No se pudo descargar/);
+  });
+});
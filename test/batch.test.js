@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const pino = require("pino");
+const { createBatchRunner } = require("../src/batch");
+
+/**
+ * Espera hasta que se cumpla la condición (o falla a los 2 s)
+ * @param {Function} condition
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition) {
+  const deadline = Date.now() + 2000;
+  while (!condition()) {
+    assert.ok(Date.now() < deadline, "Tiempo de espera agotado");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("lotes con la cuota de la cuenta agotada", () => {
+  const previous = process.env.DATA_DIR;
+  let dataDir;
+  let batches;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-test-"));
+    process.env.DATA_DIR = dataDir;
+    batches = createBatchRunner({
+      logger: pino({ level: "silent" }),
+      prepare: (request, index) => request.messages[index],
+      // Los destinatarios "diaria*" agotan la cuota por una hora
+      submit: async (payload) =>
+        payload.to.startsWith("diaria")
+          ? { status: 429, retryAfter: 3600, body: { error: "Cuota" } }
+          : { status: 200, body: { messageId: `<${payload.to}>` } },
+      intervalMs: 1,
+      maxRetryWaitMs: 1000,
+    });
+  });
+
+  after(() => {
+    batches.stop();
+    if (previous === undefined) {
+      delete process.env.DATA_DIR;
+    } else {
+      process.env.DATA_DIR = previous;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("difiere el lote y sigue con los siguientes", async () => {
+    const blocked = batches.create(
+      { messages: [{ to: "diaria@domain.com" }] },
+      { reqId: "req-1" }
+    );
+    const next = batches.create(
+      { messages: [{ to: "ana@domain.com" }] },
+      { reqId: "req-2" }
+    );
+
+    await waitFor(() => batches.get(next.id).status === "completed");
+    const deferred = batches.get(blocked.id);
+    assert.equal(deferred.status, "deferred");
+    assert.equal(deferred.items[0].status, "pending");
+    assert.ok(Date.parse(deferred.resumeAt) > Date.now());
+  });
+});
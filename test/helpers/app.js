@@ -0,0 +1,95 @@
+/**
+ * App del relay para los tests de integración
+ *
+ * Cada caso arma su app con createApp, un entorno propio (las variables se
+ * restauran al cerrar) y un DATA_DIR temporal, y la hace escuchar en un puerto
+ * libre con start().
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const pino = require("pino");
+const { createApp } = require("../../src/app");
+
+// El servidor SMTP de prueba usa el certificado autofirmado de smtp-server
+process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
+
+/**
+ * Arranca una app con la configuración indicada
+ * @param {Object} env - Variables de entorno del caso (SMTP_PORT, API_KEYS...)
+ * @returns {Promise<{url: string, request: Function, close: Function}>}
+ */
+async function startApp(env) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-test-"));
+  const values = {
+    NODE_ENV: "test",
+    DATA_DIR: dataDir,
+    SMTP_HOST: "127.0.0.1",
+    SMTP_USER: "noreply@piensaajedrez.com",
+    SMTP_PASS: "secret",
+    FROM_EMAIL: "No Reply <noreply@piensaajedrez.com>",
+    ...env,
+  };
+  const previous = Object.fromEntries(
+    Object.keys(values).map((key) => [key, process.env[key]])
+  );
+  const restore = () => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  };
+  Object.assign(process.env, values);
+
+  let relay;
+  try {
+    relay = createApp({ logger: pino({ level: "silent" }) });
+    const server = await relay.start({ port: 0 });
+    const url = `http://127.0.0.1:${server.address().port}`;
+    return {
+      url,
+      /**
+       * Hace una request JSON a la app
+       * @param {string} route - Path ("/send")
+       * @param {Object} [options] - method, body (objeto o string) y headers
+       * @returns {Promise<{status: number, headers: Headers, body: *}>}
+       */
+      async request(route, { method, body, headers } = {}) {
+        const response = await fetch(`${url}${route}`, {
+          method: method || (body === undefined ? "GET" : "POST"),
+          headers: { "Content-Type": "application/json", ...headers },
+          body: typeof body === "string" ? body : JSON.stringify(body),
+        });
+        const text = await response.text();
+        let parsed = text;
+        try {
+          parsed = JSON.parse(text);
+        } catch {
+          // Respuesta sin JSON (métricas, .eml...)
+        }
+        return {
+          status: response.status,
+          headers: response.headers,
+          body: parsed,
+        };
+      },
+      async close() {
+        await relay.stop();
+        restore();
+      },
+    };
+  } catch (error) {
+    await relay?.stop();
+    restore();
+    throw error;
+  }
+}
+
+module.exports = {
+  startApp,
+};
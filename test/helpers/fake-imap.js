@@ -0,0 +1,173 @@
+/**
+ * Servidor IMAP de prueba en proceso
+ *
+ * Implementa lo que usan imapflow y src/imap.js: CAPABILITY, LOGIN, LIST,
+ * LSUB, CREATE, APPEND (con literales) y LOGOUT. Las carpetas, sus flags de
+ * SPECIAL-USE y los fallos (CREATE o APPEND rechazados) se configuran por
+ * servidor para recorrer el descubrimiento de la carpeta de enviados.
+ */
+
+const net = require("net");
+
+const CAPABILITIES = "IMAP4rev1 LITERAL+ UIDPLUS";
+
+/**
+ * Arranca el servidor en un puerto libre
+ * @param {Object} [options]
+ * @param {Array<{path: string, flags?: string[]}>} [options.mailboxes] - Carpetas existentes
+ * @param {string} [options.delimiter] - Delimitador de jerarquía
+ * @param {string[]} [options.failCreate] - Carpetas que no se pueden crear
+ * @param {number} [options.failAppends] - Cantidad de APPEND que se rechazan
+ * @returns {Promise<{port: number, appends: Object[], created: string[], mailboxes: Object[], close: Function}>}
+ */
+async function startFakeImap({
+  mailboxes = [{ path: "INBOX" }],
+  delimiter = "/",
+  failCreate = [],
+  failAppends = 0,
+} = {}) {
+  const boxes = mailboxes.map((box) => ({ flags: [], ...box }));
+  const appends = [];
+  const created = [];
+  const sockets = new Set();
+  let appendFailures = failAppends;
+  let uid = 1;
+
+  const quote = (value) => `"${value.replace(/(["\\])/g, "\\$1")}"`;
+
+  // Primer argumento de un comando: "entre comillas" o átomo
+  const firstArg = (args) => {
+    const match = /^"((?:[^"\\]|\\.)*)"|^(\S+)/.exec(args);
+    return match ? (match[1] ?? match[2]).replace(/\\(.)/g, "$1") : "";
+  };
+
+  /**
+   * Responde un comando completo
+   * @param {net.Socket} socket
+   * @param {string} tag
+   * @param {string} command - En mayúsculas
+   * @param {string} args
+   * @param {Buffer} [literal] - Contenido del APPEND
+   */
+  function handle(socket, tag, command, args, literal) {
+    switch (command) {
+      case "CAPABILITY":
+        socket.write(`* CAPABILITY ${CAPABILITIES}\r\n${tag} OK done\r\n`);
+        break;
+      case "LOGIN":
+        socket.write(`${tag} OK [CAPABILITY ${CAPABILITIES}] logged in\r\n`);
+        break;
+      case "LIST":
+      case "LSUB":
+        if (/""\s+""$/.test(args)) {
+          socket.write(`* ${command} (\\Noselect) "${delimiter}" ""\r\n`);
+        } else {
+          for (const box of boxes) {
+            socket.write(
+              `* ${command} (\\HasNoChildren${box.flags.map((f) => ` ${f}`).join("")}) "${delimiter}" ${quote(box.path)}\r\n`
+            );
+          }
+        }
+        socket.write(`${tag} OK done\r\n`);
+        break;
+      case "CREATE": {
+        const path = firstArg(args);
+        if (failCreate.includes(path)) {
+          socket.write(`${tag} NO [CANNOT] No se puede crear ${path}\r\n`);
+          break;
+        }
+        boxes.push({ path, flags: [] });
+        created.push(path);
+        socket.write(`${tag} OK created\r\n`);
+        break;
+      }
+      case "APPEND": {
+        const path = firstArg(args);
+        if (!boxes.some((box) => box.path === path)) {
+          socket.write(`${tag} NO [TRYCREATE] Mailbox doesn't exist\r\n`);
+          break;
+        }
+        if (appendFailures > 0) {
+          appendFailures--;
+          socket.write(`${tag} NO [SERVERBUG] Append failed\r\n`);
+          break;
+        }
+        const flags = /\(([^)]*)\)/.exec(args)?.[1].split(" ") || [];
+        appends.push({ mailbox: path, flags, raw: literal.toString() });
+        socket.write(`${tag} OK [APPENDUID 1 ${uid++}] appended\r\n`);
+        break;
+      }
+      case "LOGOUT":
+        socket.write(`* BYE logging out\r\n${tag} OK done\r\n`);
+        socket.end();
+        break;
+      default:
+        socket.write(`${tag} OK done\r\n`);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on("error", () => {});
+    socket.write("* OK fake IMAP ready\r\n");
+
+    let buffer = Buffer.alloc(0);
+    // APPEND esperando su literal: { tag, args, size }
+    let pending = null;
+
+    socket.on("data", (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      for (;;) {
+        if (pending) {
+          // El literal va seguido del CRLF que cierra el comando
+          if (buffer.length < pending.size + 2) {
+            return;
+          }
+          const literal = buffer.subarray(0, pending.size);
+          buffer = buffer.subarray(pending.size + 2);
+          handle(socket, pending.tag, "APPEND", pending.args, literal);
+          pending = null;
+          continue;
+        }
+        const end = buffer.indexOf("\r\n");
+        if (end < 0) {
+          return;
+        }
+        const line = buffer.subarray(0, end).toString();
+        buffer = buffer.subarray(end + 2);
+
+        const [, tag, command, args = ""] =
+          /^(\S+) (\S+)(?: (.*))?$/.exec(line) || [];
+        if (!tag) {
+          continue;
+        }
+        const literal = /\{(\d+)(\+?)\}$/.exec(args);
+        if (literal) {
+          pending = { tag, args, size: Number(literal[1]) };
+          if (!literal[2]) {
+            socket.write("+ go ahead\r\n");
+          }
+          continue;
+        }
+        handle(socket, tag, command.toUpperCase(), args);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.address().port,
+    appends,
+    created,
+    mailboxes: boxes,
+    close: () => {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  startFakeImap,
+};
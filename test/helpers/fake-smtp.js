@@ -0,0 +1,96 @@
+/**
+ * Servidor SMTP de prueba en proceso (smtp-server)
+ *
+ * Acepta cualquier usuario salvo la contraseña "bad-password" y responde según
+ * la dirección, para provocar cada tipo de error de IONOS:
+ * - usuario "quota*": MAIL FROM 452 4.7.0 (cuota de la cuenta)
+ * - remitente "blocked*": MAIL FROM 550 5.7.1
+ * - destinatario "reject*": RCPT TO 550 5.1.1 / "temp*": RCPT TO 452 4.2.2
+ * - destinatario "flaky*": RCPT TO 451 4.3.0 la primera vez, después acepta
+ * - destinatario "spam*": DATA 554 5.7.1
+ */
+
+const { SMTPServer } = require("smtp-server");
+
+/**
+ * Error de respuesta SMTP para los callbacks de smtp-server
+ * @param {number} responseCode
+ * @param {string} message - Texto con el código extendido ("5.1.1 User unknown")
+ * @returns {Error}
+ */
+function reply(responseCode, message) {
+  return Object.assign(new Error(message), { responseCode });
+}
+
+/**
+ * Arranca el servidor en un puerto libre
+ * @returns {Promise<{port: number, messages: Object[], close: Function}>}
+ */
+async function startFakeSmtp() {
+  const messages = [];
+  // Destinatarios "flaky*" que ya fallaron una vez
+  const failedOnce = new Set();
+  const server = new SMTPServer({
+    authOptional: true,
+    logger: false,
+    onAuth(auth, session, callback) {
+      if (auth.password === "bad-password") {
+        return callback(reply(535, "5.7.8 Authentication credentials invalid"));
+      }
+      callback(null, { user: auth.username });
+    },
+    onMailFrom(address, session, callback) {
+      if (String(session.user).startsWith("quota")) {
+        return callback(reply(452, "4.7.0 Sending quota exceeded"));
+      }
+      if (address.address.startsWith("blocked")) {
+        return callback(reply(550, "5.7.1 Sender address rejected"));
+      }
+      callback();
+    },
+    onRcptTo(address, session, callback) {
+      if (address.address.startsWith("reject")) {
+        return callback(reply(550, "5.1.1 User unknown"));
+      }
+      if (address.address.startsWith("temp")) {
+        return callback(reply(452, "4.2.2 Mailbox full"));
+      }
+      if (
+        address.address.startsWith("flaky") &&
+        !failedOnce.has(address.address)
+      ) {
+        failedOnce.add(address.address);
+        return callback(reply(451, "4.3.0 Temporary system problem"));
+      }
+      callback();
+    },
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("end", () => {
+        const to = session.envelope.rcptTo.map((r) => r.address);
+        if (to.some((address) => address.startsWith("spam"))) {
+          return callback(reply(554, "5.7.1 Message rejected as spam"));
+        }
+        messages.push({
+          user: session.user,
+          from: session.envelope.mailFrom.address,
+          to,
+          raw: Buffer.concat(chunks).toString(),
+        });
+        callback();
+      });
+    },
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    port: server.server.address().port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startFakeSmtp,
+};
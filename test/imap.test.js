@@ -0,0 +1,289 @@
+const { describe, it, before, after, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const pino = require("pino");
+const { appendToSent, createImapClient } = require("../src/imap");
+const { startFakeImap } = require("./helpers/fake-imap");
+const { startFakeSmtp } = require("./helpers/fake-smtp");
+const { startApp } = require("./helpers/app");
+
+const logger = pino({ level: "silent" });
+const raw = Buffer.from(
+  "From: noreply@piensaajedrez.com\r\n" +
+    "To: alumno@domain.com\r\n" +
+    "Subject: Hola\r\n" +
+    "\r\n" +
+    "Texto\r\n"
+);
+
+/**
+ * Ejecuta una función sin credenciales IMAP ni SMTP en el entorno
+ * @param {Function} fn - async () => void
+ */
+async function withoutCredentials(fn) {
+  const keys = ["IMAP_USER", "IMAP_PASS", "SMTP_USER", "SMTP_PASS"];
+  const saved = keys.map((key) => process.env[key]);
+  keys.forEach((key) => delete process.env[key]);
+  try {
+    await fn();
+  } finally {
+    keys.forEach((key, i) => {
+      if (saved[i] !== undefined) {
+        process.env[key] = saved[i];
+      }
+    });
+  }
+}
+
+describe("appendToSent", () => {
+  const previous = {
+    SAVE_SENT_COPY: process.env.SAVE_SENT_COPY,
+    IMAP_USER: process.env.IMAP_USER,
+    IMAP_PASS: process.env.IMAP_PASS,
+  };
+  const opened = [];
+
+  before(() => {
+    Object.assign(process.env, {
+      SAVE_SENT_COPY: "true",
+      IMAP_USER: "noreply@piensaajedrez.com",
+      IMAP_PASS: "secret",
+    });
+  });
+
+  after(() => {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  });
+
+  afterEach(async () => {
+    for (const { client, imap } of opened.splice(0)) {
+      await client.close();
+      await imap.close();
+    }
+  });
+
+  /**
+   * Servidor IMAP de prueba y un cliente conectado a él
+   * @param {Object} [options] - Opciones de startFakeImap
+   * @param {string} [mailbox] - IMAP_MAILBOX del cliente
+   * @returns {Promise<{imap: Object, client: Object}>}
+   */
+  async function setup(options, mailbox) {
+    const imap = await startFakeImap(options);
+    const client = createImapClient({
+      logger,
+      config: {
+        host: "127.0.0.1",
+        port: imap.port,
+        secure: false,
+        user: "noreply@piensaajedrez.com",
+        pass: "secret",
+        mailbox,
+      },
+    });
+    opened.push({ imap, client });
+    return { imap, client };
+  }
+
+  it("usa la carpeta marcada \\Sent por SPECIAL-USE", async () => {
+    const { imap, client } = await setup({
+      mailboxes: [
+        { path: "INBOX" },
+        { path: "Sent" },
+        { path: "Correo saliente", flags: ["\\Sent"] },
+      ],
+    });
+
+    const result = await appendToSent({ raw, logger, client });
+    assert.deepEqual(result, { status: "saved", mailbox: "Correo saliente" });
+    assert.equal(imap.appends.length, 1);
+    assert.equal(imap.appends[0].mailbox, "Correo saliente");
+    assert.deepEqual(imap.appends[0].flags, ["\\Seen"]);
+    assert.equal(imap.appends[0].raw, raw.toString());
+  });
+
+  it("busca por nombre común si no hay SPECIAL-USE", async () => {
+    const { imap, client } = await setup({
+      mailboxes: [{ path: "INBOX" }, { path: "Sent Items" }],
+    });
+
+    const result = await appendToSent({ raw, logger, client });
+    assert.equal(result.mailbox, "Sent Items");
+    assert.deepEqual(imap.created, []);
+  });
+
+  it("busca dentro de INBOX con el delimitador del servidor", async () => {
+    const { client } = await setup({
+      mailboxes: [{ path: "INBOX" }, { path: "INBOX.Enviados" }],
+      delimiter: ".",
+    });
+
+    const result = await appendToSent({ raw, logger, client });
+    assert.equal(result.mailbox, "INBOX.Enviados");
+    assert.equal(client.getMailbox().delimiter, ".");
+  });
+
+  it("crea INBOX/Sent si no encuentra la carpeta", async () => {
+    const { imap, client } = await setup();
+
+    const result = await appendToSent({ raw, logger, client });
+    assert.equal(result.mailbox, "INBOX/Sent");
+    assert.deepEqual(imap.created, ["INBOX/Sent"]);
+    assert.equal(client.getMailbox().created, true);
+  });
+
+  it("crea Sent en la raíz si no puede crear INBOX/Sent", async () => {
+    const { imap, client } = await setup({ failCreate: ["INBOX/Sent"] });
+
+    const result = await appendToSent({ raw, logger, client });
+    assert.equal(result.mailbox, "Sent");
+    assert.deepEqual(imap.created, ["Sent"]);
+  });
+
+  it("falla si no puede crear ninguna carpeta", async () => {
+    const { imap, client } = await setup({
+      failCreate: ["INBOX/Sent", "Sent"],
+    });
+
+    const result = await appendToSent({ raw, logger, client });
+    assert.equal(result.status, "failed");
+    assert.match(result.error, /No pude crear ni encontrar/);
+    assert.equal(imap.appends.length, 0);
+  });
+
+  it("usa IMAP_MAILBOX cuando existe", async () => {
+    const { client } = await setup(
+      {
+        mailboxes: [
+          { path: "INBOX" },
+          { path: "Sent", flags: ["\\Sent"] },
+          { path: "Relay" },
+        ],
+      },
+      "Relay"
+    );
+
+    const result = await appendToSent({ raw, logger, client });
+    assert.equal(result.mailbox, "Relay");
+  });
+
+  it("descubre la carpeta si IMAP_MAILBOX no existe", async () => {
+    const { client } = await setup(
+      { mailboxes: [{ path: "INBOX" }, { path: "Sent", flags: ["\\Sent"] }] },
+      "No existe"
+    );
+
+    const result = await appendToSent({ raw, logger, client });
+    assert.equal(result.mailbox, "Sent");
+  });
+
+  it("informa el rechazo del APPEND y vuelve a resolver la carpeta", async () => {
+    const { imap, client } = await setup({
+      mailboxes: [{ path: "INBOX" }, { path: "Sent", flags: ["\\Sent"] }],
+      failAppends: 1,
+    });
+
+    const failed = await appendToSent({ raw, logger, client });
+    assert.equal(failed.status, "failed");
+    assert.match(failed.error, /Append failed/);
+    assert.equal(client.getMailbox(), null);
+
+    const saved = await appendToSent({ raw, logger, client });
+    assert.deepEqual(saved, { status: "saved", mailbox: "Sent" });
+    assert.equal(imap.appends.length, 1);
+  });
+
+  it("usa las credenciales del cliente de la cuenta sin IMAP_* ni SMTP_*", async () => {
+    const { imap, client } = await setup({
+      mailboxes: [{ path: "INBOX" }, { path: "Sent", flags: ["\\Sent"] }],
+    });
+    await withoutCredentials(async () => {
+      const result = await appendToSent({ raw, logger, client });
+      assert.deepEqual(result, { status: "saved", mailbox: "Sent" });
+      assert.equal(imap.appends.length, 1);
+    });
+  });
+
+  it("omite la copia sin credenciales si no hay cliente de cuenta", async () => {
+    await withoutCredentials(async () => {
+      const result = await appendToSent({ raw, logger });
+      assert.deepEqual(result, {
+        status: "skipped",
+        error: "Credenciales IMAP ausentes",
+      });
+    });
+  });
+
+  it("no hace nada sin SAVE_SENT_COPY=true", async () => {
+    const { imap, client } = await setup();
+    process.env.SAVE_SENT_COPY = "false";
+    try {
+      const result = await appendToSent({ raw, logger, client });
+      assert.equal(result.status, "skipped");
+      assert.equal(client.isConnected(), false);
+      assert.equal(imap.appends.length, 0);
+    } finally {
+      process.env.SAVE_SENT_COPY = "true";
+    }
+  });
+});
+
+describe("copia en Enviados desde POST /send", () => {
+  let smtp;
+  let imap;
+  let relay;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    imap = await startFakeImap({
+      mailboxes: [{ path: "INBOX" }, { path: "Sent", flags: ["\\Sent"] }],
+    });
+    relay = await startApp({
+      SMTP_PORT: String(smtp.port),
+      SAVE_SENT_COPY: "true",
+      IMAP_HOST: "127.0.0.1",
+      IMAP_PORT: String(imap.port),
+      IMAP_SECURE: "false",
+    });
+  });
+
+  after(async () => {
+    await relay.close();
+    await imap.close();
+    await smtp.close();
+  });
+
+  it("guarda los mismos bytes que se enviaron por SMTP", async () => {
+    const { status, body } = await relay.request("/send", {
+      body: {
+        to: "alumno@domain.com",
+        bcc: "oculto@domain.com",
+        subject: "Inscripción confirmada",
+        html: "<p>Hola</p>",
+      },
+    });
+    assert.equal(status, 200);
+
+    // La copia se guarda en segundo plano
+    const id = encodeURIComponent(body.messageId);
+    let record;
+    for (let i = 0; i < 50; i++) {
+      record = (await relay.request(`/messages/${id}`)).body;
+      if (record.sentCopy) {
+        break;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.equal(record.sentCopy?.status, "saved");
+    assert.equal(record.sentCopy.mailbox, "Sent");
+
+    assert.equal(imap.appends.length, 1);
+    assert.equal(imap.appends[0].raw, smtp.messages[0].raw);
+    assert.doesNotMatch(imap.appends[0].raw, /oculto@domain\.com/);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { compileMessage } = require("../src/mime");
+
+/**
+ * Separa encabezados y cuerpo de un mensaje compilado
+ * @param {Buffer} raw
+ * @returns {{headers: string, body: string}}
+ */
+function split(raw) {
+  const text = raw.toString();
+  const end = text.indexOf("\r\n\r\n");
+  return { headers: text.slice(0, end), body: text.slice(end + 4) };
+}
+
+describe("compileMessage", () => {
+  const base = {
+    messageId: "<abc-123@piensaajedrez.com>",
+    from: "No Reply <noreply@piensaajedrez.com>",
+    to: ["alumno@domain.com"],
+    subject: "Hola",
+    text: "Texto plano",
+  };
+
+  it("arma los encabezados principales", async () => {
+    const { raw, messageId } = await compileMessage({
+      ...base,
+      cc: "copia@domain.com",
+      replyTo: "soporte@piensaajedrez.com",
+      inReplyTo: "<previo@domain.com>",
+      references: ["<previo@domain.com>"],
+      headers: { "X-Campaign": "torneo-2024" },
+    });
+    const { headers } = split(raw);
+
+    assert.equal(messageId, "<abc-123@piensaajedrez.com>");
+    assert.match(headers, /^Message-ID: <abc-123@piensaajedrez\.com>$/m);
+    assert.match(headers, /^From: No Reply <noreply@piensaajedrez\.com>$/m);
+    assert.match(headers, /^To: alumno@domain\.com$/m);
+    assert.match(headers, /^Cc: copia@domain\.com$/m);
+    assert.match(headers, /^Reply-To: soporte@piensaajedrez\.com$/m);
+    assert.match(headers, /^In-Reply-To: <previo@domain\.com>$/m);
+    assert.match(headers, /^References: <previo@domain\.com>$/m);
+    assert.match(headers, /^X-Campaign: torneo-2024$/m);
+    assert.match(headers, /^Date: /m);
+    assert.match(headers, /^MIME-Version: 1\.0$/m);
+  });
+
+  it("genera un Message-ID si no se indica", async () => {
+    const { raw, messageId } = await compileMessage({
+      ...base,
+      messageId: undefined,
+    });
+    assert.match(messageId, /^<.+@.+>$/);
+    assert.ok(split(raw).headers.includes(`Message-ID: ${messageId}`));
+  });
+
+  it("deja el Bcc solo en el sobre", async () => {
+    const { raw, envelope } = await compileMessage({
+      ...base,
+      cc: "copia@domain.com",
+      bcc: ["oculto@domain.com"],
+    });
+    assert.doesNotMatch(raw.toString(), /^Bcc:/im);
+    assert.doesNotMatch(raw.toString(), /oculto@domain\.com/);
+    assert.deepEqual(envelope, {
+      from: "noreply@piensaajedrez.com",
+      to: ["alumno@domain.com", "copia@domain.com", "oculto@domain.com"],
+    });
+  });
+
+  it("codifica el asunto con RFC 2047", async () => {
+    const { raw } = await compileMessage({
+      ...base,
+      subject: "Inscripción al torneo ♞",
+    });
+    const subject = /^Subject: (.*(?:\r\n .*)*)$/m.exec(split(raw).headers)[1];
+    assert.match(subject, /^=\?UTF-8\?[QB]\?/);
+    assert.doesNotMatch(subject, /[^\x20-\x7e\r\n]/);
+  });
+
+  it("arma multipart/alternative con texto y HTML", async () => {
+    const { raw } = await compileMessage({
+      ...base,
+      html: "<p>Hola</p>",
+    });
+    const { headers, body } = split(raw);
+    assert.match(headers, /^Content-Type: multipart\/alternative;/m);
+    assert.match(body, /Content-Type: text\/plain; charset=utf-8/);
+    assert.match(body, /Content-Type: text\/html; charset=utf-8/);
+    assert.ok(body.indexOf("text/plain") < body.indexOf("text/html"));
+  });
+
+  it("incluye adjuntos e imágenes inline", async () => {
+    const pdf = Buffer.from("%PDF-1.4 contenido");
+    const { raw } = await compileMessage({
+      ...base,
+      html: '<img src="cid:logo@piensaajedrez">',
+      attachments: [
+        {
+          filename: "reglamento.pdf",
+          content: pdf,
+          contentType: "application/pdf",
+        },
+        {
+          filename: "logo.png",
+          content: Buffer.from("png"),
+          contentType: "image/png",
+          cid: "logo@piensaajedrez",
+        },
+      ],
+    });
+    const { headers, body } = split(raw);
+    assert.match(headers, /^Content-Type: multipart\/mixed;/m);
+    assert.match(body, /Content-Type: multipart\/related;/);
+    assert.match(body, /Content-Type: application\/pdf; name=reglamento\.pdf/);
+    assert.match(body, /Content-Disposition: attachment; filename=reglamento/);
+    assert.ok(body.includes(pdf.toString("base64")));
+    assert.match(body, /Content-ID: <logo@piensaajedrez>/);
+    assert.match(body, /Content-Disposition: inline; filename=logo\.png/);
+  });
+});
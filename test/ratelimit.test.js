@@ -0,0 +1,182 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startFakeSmtp } = require("./helpers/fake-smtp");
+const { startApp } = require("./helpers/app");
+
+const email = { to: "alumno@piensaajedrez.com", subject: "Hola", text: "x" };
+
+/**
+ * Lee un contador de /metrics
+ * @param {string} metrics - Texto en formato Prometheus
+ * @param {string} series - Nombre y labels de la serie
+ * @returns {number}
+ */
+function counter(metrics, series) {
+  const line = metrics.split("\n").find((l) => l.startsWith(`${series} `));
+  return line ? Number(line.split(" ")[1]) : 0;
+}
+
+describe("rate limit por IP", () => {
+  let smtp;
+  let relay;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    relay = await startApp({
+      SMTP_PORT: String(smtp.port),
+      RATE_LIMIT_MAX: "2",
+      RATE_LIMIT_WINDOW_MS: "60000",
+    });
+  });
+
+  after(async () => {
+    await relay.close();
+    await smtp.close();
+  });
+
+  it("responde 429 al superar RATE_LIMIT_MAX", async () => {
+    for (let i = 0; i < 2; i++) {
+      const { status } = await relay.request("/send", { body: email });
+      assert.equal(status, 200);
+    }
+
+    const { status, headers, body } = await relay.request("/send", {
+      body: email,
+    });
+    assert.equal(status, 429);
+    assert.equal(body.retryAfter, 60);
+    assert.ok(headers.get("ratelimit-limit"));
+    assert.equal(smtp.messages.length, 2);
+  });
+
+  it("cuenta los rechazos en /metrics", async () => {
+    const { body } = await relay.request("/metrics");
+    assert.equal(
+      counter(
+        body,
+        'relay_rate_limit_rejections_total{source="http",limiter="ip"}'
+      ),
+      1
+    );
+  });
+
+  it("lleva la cuenta aparte para cada IP real (CF-Connecting-IP)", async () => {
+    const { status } = await relay.request("/send", {
+      body: email,
+      headers: { "CF-Connecting-IP": "203.0.113.7" },
+    });
+    assert.equal(status, 200);
+  });
+});
+
+describe("rate limit por API key", () => {
+  let smtp;
+  let relay;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    relay = await startApp({
+      SMTP_PORT: String(smtp.port),
+      API_KEYS: JSON.stringify([
+        {
+          key: "limitada-key-0123456789",
+          client: "limitada",
+          rateLimit: { max: 1 },
+        },
+        { key: "libre-key-0123456789", client: "libre" },
+      ]),
+    });
+  });
+
+  after(async () => {
+    await relay.close();
+    await smtp.close();
+  });
+
+  const send = (key) =>
+    relay.request("/send", {
+      body: email,
+      headers: { "X-API-Key": key },
+    });
+
+  it("aplica el límite propio de la key", async () => {
+    assert.equal((await send("limitada-key-0123456789")).status, 200);
+    assert.equal((await send("limitada-key-0123456789")).status, 429);
+  });
+
+  it("no afecta a las demás keys", async () => {
+    assert.equal((await send("libre-key-0123456789")).status, 200);
+  });
+
+  it("cuenta el rechazo como del cliente", async () => {
+    const { body } = await relay.request("/metrics");
+    assert.equal(
+      counter(
+        body,
+        'relay_rate_limit_rejections_total{source="http",limiter="client"}'
+      ),
+      1
+    );
+  });
+});
+
+describe("cuota de la cuenta SMTP", () => {
+  let smtp;
+  let relay;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    relay = await startApp({
+      SMTP_PORT: String(smtp.port),
+      // Ráfaga de un envío y el siguiente recién en media hora
+      SMTP_MAX_PER_HOUR: "2",
+      PACING_MARGIN: "0",
+    });
+  });
+
+  after(async () => {
+    await relay.close();
+    await smtp.close();
+  });
+
+  it("responde 429 account_quota con Retry-After", async () => {
+    assert.equal((await relay.request("/send", { body: email })).status, 200);
+
+    const { status, headers, body } = await relay.request("/send", {
+      body: email,
+    });
+    assert.equal(status, 429);
+    assert.equal(body.errorCode, "account_quota");
+    assert.equal(body.retryable, true);
+    assert.ok(Number(headers.get("retry-after")) > 0);
+    assert.equal(Number(headers.get("retry-after")), body.retryAfter);
+    assert.equal(smtp.messages.length, 1);
+  });
+
+  it("rechaza con 422 un mensaje con más destinatarios que la cuota", async () => {
+    const { status, body } = await relay.request("/send", {
+      body: {
+        ...email,
+        to: [
+          "a@piensaajedrez.com",
+          "b@piensaajedrez.com",
+          "c@piensaajedrez.com",
+        ],
+      },
+    });
+    assert.equal(status, 422);
+    assert.match(body.details[0].message, /hasta 2 destinatarios/);
+    assert.equal(smtp.messages.length, 1);
+  });
+
+  it("cuenta el rechazo como de la cuenta", async () => {
+    const { body } = await relay.request("/metrics");
+    assert.equal(
+      counter(
+        body,
+        'relay_rate_limit_rejections_total{source="http",limiter="account"}'
+      ),
+      1
+    );
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const pino = require("pino");
+const { createStore } = require("../src/store");
+const { createSendLog } = require("../src/sendlog");
+
+describe("purga del registro de envíos", () => {
+  const previous = process.env.DATA_DIR;
+  let dataDir;
+  let sendLog;
+
+  const daysAgo = (days) =>
+    new Date(Date.now() - days * 86400000).toISOString();
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-test-"));
+    process.env.DATA_DIR = dataDir;
+
+    // Registros de hace 40 días en distintos estados
+    const store = createStore({ name: "messages" });
+    const old = (id, fields) =>
+      store.put({
+        id,
+        createdAt: daysAgo(40),
+        updatedAt: daysAgo(40),
+        ...fields,
+      });
+    old("enviado@x", { status: "sent" });
+    old("programado@x", { status: "scheduled", sendAt: daysAgo(-200) });
+    old("en-cola@x", { status: "queued" });
+    old("despachado-ayer@x", { status: "sent", updatedAt: daysAgo(1) });
+
+    sendLog = createSendLog({
+      logger: pino({ level: "silent" }),
+      retentionDays: 30,
+    });
+  });
+
+  after(() => {
+    sendLog.stop();
+    if (previous === undefined) {
+      delete process.env.DATA_DIR;
+    } else {
+      process.env.DATA_DIR = previous;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("elimina los registros fuera de la retención", () => {
+    assert.equal(sendLog.get("enviado@x"), undefined);
+  });
+
+  it("conserva los envíos programados y en cola", () => {
+    assert.equal(sendLog.get("programado@x")?.status, "scheduled");
+    assert.equal(sendLog.get("en-cola@x")?.status, "queued");
+  });
+
+  it("cuenta la retención desde la última actualización", () => {
+    assert.equal(sendLog.get("despachado-ayer@x")?.status, "sent");
+  });
+});
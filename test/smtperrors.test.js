@@ -0,0 +1,352 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  classifySmtpError,
+  describeRejection,
+  parseEnhancedCode,
+} = require("../src/smtperrors");
+const { pacingError } = require("../src/pacing");
+const { startFakeSmtp } = require("./helpers/fake-smtp");
+const { startApp } = require("./helpers/app");
+
+/**
+ * Error con la forma de los de nodemailer
+ * @param {Object} fields - code, responseCode, command, response...
+ * @returns {Error}
+ */
+const smtpError = (fields) => Object.assign(new Error("smtp"), fields);
+
+describe("classifySmtpError", () => {
+  const cases = [
+    [
+      "cuota del limitador de salida",
+      pacingError("default", 90500, "hour"),
+      { errorCode: "account_quota", status: 429, retryable: true },
+    ],
+    [
+      "credenciales inválidas",
+      smtpError({
+        code: "EAUTH",
+        command: "AUTH PLAIN",
+        responseCode: 535,
+        response: "535 5.7.8 Authentication credentials invalid",
+      }),
+      { errorCode: "smtp_auth", status: 401, retryable: false },
+    ],
+    [
+      "autenticación requerida en MAIL FROM",
+      smtpError({
+        code: "EENVELOPE",
+        command: "MAIL FROM",
+        responseCode: 530,
+        response: "530 5.7.0 Authentication required",
+      }),
+      { errorCode: "smtp_auth", status: 401, retryable: false },
+    ],
+    [
+      "STARTTLS fallido",
+      smtpError({ code: "ETLS", command: "STARTTLS", responseCode: 454 }),
+      { errorCode: "smtp_tls", status: 502, retryable: true },
+    ],
+    [
+      "certificado inválido",
+      smtpError({ code: "ESOCKET" }),
+      { errorCode: "smtp_tls", status: 502, retryable: false },
+    ],
+    [
+      "conexión cortada",
+      smtpError({ code: "ESOCKET", syscall: "read" }),
+      { errorCode: "smtp_connection", status: 502, retryable: true },
+    ],
+    [
+      "host inexistente",
+      smtpError({ code: "EDNS" }),
+      { errorCode: "smtp_connection", status: 502, retryable: true },
+    ],
+    [
+      "timeout",
+      smtpError({ code: "ETIMEDOUT", command: "CONN" }),
+      { errorCode: "smtp_connection", status: 502, retryable: true },
+    ],
+    [
+      "respuesta inesperada",
+      smtpError({ code: "EPROTOCOL", command: "CONN" }),
+      { errorCode: "smtp_protocol", status: 502, retryable: false },
+    ],
+    [
+      "mensaje demasiado grande",
+      smtpError({
+        code: "EMESSAGE",
+        command: "DATA",
+        responseCode: 552,
+        response: "552 5.3.4 Message size exceeds fixed limit",
+      }),
+      { errorCode: "message_too_large", status: 413, retryable: false },
+    ],
+    [
+      "cuota de IONOS (4.7.x)",
+      smtpError({
+        code: "EENVELOPE",
+        command: "MAIL FROM",
+        responseCode: 452,
+        response: "452 4.7.0 Sending quota exceeded",
+      }),
+      { errorCode: "smtp_throttled", status: 429, retryable: true },
+    ],
+    [
+      "servidor fuera de servicio",
+      smtpError({
+        command: "CONN",
+        responseCode: 421,
+        response: "421 4.3.2 Service not available",
+      }),
+      { errorCode: "smtp_unavailable", status: 503, retryable: true },
+    ],
+    [
+      "remitente rechazado",
+      smtpError({
+        code: "EENVELOPE",
+        command: "MAIL FROM",
+        responseCode: 550,
+        response: "550 5.7.1 Sender address rejected",
+      }),
+      { errorCode: "sender_rejected", status: 422, retryable: false },
+    ],
+    [
+      "destinatario inexistente",
+      smtpError({
+        code: "EENVELOPE",
+        command: "RCPT TO",
+        responseCode: 550,
+        response: "550 5.1.1 User unknown",
+      }),
+      { errorCode: "recipient_rejected", status: 422, retryable: false },
+    ],
+    [
+      "casilla llena (temporal)",
+      smtpError({
+        code: "EENVELOPE",
+        command: "RCPT TO",
+        responseCode: 452,
+        response: "452 4.2.2 Mailbox full",
+      }),
+      { errorCode: "recipient_rejected", status: 503, retryable: true },
+    ],
+    [
+      "mensaje rechazado como spam",
+      smtpError({
+        code: "EMESSAGE",
+        command: "DATA",
+        responseCode: 554,
+        response: "554 5.7.1 Message rejected as spam",
+      }),
+      { errorCode: "message_rejected", status: 422, retryable: false },
+    ],
+    [
+      "otra falla temporal",
+      smtpError({ responseCode: 451, response: "451 4.3.0 Try again later" }),
+      { errorCode: "smtp_temporary", status: 503, retryable: true },
+    ],
+    [
+      "error desconocido",
+      new Error("algo salió mal"),
+      { errorCode: "smtp_error", status: 500, retryable: false },
+    ],
+  ];
+
+  for (const [name, error, expected] of cases) {
+    it(name, () => {
+      const { errorCode, status, retryable } = classifySmtpError(error);
+      assert.deepEqual({ errorCode, status, retryable }, expected);
+    });
+  }
+
+  it("expone los códigos SMTP y el detalle del código extendido", () => {
+    const classified = classifySmtpError(
+      smtpError({
+        command: "RCPT TO",
+        responseCode: 550,
+        response: "550 5.1.1 <x@domain.com>: User unknown",
+      })
+    );
+    assert.equal(classified.responseCode, 550);
+    assert.equal(classified.enhancedCode, "5.1.1");
+    assert.equal(classified.command, "RCPT TO");
+    assert.equal(classified.detail, "La casilla de destino no existe");
+  });
+
+  it("convierte retryAfterMs en segundos", () => {
+    const classified = classifySmtpError(pacingError("default", 90500, "hour"));
+    assert.equal(classified.retryAfter, 91);
+  });
+
+  it("no depende del texto del error", () => {
+    const classified = classifySmtpError(
+      smtpError({
+        message: "Invalid login: connection timeout while authenticating",
+        command: "RCPT TO",
+        responseCode: 550,
+        response: "550 5.1.1 User unknown",
+      })
+    );
+    assert.equal(classified.errorCode, "recipient_rejected");
+  });
+});
+
+describe("parseEnhancedCode", () => {
+  it("lee el código extendido de la respuesta", () => {
+    assert.equal(parseEnhancedCode("550 5.1.1 User unknown"), "5.1.1");
+    assert.equal(parseEnhancedCode("452-4.2.2 Mailbox full"), "4.2.2");
+    assert.equal(parseEnhancedCode("550 5.7.26 DMARC"), "5.7.26");
+  });
+
+  it("devuelve undefined sin código extendido", () => {
+    assert.equal(parseEnhancedCode("550 User unknown"), undefined);
+    assert.equal(parseEnhancedCode(undefined), undefined);
+  });
+});
+
+describe("describeRejection", () => {
+  it("resume el rechazo de un destinatario", () => {
+    const rejection = describeRejection(
+      smtpError({
+        recipient: "lleno@domain.com",
+        command: "RCPT TO",
+        responseCode: 452,
+        response: "452 4.2.2 Mailbox full",
+      })
+    );
+    assert.deepEqual(rejection, {
+      recipient: "lleno@domain.com",
+      errorCode: "recipient_rejected",
+      retryable: true,
+      responseCode: 452,
+      enhancedCode: "4.2.2",
+      message: "La casilla de destino está llena",
+      response: "452 4.2.2 Mailbox full",
+    });
+  });
+});
+
+describe("errores SMTP en POST /send", () => {
+  let smtp;
+  let relay;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    const account = (name, fields) => ({
+      name,
+      host: "127.0.0.1",
+      port: smtp.port,
+      user: `${name}@piensaajedrez.com`,
+      pass: "secret",
+      from: `${name}@piensaajedrez.com`,
+      ...fields,
+    });
+    relay = await startApp({
+      SMTP_ACCOUNTS: JSON.stringify([
+        account("noreply"),
+        account("quota"),
+        account("blocked"),
+        account("wrongpass", { pass: "bad-password" }),
+        // Puerto 1: nadie escucha
+        account("offline", { port: 1 }),
+      ]),
+    });
+  });
+
+  after(async () => {
+    await relay.close();
+    await smtp.close();
+  });
+
+  const send = (fields) =>
+    relay.request("/send", {
+      body: { subject: "Hola", text: "x", ...fields },
+    });
+
+  it("destinatario inexistente: 422 recipient_rejected con detalle", async () => {
+    const { status, body } = await send({ to: "reject@domain.com" });
+    assert.equal(status, 422);
+    assert.equal(body.errorCode, "recipient_rejected");
+    assert.equal(body.retryable, false);
+    assert.equal(body.enhancedCode, "5.1.1");
+    assert.deepEqual(
+      body.recipients.map((r) => [r.recipient, r.enhancedCode]),
+      [["reject@domain.com", "5.1.1"]]
+    );
+  });
+
+  it("casilla llena: 503 reintentable", async () => {
+    const { status, body } = await send({ to: "temp@domain.com" });
+    assert.equal(status, 503);
+    assert.equal(body.errorCode, "recipient_rejected");
+    assert.equal(body.retryable, true);
+  });
+
+  it("envío parcial: 200 con el motivo de cada rechazo", async () => {
+    const { status, body } = await send({
+      to: ["ok@domain.com", "reject@domain.com", "temp@domain.com"],
+    });
+    assert.equal(status, 200);
+    assert.deepEqual(body.accepted, ["ok@domain.com"]);
+    assert.deepEqual(
+      body.rejections.map((r) => [r.recipient, r.errorCode, r.retryable]),
+      [
+        ["reject@domain.com", "recipient_rejected", false],
+        ["temp@domain.com", "recipient_rejected", true],
+      ]
+    );
+
+    const id = encodeURIComponent(body.messageId);
+    const record = await relay.request(`/messages/${id}`);
+    assert.equal(record.body.status, "partial");
+    assert.equal(record.body.rejections.length, 2);
+  });
+
+  it("remitente rechazado: 422 sender_rejected", async () => {
+    const { status, body } = await send({
+      to: "ok@domain.com",
+      account: "blocked",
+    });
+    assert.equal(status, 422);
+    assert.equal(body.errorCode, "sender_rejected");
+    assert.equal(body.enhancedCode, "5.7.1");
+  });
+
+  it("mensaje rechazado en el DATA: 422 message_rejected", async () => {
+    const { status, body } = await send({ to: "spam@domain.com" });
+    assert.equal(status, 422);
+    assert.equal(body.errorCode, "message_rejected");
+    assert.equal(body.enhancedCode, "5.7.1");
+  });
+
+  it("cuota del servidor: 429 smtp_throttled", async () => {
+    const { status, body } = await send({
+      to: "ok@domain.com",
+      account: "quota",
+    });
+    assert.equal(status, 429);
+    assert.equal(body.errorCode, "smtp_throttled");
+    assert.equal(body.retryable, true);
+  });
+
+  it("credenciales inválidas: 401 smtp_auth", async () => {
+    const { status, body } = await send({
+      to: "ok@domain.com",
+      account: "wrongpass",
+    });
+    assert.equal(status, 401);
+    assert.equal(body.errorCode, "smtp_auth");
+  });
+
+  it("host caído: 502 smtp_connection", async () => {
+    const { status, body } = await send({
+      to: "ok@domain.com",
+      account: "offline",
+    });
+    assert.equal(status, 502);
+    assert.equal(body.errorCode, "smtp_connection");
+    assert.equal(body.retryable, true);
+  });
+});
@@ -0,0 +1,122 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const nodemailer = require("nodemailer");
+const pino = require("pino");
+const { startFakeSmtp } = require("./helpers/fake-smtp");
+const { startApp } = require("./helpers/app");
+const { createSubmissionServer } = require("../src/submission");
+
+/**
+ * Puerto libre para el listener (SMTP_LISTENER_PORT no admite 0)
+ * @returns {Promise<number>}
+ */
+async function freePort() {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return port;
+}
+
+describe("listener SMTP", () => {
+  let smtp;
+  let relay;
+  let transporter;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    const port = await freePort();
+    relay = await startApp({
+      SMTP_PORT: String(smtp.port),
+      SMTP_LISTENER: "true",
+      SMTP_LISTENER_HOST: "127.0.0.1",
+      SMTP_LISTENER_PORT: String(port),
+      SMTP_RELAY_USERS: JSON.stringify([
+        { username: "erp", password: "erp-password-123" },
+      ]),
+    });
+    transporter = nodemailer.createTransport({
+      host: "127.0.0.1",
+      port,
+      secure: false,
+      ignoreTLS: true,
+      auth: { user: "erp", pass: "erp-password-123" },
+    });
+  });
+
+  after(async () => {
+    transporter.close();
+    await relay.close();
+    await smtp.close();
+  });
+
+  const message = {
+    messageId: "<factura-1001@erp.piensaajedrez.com>",
+    from: "noreply@piensaajedrez.com",
+    to: "cliente@domain.com",
+    subject: "Factura 1001",
+    text: "Adjuntamos la factura",
+  };
+
+  it("reenvía el mensaje con su Message-ID", async () => {
+    await transporter.sendMail(message);
+    const record = await relay.request(
+      `/messages/${encodeURIComponent("factura-1001@erp.piensaajedrez.com")}`
+    );
+    assert.equal(record.body.status, "sent");
+    assert.equal(record.body.client, "erp");
+    assert.equal(smtp.messages.length, 1);
+  });
+
+  it("rechaza con 550 un Message-ID ya registrado", async () => {
+    const error = await transporter
+      .sendMail({ ...message, subject: "Otro asunto" })
+      .catch((e) => e);
+    assert.equal(error.responseCode, 550);
+    assert.match(error.response, /Message-ID ya corresponde a otro envio/);
+    assert.equal(smtp.messages.length, 1);
+
+    const record = await relay.request(
+      `/messages/${encodeURIComponent("factura-1001@erp.piensaajedrez.com")}`
+    );
+    assert.equal(record.body.subject, "Factura 1001");
+  });
+
+  it("acepta el reintento tras un 451 con el mismo Message-ID", async () => {
+    const retried = {
+      ...message,
+      messageId: "<factura-1002@erp.piensaajedrez.com>",
+      to: "flaky@domain.com",
+      subject: "Factura 1002",
+    };
+    const error = await transporter.sendMail(retried).catch((e) => e);
+    assert.equal(error.responseCode, 451);
+
+    await transporter.sendMail(retried);
+    const record = await relay.request(
+      `/messages/${encodeURIComponent("factura-1002@erp.piensaajedrez.com")}`
+    );
+    assert.equal(record.body.status, "sent");
+    assert.equal(smtp.messages.length, 2);
+  });
+});
+
+describe("listener SMTP sin TLS", () => {
+  const params = {
+    users: [{ username: "erp", password: "erp-password-123" }],
+    submit: async () => ({ status: 200, body: {} }),
+    logger: pino({ level: "silent" }),
+  };
+
+  it("no arranca fuera de loopback sin certificado", () => {
+    assert.throws(
+      () => createSubmissionServer({ ...params, options: { host: "0.0.0.0" } }),
+      /requiere SMTP_LISTENER_TLS_KEY/
+    );
+  });
+
+  it("escucha en 127.0.0.1 por defecto", () => {
+    assert.doesNotThrow(() => createSubmissionServer(params));
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const pino = require("pino");
+const { createStore } = require("../src/store");
+const { createSuppressionList } = require("../src/suppressions");
+const { startFakeSmtp } = require("./helpers/fake-smtp");
+const { startApp } = require("./helpers/app");
+
+describe("lista de supresión con API keys", () => {
+  let smtp;
+  let relay;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    relay = await startApp({
+      SMTP_PORT: String(smtp.port),
+      API_KEYS: JSON.stringify([
+        { key: "web-app-key-0123456789", client: "web-app" },
+        { key: "crm-key-0123456789", client: "crm" },
+      ]),
+    });
+  });
+
+  after(async () => {
+    await relay.close();
+    await smtp.close();
+  });
+
+  const as = (key) => ({ "X-API-Key": key });
+  const webApp = as("web-app-key-0123456789");
+  const crm = as("crm-key-0123456789");
+
+  it("cada cliente solo ve las direcciones que agregó", async () => {
+    const added = await relay.request("/suppressions", {
+      body: { email: "baja@domain.com", reason: "unsubscribe" },
+      headers: webApp,
+    });
+    assert.equal(added.status, 201);
+
+    const own = await relay.request("/suppressions", { headers: webApp });
+    assert.deepEqual(
+      own.body.suppressions.map((s) => s.email),
+      ["baja@domain.com"]
+    );
+
+    const other = await relay.request("/suppressions", { headers: crm });
+    assert.equal(other.body.total, 0);
+    const detail = await relay.request("/suppressions/baja@domain.com", {
+      headers: crm,
+    });
+    assert.equal(detail.status, 404);
+  });
+
+  it("no permite quitar ni pisar la dirección de otro cliente", async () => {
+    const removed = await relay.request("/suppressions/baja@domain.com", {
+      method: "DELETE",
+      headers: crm,
+    });
+    assert.equal(removed.status, 404);
+
+    const overwritten = await relay.request("/suppressions", {
+      body: { email: "baja@domain.com", reason: "manual" },
+      headers: crm,
+    });
+    assert.equal(overwritten.status, 409);
+  });
+
+  it("la supresión aplica a los envíos de todos los clientes", async () => {
+    const { status, body } = await relay.request("/send", {
+      body: { to: "baja@domain.com", subject: "Hola", text: "x" },
+      headers: crm,
+    });
+    assert.equal(status, 422);
+    assert.equal(smtp.messages.length, 0);
+    assert.ok(body.error);
+  });
+
+  it("el cliente que la agregó puede quitarla", async () => {
+    const { status } = await relay.request("/suppressions/baja@domain.com", {
+      method: "DELETE",
+      headers: webApp,
+    });
+    assert.equal(status, 200);
+  });
+});
+
+describe("supresiones de los rebotes con una key admin", () => {
+  let smtp;
+  let relay;
+  let dataDir;
+
+  before(async () => {
+    smtp = await startFakeSmtp();
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-test-"));
+    // Entrada agregada por el watcher de rebotes (sin cliente)
+    createStore({ dir: path.join(dataDir, "suppressions") }).put({
+      id: "rebote@domain.com",
+      email: "rebote@domain.com",
+      reason: "bounce",
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    });
+    relay = await startApp({
+      SMTP_PORT: String(smtp.port),
+      DATA_DIR: dataDir,
+      API_KEYS: JSON.stringify([
+        { key: "ops-key-0123456789", client: "ops", admin: true },
+        { key: "crm-key-0123456789", client: "crm" },
+      ]),
+    });
+  });
+
+  after(async () => {
+    await relay.close();
+    await smtp.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  const ops = { "X-API-Key": "ops-key-0123456789" };
+  const crm = { "X-API-Key": "crm-key-0123456789" };
+
+  it("solo la key admin ve las entradas sin cliente", async () => {
+    const admin = await relay.request("/suppressions", { headers: ops });
+    assert.deepEqual(
+      admin.body.suppressions.map((s) => s.email),
+      ["rebote@domain.com"]
+    );
+    const other = await relay.request("/suppressions", { headers: crm });
+    assert.equal(other.body.total, 0);
+  });
+
+  it("la key admin puede quitar un rebote", async () => {
+    const denied = await relay.request("/suppressions/rebote@domain.com", {
+      method: "DELETE",
+      headers: crm,
+    });
+    assert.equal(denied.status, 404);
+
+    const { status } = await relay.request("/suppressions/rebote@domain.com", {
+      method: "DELETE",
+      headers: ops,
+    });
+    assert.equal(status, 200);
+  });
+});
+
+describe("rebote sobre una dirección ya suprimida", () => {
+  const previous = process.env.DATA_DIR;
+  let dataDir;
+  let suppressions;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-test-"));
+    process.env.DATA_DIR = dataDir;
+    suppressions = createSuppressionList({ logger: pino({ level: "silent" }) });
+  });
+
+  after(() => {
+    if (previous === undefined) {
+      delete process.env.DATA_DIR;
+    } else {
+      process.env.DATA_DIR = previous;
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("conserva el cliente y el motivo originales", () => {
+    suppressions.add({
+      email: "baja@domain.com",
+      reason: "unsubscribe",
+      client: "web-app",
+    });
+    const { entry, created } = suppressions.add({
+      email: "baja@domain.com",
+      reason: "bounce",
+      note: "550 5.1.1 User unknown",
+    });
+    assert.equal(created, false);
+    assert.equal(entry.client, "web-app");
+    assert.equal(entry.reason, "unsubscribe");
+  });
+
+  it("el cliente que la agregó puede cambiar el motivo", () => {
+    const { entry } = suppressions.add({
+      email: "baja@domain.com",
+      reason: "complaint",
+      client: "web-app",
+    });
+    assert.equal(entry.reason, "complaint");
+  });
+});